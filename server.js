@@ -1,11 +1,21 @@
 // Battery Degradation API - RapidAPI Ready
 // Updated server.js with RapidAPI integration
 import express from 'express';
+import { readFileSync } from 'fs';
 import cors from 'cors';
 import helmet from 'helmet';
-import batteryRoutes from './src/routes/battery.routes.js';
+import { v1Routes, v2Routes } from './src/routes/battery.routes.js';
+import docsRoutes from './src/routes/docs.routes.js';
+import adminRoutes from './src/routes/admin.routes.js';
+import { getEndpointCatalog } from './src/docs/openapi.js';
 import { errorHandler, notFoundHandler } from './src/middleware/errorHandlers.js';
-import { getLogger, logger } from './src/config/logger.js';
+import { apiKeyAuth } from './src/middleware/apiKeyAuth.js';
+import { createTierRateLimit, tierHeader } from './src/middleware/rateLimiter.js';
+import { getLogger, logger, requestId } from './src/config/logger.js';
+import { registry, metricsMiddleware } from './src/utils/metrics.js';
+import { CURRENT_API_VERSION, LEGACY_API_BASE, apiBase } from './src/versions/index.js';
+
+const pkg = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -23,67 +33,33 @@ app.use(cors({
     'https://*.rapidapi.com'      // All RapidAPI domains
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-API-Tier', 'X-Request-Id'],
   allowedHeaders: [
     'Content-Type',
     'Authorization',
+    'X-API-Key',
     'X-RapidAPI-Key',
     'X-RapidAPI-Host',
-    'X-RapidAPI-User'
+    'X-RapidAPI-User',
+    'X-Request-Id'
   ]
 }));
 
-// Logging middleware
+// Request IDs and the structured access log
+app.use(requestId());
 app.use(getLogger());
+app.use(metricsMiddleware());
 
-// RapidAPI Integration Middleware (Production Only)
-if (process.env.NODE_ENV === 'production') {
-  app.use('/api/battery', (req, res, next) => {
-    // Extract RapidAPI headers
-    const rapidAPIKey = req.headers['x-rapidapi-key'];
-    const rapidAPIHost = req.headers['x-rapidapi-host'];
-    const rapidAPIUser = req.headers['x-rapidapi-user'];
-
-    // Log RapidAPI request details
-    if (rapidAPIKey) {
-      logger.info('RapidAPI Request Received:', {
-        hasKey: !!rapidAPIKey,
-        host: rapidAPIHost,
-        user: rapidAPIUser || 'anonymous',
-        endpoint: req.path,
-        method: req.method,
-        timestamp: new Date().toISOString()
-      });
-
-      // Store RapidAPI info in request for analytics
-      req.rapidAPI = {
-        key: rapidAPIKey,
-        host: rapidAPIHost,
-        user: rapidAPIUser
-      };
-    }
+// API authentication and per-tier quotas (on by default in production)
+const authEnabled = process.env.API_AUTH_ENABLED
+  ? process.env.API_AUTH_ENABLED === 'true'
+  : process.env.NODE_ENV === 'production';
 
-    next();
-  });
+const API_BASES = [apiBase('v1'), apiBase('v2'), LEGACY_API_BASE];
 
-  // Simple usage analytics (Production Only)
-  app.use('/api/battery', (req, res, next) => {
-    const start = Date.now();
-
-    res.on('finish', () => {
-      const duration = Date.now() - start;
-      logger.info('Request Analytics:', {
-        user: req.rapidAPI?.user || 'anonymous',
-        endpoint: req.path,
-        method: req.method,
-        statusCode: res.statusCode,
-        duration: `${duration}ms`,
-        timestamp: new Date().toISOString()
-      });
-    });
-
-    next();
-  });
+if (authEnabled) {
+  app.use(API_BASES, apiKeyAuth(), tierHeader, createTierRateLimit());
 }
 
 // Body parsing middleware
@@ -95,38 +71,50 @@ app.get('/', (req, res) => {
   res.json({
     success: true,
     message: 'Battery Degradation Analysis API',
-    version: '1.0.0',
+    version: pkg.version,
+    apiVersions: {
+      current: apiBase(CURRENT_API_VERSION),
+      supported: API_BASES
+    },
     status: 'healthy',
     environment: process.env.NODE_ENV || 'development',
     rapidAPI_ready: process.env.NODE_ENV === 'production',
+    authentication: authEnabled ? 'X-API-Key header or Authorization: Bearer <key>' : 'disabled',
     timestamp: new Date().toISOString(),
-    endpoints: {
-      analyze: {
-        method: 'POST',
-        path: '/api/battery/analyze',
-        description: 'Complete battery health analysis with predictions'
-      },
-      health: {
-        method: 'POST',
-        path: '/api/battery/health',
-        description: 'Quick battery health summary and status'
-      },
-      trend: {
-        method: 'POST',
-        path: '/api/battery/trend',
-        description: 'Degradation trend data for visualization'
-      },
-      status: {
-        method: 'GET',
-        path: '/api/battery/status',
-        description: 'API status and system information'
-      }
+    endpoints: Object.fromEntries(getEndpointCatalog().map(({ name, method, path, summary }) => [
+      name,
+      { method, path, description: summary }
+    ])),
+    documentation: {
+      openapi: '/api/openapi.json',
+      docs: '/api/docs/'
     },
+    monitoring: {
+      metrics: '/metrics'
+    }
   });
 });
 
-// API routes
-app.use('/api/battery', batteryRoutes);
+// Prometheus metrics
+app.get('/metrics', async (req, res, next) => {
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Versioned API routes; /api/battery is the v1 alias
+app.use(apiBase('v1'), v1Routes);
+app.use(apiBase('v2'), v2Routes);
+app.use(LEGACY_API_BASE, v1Routes);
+
+// API key administration (requires ADMIN_TOKEN)
+app.use('/api/admin', adminRoutes);
+
+// OpenAPI document and docs page
+app.use('/api', docsRoutes);
 
 // Error handling middleware (must be last)
 app.use(notFoundHandler);
@@ -153,20 +141,24 @@ app.listen(PORT, () => {
     urls: {
       local: `http://localhost:${PORT}`,
       health: `http://localhost:${PORT}/`,
-      api: `http://localhost:${PORT}/api/battery`
+      api: `http://localhost:${PORT}${apiBase(CURRENT_API_VERSION)}`
     }
   });
 
-  // Show startup message
-  console.log('\n🔋 Battery Degradation API v1.0');
+  // Show startup message on interactive terminals; piped output stays JSON lines
+  if (!process.stdout.isTTY) return;
+  console.log(`\n🔋 Battery Degradation API v${pkg.version}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`⚡ RapidAPI Ready: ${process.env.NODE_ENV === 'production' ? 'YES' : 'NO (dev mode)'}`);
+  console.log(`🔑 API key auth: ${authEnabled ? 'ENABLED' : 'DISABLED'}`);
   console.log('\n📚 Available endpoints:');
-  console.log('  GET  /                     - API information');
-  console.log('  POST /api/battery/analyze  - Complete analysis');
-  console.log('  POST /api/battery/health   - Health summary');
-  console.log('  POST /api/battery/trend    - Trend data');
-  console.log('  GET  /api/battery/status   - System status');
+  [
+    { method: 'GET', path: '/', summary: 'API information' },
+    ...getEndpointCatalog(),
+    { method: 'GET', path: '/api/docs/', summary: 'API documentation' }
+  ].forEach(({ method, path, summary }) => {
+    console.log(`  ${method.padEnd(6)} ${path.padEnd(38)} - ${summary}`);
+  });
   console.log('\n🚀 Ready for RapidAPI integration!\n');
 });
 
@@ -0,0 +1,72 @@
+/**
+ * Chemistry-specific coefficient profiles for the degradation model
+ *
+ * Each profile feeds the same model structure in degradationCalculator.js:
+ * - k_c: cycle fade coefficient
+ * - alpha: DoD sensitivity exponent
+ * - k_t: calendar fade coefficient
+ * - Ea: activation energy for calendar aging (J/mol)
+ * - beta: calendar time exponent
+ * - cRateSensitivity: cycle fade uplift per C above 1C
+ *
+ * `resistance` holds the growth coefficients of the internal resistance
+ * model, which shares the cycle/calendar stress structure:
+ * - k_c: cycle resistance growth coefficient
+ * - k_t: calendar resistance growth coefficient
+ *
+ * The "generic" profile keeps the original single-profile coefficients so
+ * requests without a chemistry behave exactly as before.
+ */
+
+export const DEFAULT_CHEMISTRY = 'generic';
+
+export const CHEMISTRY_PROFILES = {
+  generic: {
+    name: 'Generic lithium-ion',
+    coefficients: { k_c: 0.015, alpha: 0.6, k_t: 0.01, Ea: 25000, beta: 0.7, cRateSensitivity: 0.5 },
+    resistance: { k_c: 0.03, k_t: 0.02 }
+  },
+  LFP: {
+    name: 'Lithium iron phosphate',
+    coefficients: { k_c: 0.009, alpha: 0.5, k_t: 0.008, Ea: 27000, beta: 0.6, cRateSensitivity: 0.3 },
+    resistance: { k_c: 0.02, k_t: 0.016 }
+  },
+  NMC: {
+    name: 'Lithium nickel manganese cobalt oxide',
+    coefficients: { k_c: 0.016, alpha: 0.65, k_t: 0.012, Ea: 24000, beta: 0.7, cRateSensitivity: 0.5 },
+    resistance: { k_c: 0.032, k_t: 0.024 }
+  },
+  NCA: {
+    name: 'Lithium nickel cobalt aluminium oxide',
+    coefficients: { k_c: 0.018, alpha: 0.7, k_t: 0.014, Ea: 23000, beta: 0.75, cRateSensitivity: 0.6 },
+    resistance: { k_c: 0.036, k_t: 0.028 }
+  },
+  LTO: {
+    name: 'Lithium titanate',
+    coefficients: { k_c: 0.004, alpha: 0.4, k_t: 0.004, Ea: 30000, beta: 0.55, cRateSensitivity: 0.2 },
+    resistance: { k_c: 0.008, k_t: 0.008 }
+  }
+};
+
+export const CHEMISTRIES = Object.keys(CHEMISTRY_PROFILES);
+
+/**
+ * Resolve a chemistry profile by name
+ * @param {string} [chemistry] - Profile key, defaults to the generic profile
+ * @returns {Object} Profile with its key, display name, coefficients and resistance coefficients
+ */
+export function getChemistryProfile(chemistry = DEFAULT_CHEMISTRY) {
+  const key = chemistry ?? DEFAULT_CHEMISTRY;
+  const profile = CHEMISTRY_PROFILES[key];
+
+  if (!profile) {
+    throw new Error(`Unknown chemistry "${key}". Supported: ${CHEMISTRIES.join(', ')}`);
+  }
+
+  return {
+    chemistry: key,
+    name: profile.name,
+    coefficients: { ...profile.coefficients },
+    resistanceCoefficients: { ...profile.resistance }
+  };
+}
@@ -1,52 +1,132 @@
 import morgan from 'morgan';
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
 
-// Custom Morgan format for development
-const devFormat = ':method :url :status :response-time ms - :res[content-length]';
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
 
-// Custom Morgan format for production (more detailed)
-const prodFormat = ':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent" :response-time ms';
+// Header/field names whose values never reach the logs
+const REDACTED_KEYS = new Set([
+  'authorization',
+  'cookie',
+  'x-api-key',
+  'x-rapidapi-key',
+  'x-rapidapi-proxy-secret',
+  'apikey',
+  'key',
+  'token',
+  'password',
+  'secret'
+]);
+
+// Incoming IDs are echoed back in a header, so only accept plain tokens
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
 
 /**
- * Get Morgan logger middleware based on environment
+ * Current log threshold from LOG_LEVEL (default "info"; "silent" disables logging)
  */
-export function getLogger() {
-  const isDevelopment = process.env.NODE_ENV === 'development';
-
-  if (isDevelopment) {
-    // Colorized output for development
-    return morgan(devFormat, {
-      // Skip logging during tests
-      skip: (req, res) => process.env.NODE_ENV === 'test'
-    });
-  } else {
-    // More detailed logging for production
-    return morgan(prodFormat, {
-      skip: (req, res) => process.env.NODE_ENV === 'test'
-    });
+function threshold() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  if (level === 'silent') return -1;
+  return LEVELS[level] ?? LEVELS.info;
+}
+
+/**
+ * Deep copy with sensitive keys masked
+ * @param {*} value - Value to log
+ * @returns {*} Redacted copy
+ */
+export function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
   }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+      key,
+      REDACTED_KEYS.has(key.toLowerCase()) ? '[REDACTED]' : redact(inner)
+    ]));
+  }
+  return value;
 }
 
 /**
- * Custom logger for application events
+ * Write one JSON log line
+ * The request ID of the active request (if any) is attached automatically.
+ */
+function write(level, message, data = {}) {
+  if (LEVELS[level] > threshold()) {
+    return;
+  }
+
+  const fields = data instanceof Error
+    ? { error: { name: data.name, message: data.message, stack: data.stack } }
+    : data;
+
+  const entry = {
+    level,
+    time: new Date().toISOString(),
+    msg: message,
+    requestId: requestContext.getStore()?.requestId,
+    ...redact(fields)
+  };
+
+  const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Leveled structured logger for application events
  */
 export const logger = {
-  info: (message, data = {}) => {
-    console.log(`[INFO] ${new Date().toISOString()} - ${message}`, data);
-  },
+  error: (message, data) => write('error', message, data),
+  warn: (message, data) => write('warn', message, data),
+  info: (message, data) => write('info', message, data),
+  debug: (message, data) => write('debug', message, data)
+};
 
-  error: (message, error = null) => {
-    console.error(`[ERROR] ${new Date().toISOString()} - ${message}`, error);
-  },
+/**
+ * Middleware assigning each request an ID
+ * Reuses a well-formed incoming X-Request-Id or generates one, echoes it in the
+ * response header, and makes it available to every log line written while the
+ * request is handled.
+ * @returns {Function} Express middleware function
+ */
+export function requestId() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+
+    requestContext.run({ requestId: req.id }, next);
+  };
+}
 
-  warn: (message, data = {}) => {
-    console.warn(`[WARN] ${new Date().toISOString()} - ${message}`, data);
-  },
+// Access log entry: one JSON object per completed request
+const accessFormat = (tokens, req, res) => JSON.stringify({
+  requestId: req.id,
+  method: tokens.method(req, res),
+  url: tokens.url(req, res),
+  status: Number(tokens.status(req, res)) || null,
+  responseTimeMs: Number(tokens['response-time'](req, res)) || null,
+  contentLength: Number(tokens.res(req, res, 'content-length')) || null,
+  remoteAddr: tokens['remote-addr'](req, res),
+  userAgent: tokens['user-agent'](req, res),
+  client: req.apiClient ? `${req.apiClient.source}:${req.apiClient.id}` : undefined,
+  tier: req.apiClient?.tier
+});
 
-  debug: (message, data = {}) => {
-    if (process.env.NODE_ENV === 'development') {
-      console.debug(`[DEBUG] ${new Date().toISOString()} - ${message}`, data);
+/**
+ * Morgan access-log middleware writing through the structured logger
+ */
+export function getLogger() {
+  return morgan(accessFormat, {
+    // Skip logging during tests
+    skip: () => process.env.NODE_ENV === 'test',
+    stream: {
+      write: line => logger.info('request completed', JSON.parse(line))
     }
-  }
-};
+  });
+}
 
-export default { getLogger, logger };
\ No newline at end of file
+export default { getLogger, logger, requestId, redact };
@@ -0,0 +1,31 @@
+/**
+ * API plan tiers and their daily request quotas
+ */
+
+export const DEFAULT_TIER = 'free';
+
+export const PLANS = {
+  free: { name: 'Free', dailyQuota: 100 },
+  basic: { name: 'Basic', dailyQuota: 1000 },
+  pro: { name: 'Pro', dailyQuota: 10000 }
+};
+
+export const TIERS = Object.keys(PLANS);
+
+// RapidAPI X-RapidAPI-Subscription values -> local tiers
+export const RAPIDAPI_SUBSCRIPTION_TIERS = {
+  BASIC: 'free',
+  PRO: 'basic',
+  ULTRA: 'pro',
+  MEGA: 'pro'
+};
+
+/**
+ * Resolve a plan by tier, falling back to the default tier
+ * @param {string} tier - Tier key
+ * @returns {Object} Plan with its tier key
+ */
+export function getPlan(tier) {
+  const key = PLANS[tier] ? tier : DEFAULT_TIER;
+  return { tier: key, ...PLANS[key] };
+}
@@ -0,0 +1,46 @@
+/**
+ * Second-life grading thresholds and stationary applications
+ *
+ * A pack's grade is the worst grade any measured criterion allows: SOH,
+ * internal resistance growth over beginning of life (ratio) and the spread
+ * between the highest and lowest cell voltage. Criteria that were not
+ * measured do not limit the grade.
+ */
+
+// Best grade first; a pack gets the first grade whose limits it meets
+export const SECOND_LIFE_GRADES = [
+  { grade: 'A', minSohPct: 80, maxResistanceGrowth: 1.3, maxCellSpreadMv: 30, description: 'Near first-life performance; suits any stationary use' },
+  { grade: 'B', minSohPct: 70, maxResistanceGrowth: 1.6, maxCellSpreadMv: 50, description: 'Suits home storage and grid buffering' },
+  { grade: 'C', minSohPct: 60, maxResistanceGrowth: 2.0, maxCellSpreadMv: 100, description: 'Suits low-power grid buffering' },
+  { grade: 'D', minSohPct: 0, maxResistanceGrowth: Infinity, maxCellSpreadMv: Infinity, description: 'Not fit for reuse; recycle' }
+];
+
+/**
+ * Applications in order of preference, each with the lowest grade it
+ * accepts, its stationary duty cycle and the SOH at which it retires the pack
+ */
+export const SECOND_LIFE_APPLICATIONS = [
+  {
+    application: 'home-storage',
+    label: 'Home storage',
+    minGrade: 'B',
+    duty: { cyclesPerDay: 1, dodPct: 80, cRate: 0.5, temperature: 25 },
+    retirementSohPct: 60
+  },
+  {
+    application: 'grid-buffer',
+    label: 'Grid buffer',
+    minGrade: 'C',
+    duty: { cyclesPerDay: 2, dodPct: 40, cRate: 1, temperature: 30 },
+    retirementSohPct: 50
+  },
+  {
+    application: 'recycling',
+    label: 'Recycling',
+    minGrade: 'D',
+    duty: null,
+    retirementSohPct: null
+  }
+];
+
+export const GRADE_ORDER = SECOND_LIFE_GRADES.map(({ grade }) => grade);
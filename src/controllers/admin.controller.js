@@ -0,0 +1,59 @@
+import { ApiKeyService } from '../services/apiKey.service.js';
+
+export class AdminController {
+
+  /**
+   * Issue an API key; the plaintext key is only returned in this response
+   * POST /api/admin/keys
+   */
+  static async issueKey(req, res, next) {
+    try {
+      const key = await ApiKeyService.issueKey(req.body);
+
+      res.status(201).json({
+        success: true,
+        data: key,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List issued keys
+   * GET /api/admin/keys
+   */
+  static async listKeys(req, res, next) {
+    try {
+      const keys = await ApiKeyService.listKeys();
+
+      res.status(200).json({
+        success: true,
+        data: keys,
+        count: keys.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke a key
+   * DELETE /api/admin/keys/:id
+   */
+  static async revokeKey(req, res, next) {
+    try {
+      const key = await ApiKeyService.revokeKey(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: key,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,111 @@
+import { AssetService } from '../services/asset.service.js';
+
+// Assets belong to the authenticated API client (null without auth)
+const ownerOf = req => (req.apiClient ? `${req.apiClient.source}:${req.apiClient.id}` : null);
+
+export class AssetController {
+
+  /**
+   * List registered assets
+   * GET /api/battery/assets
+   */
+  static async list(req, res, next) {
+    try {
+      const assets = await AssetService.listAssets();
+
+      res.status(200).json({
+        success: true,
+        data: assets,
+        count: assets.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Register an asset
+   * POST /api/battery/assets
+   */
+  static async create(req, res, next) {
+    try {
+      const asset = await AssetService.createAsset(req.body, ownerOf(req));
+
+      res.status(201).json({
+        success: true,
+        data: asset,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get one asset
+   * GET /api/battery/assets/:id
+   */
+  static async get(req, res, next) {
+    try {
+      const asset = await AssetService.getAsset(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: asset,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update an asset's descriptive fields
+   * PATCH /api/battery/assets/:id
+   */
+  static async update(req, res, next) {
+    try {
+      const asset = await AssetService.updateAsset(req.params.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        data: asset,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete an asset
+   * DELETE /api/battery/assets/:id
+   */
+  static async remove(req, res, next) {
+    try {
+      await AssetService.deleteAsset(req.params.id);
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Append capacity measurements
+   * POST /api/battery/assets/:id/measurements
+   */
+  static async addMeasurements(req, res, next) {
+    try {
+      const asset = await AssetService.addMeasurements(req.params.id, req.body.measurements);
+
+      res.status(201).json({
+        success: true,
+        data: asset,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
@@ -1,4 +1,21 @@
 import { BatteryService } from '../services/battery.service.js';
+import { FleetService } from '../services/fleet.service.js';
+import { ComparisonService } from '../services/comparison.service.js';
+import { SensitivityService } from '../services/sensitivity.service.js';
+import { wantsCsv, writeCsv } from '../utils/csv.js';
+import { getEndpointCatalog } from '../docs/openapi.js';
+import { API_VERSIONS } from '../versions/index.js';
+import { recordAnalysis, recordAssessment } from '../utils/metrics.js';
+import { getChemistryProfile } from '../config/chemistryProfiles.js';
+
+// Columns of the per-battery CSV export of /batch
+const BATCH_CSV_COLUMNS = [
+  'index', 'id', 'success', 'healthPercentage', 'status',
+  'estimatedRemainingUsefulLifeMonths', 'endOfLifeThresholdPct', 'confidence', 'error', 'message'
+];
+
+// Version contract of the request (set by the versioned router)
+const contractOf = req => req.apiVersion ?? API_VERSIONS.v1;
 
 export class BatteryController {
 
@@ -9,10 +26,15 @@ export class BatteryController {
   static async analyzeHealth(req, res, next) {
     try {
       const result = BatteryService.analyzeBatteryHealth(req.body);
+      recordAnalysis(result);
+
+      if (wantsCsv(req)) {
+        return writeCsv(res, result.results.trend, undefined, 'trend.csv');
+      }
 
       res.status(200).json({
         success: true,
-        data: result,
+        data: contractOf(req).serializers.analysis(result),
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -27,10 +49,16 @@ export class BatteryController {
   static async getHealthSummary(req, res, next) {
     try {
       const result = BatteryService.getHealthSummary(req.body);
+      recordAssessment({
+        soh: result.healthPercentage,
+        status: result.status,
+        confidence: result.confidence,
+        chemistry: getChemistryProfile(req.body.chemistry).chemistry
+      });
 
       res.status(200).json({
         success: true,
-        data: result,
+        data: contractOf(req).serializers.health(result),
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -45,17 +73,200 @@ export class BatteryController {
   static async getTrend(req, res, next) {
     try {
       const fullAnalysis = BatteryService.analyzeBatteryHealth(req.body);
+      recordAnalysis(fullAnalysis);
+
+      if (wantsCsv(req)) {
+        return writeCsv(res, fullAnalysis.results.trend, undefined, 'trend.csv');
+      }
+
+      res.status(200).json({
+        success: true,
+        data: contractOf(req).serializers.trend(fullAnalysis),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Project capacity forward to end-of-life
+   * POST /api/battery/forecast
+   */
+  static async forecast(req, res, next) {
+    try {
+      const result = BatteryService.forecastBatteryHealth(req.body);
+
+      res.status(200).json({
+        success: true,
+        data: contractOf(req).serializers.forecast(result),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Evaluate warranty compliance
+   * POST /api/battery/warranty
+   */
+  static async evaluateWarranty(req, res, next) {
+    try {
+      const result = BatteryService.evaluateWarranty(req.body);
+
+      res.status(200).json({
+        success: true,
+        data: contractOf(req).serializers.report(result),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cost-of-degradation economics
+   * POST /api/battery/economics
+   */
+  static async analyzeEconomics(req, res, next) {
+    try {
+      const result = BatteryService.analyzeEconomics(req.body);
+
+      res.status(200).json({
+        success: true,
+        data: contractOf(req).serializers.report(result),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Recommend DoD, C-rate and temperature targets
+   * POST /api/battery/optimize
+   */
+  static async optimizeChargingStrategy(req, res, next) {
+    try {
+      const result = BatteryService.optimizeChargingStrategy(req.body);
+
+      res.status(200).json({
+        success: true,
+        data: contractOf(req).serializers.report(result),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Second-life grade and repurposing assessment
+   * POST /api/battery/second-life
+   */
+  static async assessSecondLife(req, res, next) {
+    try {
+      const result = BatteryService.assessSecondLife(req.body);
+
+      res.status(200).json({
+        success: true,
+        data: contractOf(req).serializers.report(result),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Analysis from a raw BMS log, with the derived inputs
+   * POST /api/battery/ingest-log
+   */
+  static async ingestLog(req, res, next) {
+    try {
+      const { derived, analysis } = BatteryService.ingestBmsLog(req.body);
+
+      res.status(200).json({
+        success: true,
+        data: { derived, analysis: contractOf(req).serializers.analysis(analysis) },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Capacity estimate from partial charge sessions, with the resulting analysis
+   * POST /api/battery/capacity-estimate
+   */
+  static async estimateCapacity(req, res, next) {
+    try {
+      const { estimate, analysis } = BatteryService.estimateCapacityFromSessions(req.body);
+
+      res.status(200).json({
+        success: true,
+        data: { estimate, analysis: contractOf(req).serializers.analysis(analysis) },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * What-if sweep and tornado ranking of the inputs
+   * POST /api/battery/sensitivity
+   */
+  static async analyzeSensitivity(req, res, next) {
+    try {
+      const result = SensitivityService.analyzeSensitivity(req.body);
 
       res.status(200).json({
         success: true,
-        data: {
-          trend: fullAnalysis.results.trend,
-          metadata: {
-            totalCycles: req.body.chargeCycles || 0,
-            currentHealth: fullAnalysis.results.healthPercentage,
-            confidence: fullAnalysis.results.confidence
-          }
-        },
+        data: contractOf(req).serializers.report(result),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Run the payload through each registered degradation model
+   * POST /api/battery/compare
+   */
+  static async compareModels(req, res, next) {
+    try {
+      const result = ComparisonService.compareModels(req.body);
+
+      res.status(200).json({
+        success: true,
+        data: contractOf(req).serializers.report(result),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Analyze a fleet of batteries with per-item errors and aggregates
+   * POST /api/battery/batch
+   */
+  static async analyzeBatch(req, res, next) {
+    try {
+      const { schemas, serializers } = contractOf(req);
+      const result = await FleetService.analyzeBatch(req.body, schemas.analysis);
+
+      if (wantsCsv(req)) {
+        return writeCsv(res, result.results, BATCH_CSV_COLUMNS, 'batch.csv');
+      }
+
+      res.status(200).json({
+        success: true,
+        data: serializers.batch(result),
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -71,23 +282,21 @@ export class BatteryController {
     res.status(200).json({
       success: true,
       message: 'Battery Degradation API is running',
-      version: '1.0.0',
-      endpoints: {
-        analyze: 'POST /api/battery/analyze - Full battery analysis',
-        health: 'POST /api/battery/health - Health summary only',
-        trend: 'POST /api/battery/trend - Trend data only',
-        status: 'GET /api/battery/status - API health check'
-      }
+      version: contractOf(req).name,
+      endpoints: Object.fromEntries(getEndpointCatalog(contractOf(req).name).map(({ name, method, path, summary }) => [
+        name,
+        `${method} ${path} - ${summary}`
+      ]))
     });
   }
 }
 
 // Legacy compatibility functions (if you need them)
 export function calculateHealthAndTrend(payload) {
-  return BatteryService.analyzeBatteryHealth(payload);
+  return API_VERSIONS.v1.serializers.analysis(BatteryService.analyzeBatteryHealth(payload));
 }
 
 export function generateTrendOnly(payload) {
   const fullAnalysis = BatteryService.analyzeBatteryHealth(payload);
-  return fullAnalysis.results.trend;
+  return API_VERSIONS.v1.serializers.trend(fullAnalysis).trend;
 }
\ No newline at end of file
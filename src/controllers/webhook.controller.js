@@ -0,0 +1,113 @@
+import { WebhookService } from '../services/webhook.service.js';
+
+// Subscriptions belong to the authenticated API client (null without auth)
+const ownerOf = req => (req.apiClient ? `${req.apiClient.source}:${req.apiClient.id}` : null);
+
+export class WebhookController {
+
+  /**
+   * Register a subscription; the secret is only returned in this response
+   * POST /api/battery/webhooks
+   */
+  static async create(req, res, next) {
+    try {
+      const subscription = await WebhookService.createSubscription(req.body, ownerOf(req));
+
+      res.status(201).json({
+        success: true,
+        data: subscription,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List subscriptions
+   * GET /api/battery/webhooks
+   */
+  static async list(req, res, next) {
+    try {
+      const subscriptions = await WebhookService.listSubscriptions(ownerOf(req));
+
+      res.status(200).json({
+        success: true,
+        data: subscriptions,
+        count: subscriptions.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get one subscription
+   * GET /api/battery/webhooks/:id
+   */
+  static async get(req, res, next) {
+    try {
+      const subscription = await WebhookService.getSubscription(req.params.id, ownerOf(req));
+
+      res.status(200).json({
+        success: true,
+        data: subscription,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a subscription and its delivery log
+   * DELETE /api/battery/webhooks/:id
+   */
+  static async remove(req, res, next) {
+    try {
+      await WebhookService.deleteSubscription(req.params.id, ownerOf(req));
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delivery log, newest first
+   * GET /api/battery/webhooks/:id/deliveries
+   */
+  static async listDeliveries(req, res, next) {
+    try {
+      await WebhookService.getSubscription(req.params.id, ownerOf(req));
+      const deliveries = await WebhookService.listDeliveries(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: deliveries,
+        count: deliveries.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Send a ping event and report the delivery
+   * POST /api/battery/webhooks/:id/ping
+   */
+  static async ping(req, res, next) {
+    try {
+      const delivery = await WebhookService.ping(req.params.id, ownerOf(req));
+
+      res.status(200).json({
+        success: true,
+        data: delivery,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
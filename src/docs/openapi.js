@@ -0,0 +1,151 @@
+import { readFileSync } from 'fs';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { resolveRoutes } from '../routes/routeTable.js';
+import { CURRENT_API_VERSION, LEGACY_API_BASE } from '../versions/index.js';
+
+const pkg = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+// Express ":param" segments -> OpenAPI "{param}"
+const toOpenApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+const successEnvelope = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean', example: true },
+    data: { type: 'object' },
+    timestamp: { type: 'string', format: 'date-time' }
+  }
+};
+
+const errorEnvelope = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean', example: false },
+    error: { type: 'string' },
+    message: { type: 'string' },
+    details: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { field: { type: 'string' }, message: { type: 'string' } }
+      }
+    },
+    timestamp: { type: 'string', format: 'date-time' }
+  }
+};
+
+const schemaComponentName = name => `${name.charAt(0).toUpperCase()}${name.slice(1)}Request`;
+
+function buildOperation(route) {
+  const operation = {
+    operationId: route.name,
+    summary: route.summary,
+    tags: [route.tag],
+    ...(route.deprecated && { deprecated: true }),
+    ...(route.parameters && { parameters: route.parameters }),
+    ...(route.security === 'admin' && { security: [{ adminToken: [] }] }),
+    responses: {
+      200: {
+        description: 'Successful response',
+        content: {
+          'application/json': { schema: successEnvelope },
+          ...(route.tabular && { 'text/csv': { schema: { type: 'string' } } })
+        }
+      },
+      400: {
+        description: 'Validation error',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      }
+    }
+  };
+
+  if (route.requestSchema) {
+    operation.requestBody = {
+      required: true,
+      content: {
+        'application/json': { schema: { $ref: `#/components/schemas/${schemaComponentName(route.name)}` } },
+        ...(route.tabular && {
+          'text/csv': { schema: { type: 'string', description: 'Header row plus data rows' } },
+          'application/x-ndjson': { schema: { type: 'string', description: 'One JSON object per line' } }
+        })
+      }
+    };
+  }
+
+  return operation;
+}
+
+const cachedDocuments = new Map();
+
+/**
+ * Build the OpenAPI 3 document of one API version from the route table and Zod schemas
+ * @param {string} [version] - API version key (defaults to the current version)
+ * @returns {Object} OpenAPI document (cached after the first call)
+ */
+export function buildOpenApiDocument(version = CURRENT_API_VERSION) {
+  if (cachedDocuments.has(version)) {
+    return cachedDocuments.get(version);
+  }
+
+  const routes = resolveRoutes(version);
+  const paths = {};
+  const schemas = { Error: errorEnvelope };
+
+  for (const route of routes) {
+    const path = toOpenApiPath(route.path);
+    paths[path] ??= {};
+    paths[path][route.method.toLowerCase()] = buildOperation(route);
+
+    if (route.requestSchema) {
+      schemas[schemaComponentName(route.name)] = zodToJsonSchema(route.requestSchema, {
+        target: 'openApi3',
+        $refStrategy: 'none'
+      });
+    }
+  }
+
+  const document = {
+    openapi: '3.0.3',
+    info: {
+      title: `Battery Degradation API ${version}`,
+      version: pkg.version,
+      description: version === 'v1'
+        ? `${pkg.description}. Frozen v1 contract, also served under ${LEGACY_API_BASE}.`
+        : pkg.description
+    },
+    servers: [{ url: '/' }],
+    tags: [...new Set(routes.map(route => route.tag))].map(name => ({ name })),
+    paths,
+    security: [{ apiKey: [] }, { bearerKey: [] }],
+    components: {
+      schemas,
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearerKey: { type: 'http', scheme: 'bearer', description: 'API key as a bearer token' },
+        adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN' }
+      }
+    }
+  };
+
+  cachedDocuments.set(version, document);
+  return document;
+}
+
+/**
+ * Flat endpoint list derived from the OpenAPI document
+ * @param {string} [version] - API version key
+ * @returns {Array} { name, method, path, summary, deprecated }
+ */
+export function getEndpointCatalog(version = CURRENT_API_VERSION) {
+  const { paths } = buildOpenApiDocument(version);
+
+  return Object.entries(paths).flatMap(([path, operations]) =>
+    Object.entries(operations).map(([method, operation]) => ({
+      name: operation.operationId,
+      method: method.toUpperCase(),
+      path,
+      summary: operation.summary,
+      deprecated: !!operation.deprecated
+    }))
+  );
+}
@@ -0,0 +1,104 @@
+// Offline renderer for /api/openapi.json (no external assets so it works behind strict CSP)
+(function () {
+  'use strict';
+
+  function el(tag, attrs, children) {
+    var node = document.createElement(tag);
+    Object.keys(attrs || {}).forEach(function (key) { node.setAttribute(key, attrs[key]); });
+    (children || []).forEach(function (child) {
+      node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    });
+    return node;
+  }
+
+  function describeType(schema) {
+    if (!schema) return '';
+    if (schema.enum) return schema.enum.join(' | ');
+    if (schema.type === 'array') return 'array of ' + (describeType(schema.items) || 'object');
+    var range = [];
+    if (schema.minimum !== undefined) range.push('min ' + schema.minimum);
+    if (schema.maximum !== undefined) range.push('max ' + schema.maximum);
+    return (schema.type || 'object') + (range.length ? ' (' + range.join(', ') + ')' : '');
+  }
+
+  function propertiesTable(schema) {
+    var properties = (schema && schema.properties) || {};
+    var required = (schema && schema.required) || [];
+    var rows = Object.keys(properties).map(function (name) {
+      var prop = properties[name];
+      return el('tr', {}, [
+        el('td', {}, [el('code', {}, [name])]),
+        el('td', {}, [describeType(prop)]),
+        el('td', {}, [required.indexOf(name) >= 0 ? 'yes' : 'no']),
+        el('td', {}, [prop.default !== undefined ? JSON.stringify(prop.default) : ''])
+      ]);
+    });
+    return el('table', {}, [
+      el('tr', {}, [el('th', {}, ['Field']), el('th', {}, ['Type']), el('th', {}, ['Required']), el('th', {}, ['Default'])])
+    ].concat(rows));
+  }
+
+  function resolve(spec, schema) {
+    if (schema && schema.$ref) {
+      return schema.$ref.split('/').slice(1).reduce(function (node, key) { return node[key]; }, spec);
+    }
+    return schema;
+  }
+
+  function renderOperation(spec, path, method, operation) {
+    var body = [];
+    if (operation.deprecated) body.push(el('p', {}, ['Deprecated.']));
+    if (operation.parameters) {
+      body.push(el('h4', {}, ['Parameters']));
+      body.push(el('table', {}, [
+        el('tr', {}, [el('th', {}, ['Name']), el('th', {}, ['In']), el('th', {}, ['Description'])])
+      ].concat(operation.parameters.map(function (p) {
+        return el('tr', {}, [el('td', {}, [el('code', {}, [p.name])]), el('td', {}, [p.in]), el('td', {}, [p.description || ''])]);
+      }))));
+    }
+    if (operation.requestBody) {
+      var content = operation.requestBody.content;
+      body.push(el('h4', {}, ['Request body (' + Object.keys(content).join(', ') + ')']));
+      body.push(propertiesTable(resolve(spec, content['application/json'].schema)));
+    }
+    body.push(el('h4', {}, ['Responses']));
+    body.push(el('p', {}, [Object.keys(operation.responses).map(function (code) {
+      return code + ' ' + operation.responses[code].description;
+    }).join(' · ')]));
+
+    return el('details', {}, [
+      el('summary', {}, [
+        el('span', { class: 'method ' + method }, [method.toUpperCase()]),
+        el('span', { class: 'path' + (operation.deprecated ? ' deprecated' : '') }, [path]),
+        ' - ' + operation.summary
+      ])
+    ].concat(body));
+  }
+
+  function render(spec) {
+    document.getElementById('title').textContent = spec.info.title + ' v' + spec.info.version;
+    document.getElementById('description').textContent = spec.info.description || '';
+
+    var container = document.getElementById('operations');
+    container.textContent = '';
+
+    (spec.tags || []).forEach(function (tag) {
+      container.appendChild(el('h2', {}, [tag.name]));
+      Object.keys(spec.paths).forEach(function (path) {
+        Object.keys(spec.paths[path]).forEach(function (method) {
+          var operation = spec.paths[path][method];
+          if (operation.tags.indexOf(tag.name) >= 0) {
+            container.appendChild(renderOperation(spec, path, method, operation));
+          }
+        });
+      });
+    });
+  }
+
+  fetch('/api/openapi.json')
+    .then(function (response) { return response.json(); })
+    .then(render)
+    .catch(function (error) {
+      document.getElementById('operations').textContent = 'Failed to load specification: ' + error.message;
+    });
+})();
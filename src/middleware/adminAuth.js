@@ -0,0 +1,32 @@
+import { secretsMatch } from './rapidapi.js';
+
+/**
+ * Middleware guarding the admin API with the ADMIN_TOKEN bearer token
+ * The admin API is disabled (404) while ADMIN_TOKEN is unset.
+ * @returns {Function} Express middleware function
+ */
+export function adminAuth() {
+    return (req, res, next) => {
+        const expected = process.env.ADMIN_TOKEN;
+        if (!expected) {
+            return res.status(404).json({
+                success: false,
+                error: 'Not Found',
+                message: 'Admin API is disabled (ADMIN_TOKEN not set)',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        if (scheme?.toLowerCase() !== 'bearer' || !token || !secretsMatch(token, expected)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'Valid admin token required',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        next();
+    };
+}
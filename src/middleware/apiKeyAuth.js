@@ -0,0 +1,54 @@
+import { ApiKeyService } from '../services/apiKey.service.js';
+import { rapidAPIAuth } from './rapidapi.js';
+
+/**
+ * Read the key from X-API-Key or an Authorization: Bearer header
+ */
+function readApiKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) {
+        return header.trim();
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    return scheme?.toLowerCase() === 'bearer' && token ? token.trim() : null;
+}
+
+const unauthorized = (res, message) => res.status(401).json({
+    success: false,
+    error: 'Unauthorized',
+    message,
+    timestamp: new Date().toISOString()
+});
+
+/**
+ * Middleware authenticating API clients
+ * Requests relayed by RapidAPI (X-RapidAPI-Proxy-Secret present) are handled
+ * by rapidAPIAuth; all others need a key issued through the admin API. On
+ * success `req.apiClient` is set to { source, id, tier }.
+ * @returns {Function} Express middleware function
+ */
+export function apiKeyAuth() {
+    return async (req, res, next) => {
+        if (req.headers['x-rapidapi-proxy-secret']) {
+            return rapidAPIAuth(req, res, next);
+        }
+
+        const key = readApiKey(req);
+        if (!key) {
+            return unauthorized(res, 'API key required (X-API-Key header or Authorization: Bearer)');
+        }
+
+        try {
+            const record = await ApiKeyService.verifyKey(key);
+            if (!record) {
+                return unauthorized(res, 'Invalid or revoked API key');
+            }
+
+            req.apiClient = { source: 'apiKey', id: record.id, tier: record.tier };
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
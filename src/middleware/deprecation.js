@@ -0,0 +1,22 @@
+/**
+ * Middleware marking a route as deprecated (RFC 9745 / RFC 8594 headers)
+ * @param {Object} options
+ * @param {string} options.since - ISO date the route was deprecated
+ * @param {string} [options.successor] - Path of the replacement route
+ * @param {string} [options.sunset] - ISO date after which the route may be removed
+ * @returns {Function} Express middleware function
+ */
+export function deprecated({ since, successor, sunset }) {
+    const deprecation = `@${Math.floor(Date.parse(since) / 1000)}`;
+
+    return (req, res, next) => {
+        res.setHeader('Deprecation', deprecation);
+        if (successor) {
+            res.setHeader('Link', `<${successor}>; rel="successor-version"`);
+        }
+        if (sunset) {
+            res.setHeader('Sunset', new Date(sunset).toUTCString());
+        }
+        next();
+    };
+}
@@ -1,16 +1,24 @@
+import { getEndpointCatalog } from '../docs/openapi.js';
+import { logger } from '../config/logger.js';
+
 /**
  * Global error handling middleware for Express
  * This should be the last middleware in your app
  */
 export function errorHandler(err, req, res, next) {
-  // Log the error for debugging
-  console.error('Error occurred:', {
-    message: err.message,
-    stack: err.stack,
-    url: req.url,
+  // Client errors are expected traffic; only server errors carry a stack
+  const logStatus = err.statusCode || err.status
+    || (err.message?.includes('Battery analysis failed') ? 422 : 500);
+  const level = logStatus >= 500 ? 'error' : 'warn';
+  logger[level]('Request failed', {
     method: req.method,
-    body: req.body,
-    timestamp: new Date().toISOString()
+    url: req.originalUrl,
+    status: logStatus,
+    error: {
+      name: err.name,
+      message: err.message,
+      ...(logStatus >= 500 && { stack: err.stack })
+    }
   });
 
   // Handle specific error types
@@ -74,12 +82,10 @@ export function notFoundHandler(req, res) {
     success: false,
     error: 'Not Found',
     message: `Route ${req.method} ${req.path} not found`,
-    availableEndpoints: {
-      'POST /api/battery/analyze': 'Full battery analysis',
-      'POST /api/battery/health': 'Health summary only',
-      'POST /api/battery/trend': 'Trend data only',
-      'GET /api/battery/status': 'API health check'
-    },
+    availableEndpoints: Object.fromEntries(getEndpointCatalog().map(({ method, path, summary }) => [
+      `${method} ${path}`,
+      summary
+    ])),
     timestamp: new Date().toISOString()
   });
 }
\ No newline at end of file
@@ -1,23 +1,50 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { RAPIDAPI_SUBSCRIPTION_TIERS, DEFAULT_TIER } from '../config/plans.js';
+
+/**
+ * Constant-time string comparison (hashing first equalizes the lengths)
+ */
+export function secretsMatch(provided, expected) {
+    const digest = value => createHash('sha256').update(String(value)).digest();
+    return timingSafeEqual(digest(provided), digest(expected));
+}
+
+/**
+ * Authenticate requests relayed by the RapidAPI proxy
+ * RapidAPI checks the subscriber's key itself and forwards the request with the
+ * shared X-RapidAPI-Proxy-Secret, which must match RAPIDAPI_PROXY_SECRET. The
+ * subscription plan header selects the local quota tier.
+ */
 export function rapidAPIAuth(req, res, next) {
-    // RapidAPI sends these headers
-    const rapidAPIKey = req.headers['x-rapidapi-key'];
-    const rapidAPIHost = req.headers['x-rapidapi-host'];
-    const rapidAPIUser = req.headers['x-rapidapi-user'];
+    const expected = process.env.RAPIDAPI_PROXY_SECRET;
+    const proxySecret = req.headers['x-rapidapi-proxy-secret'];
 
-    if (!rapidAPIKey) {
-        return res.status(401).json({
+    if (!expected || !proxySecret || !secretsMatch(proxySecret, expected)) {
+        return res.status(403).json({
             success: false,
-            error: 'Unauthorized',
-            message: 'API key required'
+            error: 'Forbidden',
+            message: 'Invalid RapidAPI proxy secret',
+            timestamp: new Date().toISOString()
         });
     }
 
+    // RapidAPI sends these headers
+    const rapidAPIHost = req.headers['x-rapidapi-host'];
+    const rapidAPIUser = req.headers['x-rapidapi-user'];
+    const subscription = String(req.headers['x-rapidapi-subscription'] || '').toUpperCase();
+
     // Store user info for analytics
     req.rapidAPI = {
-        key: rapidAPIKey,
         host: rapidAPIHost,
-        user: rapidAPIUser
+        user: rapidAPIUser,
+        subscription
+    };
+
+    req.apiClient = {
+        source: 'rapidapi',
+        id: rapidAPIUser || 'anonymous',
+        tier: RAPIDAPI_SUBSCRIPTION_TIERS[subscription] || DEFAULT_TIER
     };
 
     next();
-}
\ No newline at end of file
+}
@@ -1,20 +1,46 @@
 import rateLimit from 'express-rate-limit';
+import { getPlan } from '../config/plans.js';
 
-export const createRateLimit = (requests, windowMs) => {
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Per-client quota limiter
+ * Runs after apiKeyAuth: the limit comes from the client's plan tier and the
+ * counter is keyed by client, so every key (or RapidAPI user) has its own
+ * daily quota. Standard RateLimit-* headers report the remaining quota.
+ * @param {Object} [options]
+ * @param {number} [options.windowMs] - Quota window (default one day)
+ * @param {Object} [options.store] - express-rate-limit store (default in-memory)
+ * @returns {Function} Express middleware function
+ */
+export const createTierRateLimit = ({ windowMs = DAY_MS, store } = {}) => {
     return rateLimit({
         windowMs,
-        max: requests,
-        message: {
-            success: false,
-            error: 'Rate limit exceeded',
-            message: `Too many requests. Limit: ${requests} per ${windowMs / 1000}s`
-        },
+        limit: req => getPlan(req.apiClient?.tier).dailyQuota,
+        keyGenerator: req => req.apiClient ? `${req.apiClient.source}:${req.apiClient.id}` : `ip:${req.ip}`,
         standardHeaders: true,
         legacyHeaders: false,
+        // Clients are identified by key, not IP, so proxy headers don't matter here
+        validate: { xForwardedForHeader: false },
+        ...(store && { store }),
+        handler: (req, res, next, options) => {
+            const plan = getPlan(req.apiClient?.tier);
+            res.status(options.statusCode).json({
+                success: false,
+                error: 'Rate limit exceeded',
+                message: `Too many requests. ${plan.name} plan limit: ${plan.dailyQuota} per ${windowMs / 1000}s`,
+                timestamp: new Date().toISOString()
+            });
+        }
     });
 };
 
-// Different limits for different plans
-export const freeTierLimit = createRateLimit(100, 24 * 60 * 60 * 1000); // 100/day
-export const basicTierLimit = createRateLimit(1000, 24 * 60 * 60 * 1000); // 1000/day
-export const proTierLimit = createRateLimit(10000, 24 * 60 * 60 * 1000); // 10000/day
\ No newline at end of file
+/**
+ * Expose the resolved plan tier to clients
+ */
+export function tierHeader(req, res, next) {
+    if (req.apiClient) {
+        res.setHeader('X-API-Tier', getPlan(req.apiClient.tier).tier);
+    }
+    next();
+}
@@ -0,0 +1,21 @@
+import { AssetService } from '../services/asset.service.js';
+
+/**
+ * Middleware that expands `assetId` in the request body into the asset's
+ * stored battery parameters before validation
+ * @returns {Function} Express middleware function
+ */
+export function resolveAsset() {
+  return async (req, res, next) => {
+    if (!req.body?.assetId) {
+      return next();
+    }
+
+    try {
+      req.body = await AssetService.mergeIntoInput(req.body);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
@@ -0,0 +1,105 @@
+import express from 'express';
+import { coerceNumbers, parseCsv, parseNdjson } from '../utils/csv.js';
+import { NUMERIC_ANALYSIS_FIELDS, batteryAnalysisSchema } from '../schemas/battery.schema.js';
+
+const TABULAR_TYPES = ['text/csv', 'application/x-ndjson'];
+
+// Identification fields accepted alongside the schema fields
+const EXTRA_FIELDS = ['id', 'assetId'];
+
+const normalize = name => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Build the header -> field mapping
+ * Explicit mappings come from `?columns=Header:field,...` or an `X-Column-Map`
+ * JSON header; otherwise headers are matched to schema fields ignoring case,
+ * spaces and punctuation (e.g. "charge_cycles" -> chargeCycles).
+ */
+function columnMapping(req) {
+  const explicit = {};
+
+  if (req.query.columns) {
+    for (const pair of String(req.query.columns).split(',')) {
+      const [header, field] = pair.split(':').map(part => part?.trim());
+      if (header && field) explicit[header] = field;
+    }
+  }
+
+  if (req.get('X-Column-Map')) {
+    try {
+      Object.assign(explicit, JSON.parse(req.get('X-Column-Map')));
+    } catch {
+      throw new Error('X-Column-Map header must be a JSON object of { "header": "field" }');
+    }
+  }
+
+  const fields = [...Object.keys(batteryAnalysisSchema.shape), ...EXTRA_FIELDS];
+  const byNormalizedName = new Map(fields.map(field => [normalize(field), field]));
+
+  return header => explicit[header] ?? byNormalizedName.get(normalize(header)) ?? header;
+}
+
+function mapRow(row, mapHeader) {
+  return Object.fromEntries(Object.entries(row).map(([header, value]) => [mapHeader(header), value]));
+}
+
+/**
+ * Middleware accepting text/csv and application/x-ndjson bodies
+ * JSON bodies pass through untouched.
+ * @param {Object} options
+ * @param {'single'|'batch'} options.mode - "single" requires exactly one row and
+ *   uses it as the body; "batch" wraps all rows as { batteries } and reads the
+ *   batch options (worstN, eolWithinMonths, includeDetails) from the query string
+ * @returns {Function[]} Express middleware chain
+ */
+export function tabularBody({ mode = 'single' } = {}) {
+  const parseText = express.text({ type: TABULAR_TYPES, limit: '10mb' });
+
+  const convert = (req, res, next) => {
+    if (!req.is(TABULAR_TYPES)) {
+      return next();
+    }
+
+    let rows;
+    try {
+      const text = typeof req.body === 'string' ? req.body : '';
+      const mapHeader = columnMapping(req);
+      // CSV fields arrive as strings: only the schema's numeric fields become numbers
+      rows = req.is('text/csv')
+        ? parseCsv(text).map(row => coerceNumbers(mapRow(row, mapHeader), NUMERIC_ANALYSIS_FIELDS))
+        : parseNdjson(text).map(row => mapRow(row, mapHeader));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (mode === 'batch') {
+      const { worstN, eolWithinMonths, includeDetails } = req.query;
+      req.body = {
+        batteries: rows,
+        ...(worstN !== undefined && { worstN: Number(worstN) }),
+        ...(eolWithinMonths !== undefined && { eolWithinMonths: Number(eolWithinMonths) }),
+        ...(includeDetails !== undefined && { includeDetails: includeDetails === 'true' })
+      };
+      return next();
+    }
+
+    if (rows.length !== 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: `Expected exactly one data row, received ${rows.length}. Use POST ${req.baseUrl}/batch for multiple batteries.`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.body = rows[0];
+    next();
+  };
+
+  return [parseText, convert];
+}
@@ -1,4 +1,18 @@
 import { ZodError } from 'zod';
+import { recordValidationFailure } from '../utils/metrics.js';
+
+/**
+ * Format Zod issues as field/message pairs for API responses
+ * @param {ZodError} error - Zod validation error
+ * @returns {Array} Validation error details
+ */
+export function formatZodErrors(error) {
+  return error.errors.map(err => ({
+    field: err.path.join('.'),
+    message: err.message,
+    received: err.received
+  }));
+}
 
 /**
  * Middleware to validate request body against Zod schema
@@ -18,11 +32,8 @@ export function validateRequest(schema) {
     } catch (error) {
       if (error instanceof ZodError) {
         // Format Zod validation errors
-        const validationErrors = error.errors.map(err => ({
-          field: err.path.join('.'),
-          message: err.message,
-          received: err.received
-        }));
+        const validationErrors = formatZodErrors(error);
+        recordValidationFailure(req, validationErrors);
 
         return res.status(400).json({
           success: false,
@@ -34,6 +45,7 @@ export function validateRequest(schema) {
       }
 
       // Handle other validation errors
+      recordValidationFailure(req, [{ field: '' }]);
       return res.status(400).json({
         success: false,
         error: 'Validation Error',
@@ -57,11 +69,8 @@ export function validateQuery(schema) {
       next();
     } catch (error) {
       if (error instanceof ZodError) {
-        const validationErrors = error.errors.map(err => ({
-          field: err.path.join('.'),
-          message: err.message,
-          received: err.received
-        }));
+        const validationErrors = formatZodErrors(error);
+        recordValidationFailure(req, validationErrors.map(detail => ({ ...detail, field: `query.${detail.field}` })));
 
         return res.status(400).json({
           success: false,
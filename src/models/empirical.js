@@ -0,0 +1,17 @@
+import { computeDegradation } from '../utils/degradationCalculator.js';
+
+/**
+ * The production model: sqrt-cycle fade plus Arrhenius power-law calendar fade
+ * (see utils/degradationCalculator.js), including temperature histograms and
+ * duty-cycle distributions.
+ */
+export const empiricalModel = {
+  name: 'empirical',
+  label: 'Empirical sqrt-cycle + Arrhenius calendar',
+  description: 'k_c·(DoD/100)^alpha·sqrt(N) + k_t·Arrhenius(T)·t^beta (the model behind /analyze)',
+  parameters: coefficients => ({ ...coefficients }),
+  fade: (payload, params) => {
+    const { fadeFractions } = computeDegradation({ ...payload, currentCapacity: null }, 1.0, params);
+    return fadeFractions.cycle + fadeFractions.calendar;
+  }
+};
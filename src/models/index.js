@@ -0,0 +1,51 @@
+import { empiricalModel } from './empirical.js';
+import { linearCycleModel } from './linearCycle.js';
+import { wohlerModel } from './wohler.js';
+import { seiGrowthModel } from './seiGrowth.js';
+
+/**
+ * Degradation model registry used by POST /compare
+ * A model is { name, label, description, parameters(coefficients),
+ * fade(payload, params) } where fade returns the capacity loss as a fraction
+ * of nominal for the payload's chargeCycles and calendar age. Register
+ * additional models with registerModel before the first request.
+ */
+const models = new Map();
+
+export const DEFAULT_MODEL = 'empirical';
+
+export function registerModel(model) {
+  if (!model?.name || typeof model.fade !== 'function' || typeof model.parameters !== 'function') {
+    throw new Error('A model needs a name, parameters(coefficients) and fade(payload, params)');
+  }
+  models.set(model.name, model);
+}
+
+/**
+ * Get a registered model
+ * @param {string} name - Model name
+ * @returns {Object} Model definition
+ */
+export function getModel(name) {
+  const model = models.get(name);
+
+  if (!model) {
+    throw new Error(`Unknown model "${name}". Registered: ${listModels().join(', ')}`);
+  }
+
+  return model;
+}
+
+export function hasModel(name) {
+  return models.has(name);
+}
+
+/**
+ * Names of all registered models, in registration order
+ * @returns {string[]}
+ */
+export function listModels() {
+  return [...models.keys()];
+}
+
+[empiricalModel, linearCycleModel, wohlerModel, seiGrowthModel].forEach(registerModel);
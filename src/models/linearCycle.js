@@ -0,0 +1,22 @@
+import { operatingPoint, relativeArrhenius, cRateAcceleration } from './shared.js';
+
+/**
+ * Constant fade per unit of energy throughput plus linear calendar fade
+ */
+export const linearCycleModel = {
+  name: 'linear-cycle',
+  label: 'Linear cycle fade',
+  description: 'fadePerCycle·N·(DoD/100)·C-rate uplift + calendarFadePerYear·Arrhenius(T)·t',
+  parameters: coefficients => ({
+    fadePerCycle: 1.2e-4,
+    calendarFadePerYear: 0.01,
+    Ea: coefficients.Ea,
+    cRateSensitivity: coefficients.cRateSensitivity
+  }),
+  fade: (payload, params) => {
+    const { cycles, years, dodPct, cRate, temperature } = operatingPoint(payload);
+    const cycleFade = params.fadePerCycle * cycles * (dodPct / 100) * cRateAcceleration(cRate, params.cRateSensitivity);
+    const calendarFade = params.calendarFadePerYear * relativeArrhenius(temperature, params.Ea) * years;
+    return cycleFade + calendarFade;
+  }
+};
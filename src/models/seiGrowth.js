@@ -0,0 +1,30 @@
+import { operatingPoint, relativeArrhenius, cRateAcceleration } from './shared.js';
+
+/**
+ * Semi-empirical SEI growth
+ * Lithium loss to the SEI layer: a saturating formation term plus
+ * diffusion-limited sqrt growth, both in an equivalent time that combines
+ * Arrhenius-scaled storage time with the time-equivalent of cycling:
+ *   t_eff = Arrhenius(T)·t + cycleYears·N·(DoD/100)·C-rate uplift
+ *   fade  = formationLoss·(1 - exp(-t_eff/formationTau)) + growthRate·sqrt(t_eff)
+ */
+export const seiGrowthModel = {
+  name: 'sei-growth',
+  label: 'Semi-empirical SEI growth',
+  description: 'formationLoss·(1 - exp(-t_eff/tau)) + growthRate·sqrt(t_eff), t_eff from storage time and cycling',
+  parameters: coefficients => ({
+    formationLoss: 0.03,
+    formationTau: 0.25,
+    growthRate: 0.025,
+    cycleYears: 0.002,
+    Ea: coefficients.Ea,
+    cRateSensitivity: coefficients.cRateSensitivity
+  }),
+  fade: (payload, params) => {
+    const { cycles, years, dodPct, cRate, temperature } = operatingPoint(payload);
+    const effectiveYears = relativeArrhenius(temperature, params.Ea) * years
+      + params.cycleYears * cycles * (dodPct / 100) * cRateAcceleration(cRate, params.cRateSensitivity);
+    return params.formationLoss * (1 - Math.exp(-effectiveYears / params.formationTau))
+      + params.growthRate * Math.sqrt(effectiveYears);
+  }
+};
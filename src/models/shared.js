@@ -0,0 +1,53 @@
+/**
+ * Operating-point helpers shared by the alternative degradation models
+ *
+ * These models evaluate a single operating point (avgTemperature, dodPct,
+ * cRate); temperature histograms and duty-cycle distributions are only used
+ * by the empirical model.
+ */
+
+const R = 8.314; // J/mol·K
+const T_REF = 298.15; // 25 °C
+
+/**
+ * Arrhenius acceleration relative to 25 °C
+ * @param {number} temperature - °C
+ * @param {number} Ea - Activation energy (J/mol)
+ * @returns {number} Rate multiplier (1 at 25 °C)
+ */
+export function relativeArrhenius(temperature, Ea) {
+  return Math.exp((-Ea / R) * (1 / (temperature + 273.15) - 1 / T_REF));
+}
+
+/**
+ * Linear C-rate uplift beyond 1C, as in the empirical model
+ */
+export function cRateAcceleration(cRate, sensitivity) {
+  return cRate > 1 ? 1 + (cRate - 1) * sensitivity : 1.0;
+}
+
+/**
+ * Operating point of a payload
+ * @param {Object} payload - Battery parameters
+ * @returns {Object} { cycles, years, dodPct, cRate, temperature, eolPct }
+ */
+export function operatingPoint(payload) {
+  const {
+    chargeCycles = 0,
+    calendarAgeMonths,
+    calendarAgeYears,
+    dodPct = 80,
+    cRate = 0.8,
+    avgTemperature = 25,
+    eolPct = 70
+  } = payload;
+
+  return {
+    cycles: Math.max(chargeCycles, 0),
+    years: Math.max(typeof calendarAgeYears === 'number' ? calendarAgeYears : (calendarAgeMonths || 0) / 12, 0),
+    dodPct,
+    cRate,
+    temperature: avgTemperature ?? 25,
+    eolPct
+  };
+}
@@ -0,0 +1,29 @@
+import { operatingPoint, relativeArrhenius, cRateAcceleration } from './shared.js';
+
+/**
+ * Wöhler (S-N) power law with Miner damage accumulation
+ *   N_f(DoD) = cyclesToEolAtFullDoD · (DoD/100)^-wohlerExponent
+ *   cycle fade = EOL fade · (C-rate uplift · N / N_f)^damageExponent
+ * plus sqrt-time calendar fade.
+ */
+export const wohlerModel = {
+  name: 'wohler',
+  label: 'Power-law Wöhler',
+  description: 'EOL fade·(N/N_f(DoD))^z with N_f = N_100·(DoD/100)^-k, plus c·Arrhenius(T)·sqrt(t)',
+  parameters: coefficients => ({
+    cyclesToEolAtFullDoD: 2000,
+    wohlerExponent: 1.3,
+    damageExponent: 0.8,
+    calendarFadePerSqrtYear: 0.015,
+    Ea: coefficients.Ea,
+    cRateSensitivity: coefficients.cRateSensitivity
+  }),
+  fade: (payload, params) => {
+    const { cycles, years, dodPct, cRate, temperature, eolPct } = operatingPoint(payload);
+    const cyclesToFailure = params.cyclesToEolAtFullDoD * Math.pow(Math.max(dodPct, 1) / 100, -params.wohlerExponent);
+    const damage = (cycles / cyclesToFailure) * cRateAcceleration(cRate, params.cRateSensitivity);
+    const cycleFade = (1 - eolPct / 100) * Math.pow(damage, params.damageExponent);
+    const calendarFade = params.calendarFadePerSqrtYear * relativeArrhenius(temperature, params.Ea) * Math.sqrt(years);
+    return cycleFade + calendarFade;
+  }
+};
@@ -0,0 +1,21 @@
+import express from 'express';
+import { AdminController } from '../controllers/admin.controller.js';
+import { adminAuth } from '../middleware/adminAuth.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { apiKeyIssueSchema } from '../schemas/apiKey.schema.js';
+
+const router = express.Router();
+
+router.use(adminAuth());
+
+// API key management
+router.get('/keys', AdminController.listKeys);
+
+router.post('/keys',
+    validateRequest(apiKeyIssueSchema),
+    AdminController.issueKey
+);
+
+router.delete('/keys/:id', AdminController.revokeKey);
+
+export default router;
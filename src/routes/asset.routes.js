@@ -0,0 +1,31 @@
+import express from 'express';
+import { AssetController } from '../controllers/asset.controller.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { assetCreateSchema, assetUpdateSchema, assetMeasurementsSchema } from '../schemas/asset.schema.js';
+
+const router = express.Router();
+
+// Asset registry
+router.get('/', AssetController.list);
+
+router.post('/',
+    validateRequest(assetCreateSchema),
+    AssetController.create
+);
+
+router.get('/:id', AssetController.get);
+
+router.patch('/:id',
+    validateRequest(assetUpdateSchema),
+    AssetController.update
+);
+
+router.delete('/:id', AssetController.remove);
+
+// Append capacity checks to an asset
+router.post('/:id/measurements',
+    validateRequest(assetMeasurementsSchema),
+    AssetController.addMeasurements
+);
+
+export default router;
@@ -1,35 +1,157 @@
 import express from 'express';
 import { BatteryController } from '../controllers/battery.controller.js';
 import { validateRequest } from '../middleware/validateRequest.js';
-import { batteryAnalysisSchema, batteryHealthSchema } from '../schemas/battery.schema.js';
-
-const router = express.Router();
-
-// Main battery analysis endpoint (full analysis with trend)
-router.post('/analyze',
-    validateRequest(batteryAnalysisSchema),
-    BatteryController.analyzeHealth
-);
-
-// Simplified health summary endpoint
-router.post('/health',
-    validateRequest(batteryHealthSchema),
-    BatteryController.getHealthSummary
-);
-
-// Trend data only endpoint
-router.post('/trend',
-    validateRequest(batteryAnalysisSchema),
-    BatteryController.getTrend
-);
-
-// API health check
-router.get('/status', BatteryController.healthCheck);
-
-// Legacy compatibility routes (if needed)
-router.post('/calculate',
-    validateRequest(batteryAnalysisSchema),
-    BatteryController.analyzeHealth
-);
-
-export default router;
\ No newline at end of file
+import { resolveAsset } from '../middleware/resolveAsset.js';
+import { tabularBody } from '../middleware/tabularBody.js';
+import { deprecated } from '../middleware/deprecation.js';
+import assetRoutes from './asset.routes.js';
+import webhookRoutes from './webhook.routes.js';
+import { API_VERSIONS, CURRENT_API_VERSION, apiBase } from '../versions/index.js';
+import {
+    batteryCapacityEstimateSchema,
+    batteryCompareSchema,
+    batteryEconomicsSchema,
+    batteryLogSchema,
+    batteryOptimizeSchema,
+    batterySecondLifeSchema,
+    batterySensitivitySchema,
+    batteryWarrantySchema
+} from '../schemas/battery.schema.js';
+
+/**
+ * Build the battery router for one API version
+ * Routes validate against the version's schemas and controllers serialize
+ * through its serializers (via req.apiVersion).
+ * @param {Object} version - Contract from API_VERSIONS
+ * @returns {Object} Express router
+ */
+export function createBatteryRouter(version) {
+    const { schemas } = version;
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        req.apiVersion = version;
+        next();
+    });
+
+    // Main battery analysis endpoint (full analysis with trend)
+    router.post('/analyze',
+        tabularBody(),
+        resolveAsset(),
+        validateRequest(schemas.analysis),
+        BatteryController.analyzeHealth
+    );
+
+    // Simplified health summary endpoint
+    router.post('/health',
+        resolveAsset(),
+        validateRequest(schemas.health),
+        BatteryController.getHealthSummary
+    );
+
+    // Trend data only endpoint
+    router.post('/trend',
+        tabularBody(),
+        resolveAsset(),
+        validateRequest(schemas.analysis),
+        BatteryController.getTrend
+    );
+
+    // Forward projection to end-of-life
+    router.post('/forecast',
+        resolveAsset(),
+        validateRequest(schemas.forecast),
+        BatteryController.forecast
+    );
+
+    // Compliance with OEM warranty terms
+    router.post('/warranty',
+        resolveAsset(),
+        validateRequest(batteryWarrantySchema),
+        BatteryController.evaluateWarranty
+    );
+
+    // Levelized cost, marginal degradation cost and optimal replacement
+    router.post('/economics',
+        resolveAsset(),
+        validateRequest(batteryEconomicsSchema),
+        BatteryController.analyzeEconomics
+    );
+
+    // Operating point with the longest remaining life under constraints
+    router.post('/optimize',
+        resolveAsset(),
+        validateRequest(batteryOptimizeSchema),
+        BatteryController.optimizeChargingStrategy
+    );
+
+    // Grade and applications for a retired pack's second life
+    router.post('/second-life',
+        resolveAsset(),
+        validateRequest(batterySecondLifeSchema),
+        BatteryController.assessSecondLife
+    );
+
+    // Rainflow-counted cycles and operating statistics from a raw BMS log
+    router.post('/ingest-log',
+        resolveAsset(),
+        validateRequest(batteryLogSchema),
+        BatteryController.ingestLog
+    );
+
+    // Usable capacity from partial charge sessions, fed in as the measured capacity
+    router.post('/capacity-estimate',
+        resolveAsset(),
+        validateRequest(batteryCapacityEstimateSchema),
+        BatteryController.estimateCapacity
+    );
+
+    // SOH/RUL grid over one or two inputs and tornado ranking of every input
+    router.post('/sensitivity',
+        resolveAsset(),
+        validateRequest(batterySensitivitySchema),
+        BatteryController.analyzeSensitivity
+    );
+
+    // Same payload through every registered degradation model
+    router.post('/compare',
+        resolveAsset(),
+        validateRequest(batteryCompareSchema),
+        BatteryController.compareModels
+    );
+
+    // Fleet batch analysis (each item validated separately)
+    router.post('/batch',
+        tabularBody({ mode: 'batch' }),
+        validateRequest(schemas.batch),
+        BatteryController.analyzeBatch
+    );
+
+    // Registered battery assets (analysis routes accept an assetId in the body)
+    router.use('/assets', assetRoutes);
+
+    // Webhook alerts when new asset measurements cross health thresholds
+    router.use('/webhooks', webhookRoutes);
+
+    // API health check
+    router.get('/status', BatteryController.healthCheck);
+
+    // Legacy alias of /analyze, v1 only
+    if (version === API_VERSIONS.v1) {
+        router.post('/calculate',
+            deprecated({ since: '2026-10-19', successor: `${apiBase(CURRENT_API_VERSION)}/analyze` }),
+            tabularBody(),
+            resolveAsset(),
+            validateRequest(schemas.analysis),
+            BatteryController.analyzeHealth
+        );
+    }
+
+    return router;
+}
+
+export const v1Routes = createBatteryRouter(API_VERSIONS.v1);
+export const v2Routes = createBatteryRouter(API_VERSIONS.v2);
+
+// /api/battery is an alias of v1
+export default v1Routes;
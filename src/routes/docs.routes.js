@@ -0,0 +1,23 @@
+import express from 'express';
+import { fileURLToPath } from 'url';
+import { buildOpenApiDocument } from '../docs/openapi.js';
+import { API_VERSIONS } from '../versions/index.js';
+
+const router = express.Router();
+
+// Generated OpenAPI 3 document (current version)
+router.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument());
+});
+
+// Per-version documents
+for (const version of Object.keys(API_VERSIONS)) {
+  router.get(`/${version}/openapi.json`, (req, res) => {
+    res.json(buildOpenApiDocument(version));
+  });
+}
+
+// Bundled offline docs page rendering the document
+router.use('/docs', express.static(fileURLToPath(new URL('../docs/public', import.meta.url))));
+
+export default router;
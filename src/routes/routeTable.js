@@ -0,0 +1,329 @@
+import { API_VERSIONS, CURRENT_API_VERSION, apiBase } from '../versions/index.js';
+import {
+  batteryCapacityEstimateSchema,
+  batteryCompareSchema,
+  batteryEconomicsSchema,
+  batteryLogSchema,
+  batteryOptimizeSchema,
+  batterySecondLifeSchema,
+  batterySensitivitySchema,
+  batteryWarrantySchema
+} from '../schemas/battery.schema.js';
+import { assetCreateSchema, assetUpdateSchema, assetMeasurementsSchema } from '../schemas/asset.schema.js';
+import { apiKeyIssueSchema } from '../schemas/apiKey.schema.js';
+import { webhookCreateSchema } from '../schemas/webhook.schema.js';
+
+/**
+ * Route table for the public API
+ *
+ * Single source for the OpenAPI document and every endpoint listing (the
+ * root route, GET /status and the 404 handler). Keep it in step with the
+ * Express routers; test/openapi.test.js fails when a router path is missing.
+ *
+ * Fields: name (stable key, used as operationId), method, path (Express
+ * syntax), summary, tag, requestSchema (Zod), tabular (accepts CSV/NDJSON
+ * bodies and CSV responses), parameters (OpenAPI path/query parameters),
+ * deprecated, security ('admin' for the admin API; other routes take an API
+ * key when authentication is enabled).
+ *
+ * Versioned routes have a path relative to /api/<version>, may name their
+ * request schema by its key in the version contract (`schema`) instead of
+ * giving `requestSchema`, and list `versions` when not served by every version.
+ */
+
+const assetIdParam = { name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Asset ID' };
+
+const webhookIdParam = { name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Webhook subscription ID' };
+
+const keyIdParam = { name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'API key ID' };
+
+const columnsParam = {
+  name: 'columns',
+  in: 'query',
+  schema: { type: 'string' },
+  description: 'CSV/NDJSON column mapping, e.g. "Rated Ah:nominalCapacity,Temp:avgTemperature"'
+};
+
+const VERSIONED_ROUTES = [
+  {
+    name: 'analyze',
+    method: 'POST',
+    path: '/analyze',
+    summary: 'Full battery analysis with trend and recommendations',
+    tag: 'Analysis',
+    schema: 'analysis',
+    tabular: true,
+    parameters: [columnsParam]
+  },
+  {
+    name: 'health',
+    method: 'POST',
+    path: '/health',
+    summary: 'Quick battery health summary and status',
+    tag: 'Analysis',
+    schema: 'health'
+  },
+  {
+    name: 'trend',
+    method: 'POST',
+    path: '/trend',
+    summary: 'Degradation trend data for visualization',
+    tag: 'Analysis',
+    schema: 'analysis',
+    tabular: true,
+    parameters: [columnsParam]
+  },
+  {
+    name: 'forecast',
+    method: 'POST',
+    path: '/forecast',
+    summary: 'Projected capacity curve to end-of-life',
+    tag: 'Analysis',
+    schema: 'forecast'
+  },
+  {
+    name: 'warranty',
+    method: 'POST',
+    path: '/warranty',
+    summary: 'Warranty compliance, projected breach date and remaining margins',
+    tag: 'Analysis',
+    requestSchema: batteryWarrantySchema
+  },
+  {
+    name: 'economics',
+    method: 'POST',
+    path: '/economics',
+    summary: 'Levelized cost of storage, marginal degradation cost per cycle and optimal replacement month',
+    tag: 'Analysis',
+    requestSchema: batteryEconomicsSchema
+  },
+  {
+    name: 'optimize',
+    method: 'POST',
+    path: '/optimize',
+    summary: 'DoD, C-rate and temperature targets with the longest remaining life under constraints',
+    tag: 'Analysis',
+    requestSchema: batteryOptimizeSchema
+  },
+  {
+    name: 'secondLife',
+    method: 'POST',
+    path: '/second-life',
+    summary: 'Second-life grade, suitable stationary applications and projected second-life duration',
+    tag: 'Analysis',
+    requestSchema: batterySecondLifeSchema
+  },
+  {
+    name: 'ingestLog',
+    method: 'POST',
+    path: '/ingest-log',
+    summary: 'Health analysis from a raw SoC/current/temperature log via rainflow cycle counting',
+    tag: 'Analysis',
+    requestSchema: batteryLogSchema
+  },
+  {
+    name: 'capacityEstimate',
+    method: 'POST',
+    path: '/capacity-estimate',
+    summary: 'Usable capacity with a confidence interval from partial charge sessions, analyzed as the measured capacity',
+    tag: 'Analysis',
+    requestSchema: batteryCapacityEstimateSchema
+  },
+  {
+    name: 'sensitivity',
+    method: 'POST',
+    path: '/sensitivity',
+    summary: 'What-if grid of SOH and RUL over one or two inputs, with tornado ranking of every input',
+    tag: 'Analysis',
+    requestSchema: batterySensitivitySchema
+  },
+  {
+    name: 'compare',
+    method: 'POST',
+    path: '/compare',
+    summary: 'Run the payload through every registered degradation model and rank their fit',
+    tag: 'Analysis',
+    requestSchema: batteryCompareSchema
+  },
+  {
+    name: 'batch',
+    method: 'POST',
+    path: '/batch',
+    summary: 'Fleet analysis with per-battery results and aggregates',
+    tag: 'Fleet',
+    schema: 'batch',
+    tabular: true,
+    parameters: [
+      columnsParam,
+      { name: 'worstN', in: 'query', schema: { type: 'integer' }, description: 'Tabular uploads only' },
+      { name: 'eolWithinMonths', in: 'query', schema: { type: 'number' }, description: 'Tabular uploads only' },
+      { name: 'includeDetails', in: 'query', schema: { type: 'boolean' }, description: 'Tabular uploads only' }
+    ]
+  },
+  {
+    name: 'calculate',
+    method: 'POST',
+    path: '/calculate',
+    summary: 'Legacy alias of /analyze',
+    tag: 'Analysis',
+    schema: 'analysis',
+    tabular: true,
+    deprecated: true,
+    versions: ['v1']
+  },
+  {
+    name: 'listAssets',
+    method: 'GET',
+    path: '/assets',
+    summary: 'List registered battery assets',
+    tag: 'Assets'
+  },
+  {
+    name: 'createAsset',
+    method: 'POST',
+    path: '/assets',
+    summary: 'Register a battery asset',
+    tag: 'Assets',
+    requestSchema: assetCreateSchema
+  },
+  {
+    name: 'getAsset',
+    method: 'GET',
+    path: '/assets/:id',
+    summary: 'Get a registered asset',
+    tag: 'Assets',
+    parameters: [assetIdParam]
+  },
+  {
+    name: 'updateAsset',
+    method: 'PATCH',
+    path: '/assets/:id',
+    summary: 'Update an asset',
+    tag: 'Assets',
+    requestSchema: assetUpdateSchema,
+    parameters: [assetIdParam]
+  },
+  {
+    name: 'deleteAsset',
+    method: 'DELETE',
+    path: '/assets/:id',
+    summary: 'Delete an asset',
+    tag: 'Assets',
+    parameters: [assetIdParam]
+  },
+  {
+    name: 'addAssetMeasurements',
+    method: 'POST',
+    path: '/assets/:id/measurements',
+    summary: 'Append capacity measurements to an asset',
+    tag: 'Assets',
+    requestSchema: assetMeasurementsSchema,
+    parameters: [assetIdParam]
+  },
+  {
+    name: 'listWebhooks',
+    method: 'GET',
+    path: '/webhooks',
+    summary: 'List webhook subscriptions',
+    tag: 'Webhooks'
+  },
+  {
+    name: 'createWebhook',
+    method: 'POST',
+    path: '/webhooks',
+    summary: 'Subscribe a URL to asset health alerts',
+    tag: 'Webhooks',
+    requestSchema: webhookCreateSchema
+  },
+  {
+    name: 'getWebhook',
+    method: 'GET',
+    path: '/webhooks/:id',
+    summary: 'Get a webhook subscription',
+    tag: 'Webhooks',
+    parameters: [webhookIdParam]
+  },
+  {
+    name: 'deleteWebhook',
+    method: 'DELETE',
+    path: '/webhooks/:id',
+    summary: 'Delete a webhook subscription and its delivery log',
+    tag: 'Webhooks',
+    parameters: [webhookIdParam]
+  },
+  {
+    name: 'listWebhookDeliveries',
+    method: 'GET',
+    path: '/webhooks/:id/deliveries',
+    summary: 'Delivery log of a webhook subscription',
+    tag: 'Webhooks',
+    parameters: [webhookIdParam]
+  },
+  {
+    name: 'pingWebhook',
+    method: 'POST',
+    path: '/webhooks/:id/ping',
+    summary: 'Send a signed ping event to a webhook subscription',
+    tag: 'Webhooks',
+    parameters: [webhookIdParam]
+  },
+  {
+    name: 'status',
+    method: 'GET',
+    path: '/status',
+    summary: 'API status and system information',
+    tag: 'System'
+  }
+];
+
+// Routes outside the versioned API
+const UNVERSIONED_ROUTES = [
+  {
+    name: 'listApiKeys',
+    method: 'GET',
+    path: '/api/admin/keys',
+    summary: 'List issued API keys',
+    tag: 'Admin',
+    security: 'admin'
+  },
+  {
+    name: 'issueApiKey',
+    method: 'POST',
+    path: '/api/admin/keys',
+    summary: 'Issue an API key for a plan tier',
+    tag: 'Admin',
+    requestSchema: apiKeyIssueSchema,
+    security: 'admin'
+  },
+  {
+    name: 'revokeApiKey',
+    method: 'DELETE',
+    path: '/api/admin/keys/:id',
+    summary: 'Revoke an API key',
+    tag: 'Admin',
+    parameters: [keyIdParam],
+    security: 'admin'
+  }
+];
+
+/**
+ * Routes served by one API version, with absolute paths and resolved schemas
+ * @param {string} [version] - API version key
+ * @returns {Array} Route entries
+ */
+export function resolveRoutes(version = CURRENT_API_VERSION) {
+  const { schemas } = API_VERSIONS[version];
+
+  const versioned = VERSIONED_ROUTES
+    .filter(route => !route.versions || route.versions.includes(version))
+    .map(({ schema, versions, ...route }) => ({
+      ...route,
+      path: `${apiBase(version)}${route.path}`,
+      ...(schema && { requestSchema: schemas[schema] })
+    }));
+
+  return [...versioned, ...UNVERSIONED_ROUTES];
+}
+
+// Routes of the current API version
+export const API_ROUTES = resolveRoutes();
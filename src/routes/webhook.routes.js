@@ -0,0 +1,25 @@
+import express from 'express';
+import { WebhookController } from '../controllers/webhook.controller.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { webhookCreateSchema } from '../schemas/webhook.schema.js';
+
+const router = express.Router();
+
+// Webhook subscriptions for asset health alerts
+router.get('/', WebhookController.list);
+
+router.post('/',
+    validateRequest(webhookCreateSchema),
+    WebhookController.create
+);
+
+router.get('/:id', WebhookController.get);
+
+router.delete('/:id', WebhookController.remove);
+
+// Delivery log and connectivity check
+router.get('/:id/deliveries', WebhookController.listDeliveries);
+
+router.post('/:id/ping', WebhookController.ping);
+
+export default router;
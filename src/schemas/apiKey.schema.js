@@ -0,0 +1,8 @@
+import { z } from 'zod';
+import { TIERS, DEFAULT_TIER } from '../config/plans.js';
+
+// Issue a new API key
+export const apiKeyIssueSchema = z.object({
+  name: z.string().min(1).max(200),
+  tier: z.enum(TIERS).optional().default(DEFAULT_TIER)
+});
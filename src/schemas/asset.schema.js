@@ -0,0 +1,40 @@
+import { z } from 'zod';
+import { CHEMISTRIES, DEFAULT_CHEMISTRY } from '../config/chemistryProfiles.js';
+import { capacityMeasurementSchema, statusBandsSchema, withStatusBandsAboveEol } from './battery.schema.js';
+
+const dateString = z.string().refine(value => !Number.isNaN(Date.parse(value)), { message: 'Invalid date' });
+
+// Operating conditions applied to every analysis of the asset unless the request overrides them
+export const assetConditionsSchema = withStatusBandsAboveEol(z.object({
+  avgTemperature: z.number().min(-40).max(80).optional(),
+  cRate: z.number().min(0.1).max(5).optional(),
+  dodPct: z.number().min(10).max(100).optional(),
+  eolPct: z.number().min(10).max(95).optional(),
+  statusBands: statusBandsSchema.optional()
+}));
+
+// Register a battery asset
+export const assetCreateSchema = z.object({
+  name: z.string().min(1).max(200),
+  nominalCapacity: z.number().min(0.1).max(10000),
+  unit: z.enum(['Ah', 'kWh', 'Wh']).optional().default('Ah'),
+  chemistry: z.enum(CHEMISTRIES).optional().default(DEFAULT_CHEMISTRY),
+  commissionedAt: dateString.optional(),
+  conditions: assetConditionsSchema.optional().default({}),
+  measurements: z.array(capacityMeasurementSchema).max(1000).optional().default([])
+});
+
+// Partial update of an asset's descriptive fields (measurements are appended separately)
+export const assetUpdateSchema = z.object({
+  name: z.string().min(1).max(200).optional(),
+  nominalCapacity: z.number().min(0.1).max(10000).optional(),
+  unit: z.enum(['Ah', 'kWh', 'Wh']).optional(),
+  chemistry: z.enum(CHEMISTRIES).optional(),
+  commissionedAt: dateString.optional(),
+  conditions: assetConditionsSchema.optional()
+});
+
+// Append one or more capacity checks
+export const assetMeasurementsSchema = z.object({
+  measurements: z.array(capacityMeasurementSchema).min(1).max(1000)
+});
@@ -1,4 +1,106 @@
 import { z } from 'zod';
+import { CHEMISTRIES, DEFAULT_CHEMISTRY } from '../config/chemistryProfiles.js';
+import { DEFAULT_COEFFICIENT_DISTRIBUTIONS, DEFAULT_MEASUREMENT_ERROR } from '../utils/uncertainty.js';
+import { hasModel, listModels } from '../models/index.js';
+
+// Single capacity check from a BMS log
+export const capacityMeasurementSchema = z.object({
+  date: z.string().refine(value => !Number.isNaN(Date.parse(value)), { message: 'Invalid date' }),
+  cycles: z.number().min(0).max(10000),
+  capacity: z.number().min(0).max(10000)
+});
+
+// Lower SOH bound of each status band, strictly descending
+export const statusBandsSchema = z.object({
+  excellent: z.number().min(0).max(100),
+  good: z.number().min(0).max(100),
+  fair: z.number().min(0).max(100),
+  poor: z.number().min(0).max(100)
+}).refine(b => b.excellent > b.good && b.good > b.fair && b.fair > b.poor, {
+  message: 'Status bands must be strictly descending: excellent > good > fair > poor'
+});
+
+/**
+ * Require custom status bands to start Fair at or above eolPct, so a pack
+ * past end-of-life never reads Fair or better; a refinement, so apply it to
+ * leaf schemas only
+ * @param {z.ZodTypeAny} schema - Object schema with statusBands and eolPct
+ * @returns {z.ZodEffects} Refined schema
+ */
+export const withStatusBandsAboveEol = schema => schema.refine(
+  payload => !payload.statusBands || payload.statusBands.fair >= (payload.eolPct ?? 70),
+  { message: 'statusBands.fair must be at least eolPct', path: ['statusBands', 'fair'] }
+);
+
+// Time-at-temperature histogram bin
+export const temperatureBinSchema = z.object({
+  temperature: z.number().min(-40).max(80),
+  fraction: z.number().min(0).max(1)
+});
+
+// Share of cycles at a given depth of discharge / C-rate
+export const dutyCycleBinSchema = z.object({
+  dodPct: z.number().min(10).max(100),
+  cRate: z.number().min(0.1).max(5).optional(),
+  fraction: z.number().min(0).max(1)
+});
+
+const hasPositiveFraction = bins => bins.some(bin => bin.fraction > 0);
+
+// Sampling distribution; spread is relative (std dev or uniform half-width)
+export const distributionSchema = z.object({
+  distribution: z.enum(['normal', 'lognormal', 'uniform']),
+  spread: z.number().min(0).max(1)
+});
+
+// Monte Carlo uncertainty mode
+export const uncertaintySchema = z.object({
+  samples: z.number().int().min(50).max(5000).optional().default(500),
+  seed: z.number().int().min(0).optional(),
+  coefficients: z.object({
+    k_c: distributionSchema.optional().default(DEFAULT_COEFFICIENT_DISTRIBUTIONS.k_c),
+    alpha: distributionSchema.optional().default(DEFAULT_COEFFICIENT_DISTRIBUTIONS.alpha),
+    k_t: distributionSchema.optional().default(DEFAULT_COEFFICIENT_DISTRIBUTIONS.k_t),
+    Ea: distributionSchema.optional().default(DEFAULT_COEFFICIENT_DISTRIBUTIONS.Ea),
+    beta: distributionSchema.optional().default(DEFAULT_COEFFICIENT_DISTRIBUTIONS.beta)
+  }).optional().default({}),
+  measurementError: distributionSchema.optional().default(DEFAULT_MEASUREMENT_ERROR)
+});
+
+// One cell of a pack: position in the series string, parallel slot and measurements
+export const cellMeasurementSchema = z.object({
+  id: z.string().min(1).max(50).optional(),
+  series: z.number().int().min(1).max(1000),
+  parallel: z.number().int().min(1).max(100).optional().default(1),
+  capacity: z.number().positive().max(10000), // same unit as nominalCapacity
+  voltage: z.number().min(0).max(10).optional() // V
+});
+
+// Series/parallel topology with a measurement for every cell
+export const packTopologySchema = z.object({
+  seriesCount: z.number().int().min(1).max(1000),
+  parallelCount: z.number().int().min(1).max(100).optional().default(1),
+  cells: z.array(cellMeasurementSchema).min(1).max(10000),
+  bolCapacitySpreadPct: z.number().min(0).max(100).optional(), // cell capacity spread when new
+  outlierThreshold: z.number().min(1).max(10).optional(), // modified z-score
+  minCapacityDeviationPct: z.number().min(0).max(100).optional(), // of the cell rating, from the median cell
+  minVoltageDeviationMv: z.number().min(0).max(10000).optional(), // from the median cell
+  spreadLimitPct: z.number().min(0).max(100).optional()
+}).superRefine((pack, ctx) => {
+  const slots = new Set();
+  pack.cells.forEach((cell, i) => {
+    const slot = `${cell.series}/${cell.parallel}`;
+    if (cell.series > pack.seriesCount || cell.parallel > pack.parallelCount) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Cell position is outside the pack topology', path: ['cells', i] });
+    } else if (slots.has(slot)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Duplicate cell at series ${cell.series}, parallel ${cell.parallel}`, path: ['cells', i] });
+    }
+    slots.add(slot);
+  });
+  if (pack.cells.length !== pack.seriesCount * pack.parallelCount) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Every cell of the topology needs a measurement', path: ['cells'] });
+  }
+});
 
 // Full battery analysis schema
 export const batteryAnalysisSchema = z.object({
@@ -10,9 +112,36 @@ export const batteryAnalysisSchema = z.object({
   dodPct: z.number().min(10).max(100).optional().default(80),
   calendarAgeMonths: z.number().min(0).max(360).optional(),
   calendarAgeYears: z.number().min(0).max(30).optional(),
-  unit: z.enum(['Ah', 'kWh', 'Wh']).optional().default('Ah')
+  unit: z.enum(['Ah', 'kWh', 'Wh']).optional().default('Ah'),
+  nominalVoltage: z.number().positive().max(2000).optional(), // V, converts Ah to energy
+  internalResistanceMohm: z.number().positive().max(100000).optional(), // measured DC resistance
+  bolResistanceMohm: z.number().positive().max(100000).optional(), // beginning-of-life resistance
+  eolResistancePct: z.number().min(110).max(500).optional(), // power limit, % of bolResistanceMohm
+  chemistry: z.enum(CHEMISTRIES).optional().default(DEFAULT_CHEMISTRY),
+  eolPct: z.number().min(10).max(95).optional().default(70),
+  statusBands: statusBandsSchema.optional(),
+  capacityHistory: z.array(capacityMeasurementSchema).min(2).max(1000).optional(),
+  temperatureProfile: z.array(temperatureBinSchema).min(1).max(100)
+    .refine(hasPositiveFraction, { message: 'At least one temperature bin needs a positive fraction' })
+    .optional(),
+  dutyCycleProfile: z.array(dutyCycleBinSchema).min(1).max(100)
+    .refine(hasPositiveFraction, { message: 'At least one duty-cycle bin needs a positive fraction' })
+    .optional(),
+  uncertainty: uncertaintySchema.optional(),
+  pack: packTopologySchema.optional()
 });
 
+/**
+ * Require bolResistanceMohm with internalResistanceMohm on schemas that grade
+ * resistance growth; a refinement, so apply it to leaf schemas only
+ * @param {z.ZodTypeAny} schema - Object schema with the resistance fields
+ * @returns {z.ZodEffects} Refined schema
+ */
+export const withResistanceBaseline = schema => schema.refine(
+  payload => payload.internalResistanceMohm === undefined || payload.bolResistanceMohm !== undefined,
+  { message: 'bolResistanceMohm is required with internalResistanceMohm', path: ['bolResistanceMohm'] }
+);
+
 // Simplified health check schema (fewer required fields)
 export const batteryHealthSchema = z.object({
   nominalCapacity: z.number().min(0.1).max(10000),
@@ -21,7 +150,258 @@ export const batteryHealthSchema = z.object({
   avgTemperature: z.number().min(-40).max(80).optional().default(25),
   calendarAgeMonths: z.number().min(0).max(360).optional().default(12), // Default to 1 year instead of 0
   dodPct: z.number().min(10).max(100).optional().default(80),
-  unit: z.enum(['Ah', 'kWh', 'Wh']).optional().default('Ah')
+  unit: z.enum(['Ah', 'kWh', 'Wh']).optional().default('Ah'),
+  chemistry: z.enum(CHEMISTRIES).optional().default(DEFAULT_CHEMISTRY),
+  eolPct: z.number().min(10).max(95).optional().default(70),
+  statusBands: statusBandsSchema.optional()
+});
+
+// Resistance inputs; only endpoints that grade resistance or power fade accept them
+const RESISTANCE_FIELDS = ['internalResistanceMohm', 'bolResistanceMohm', 'eolResistancePct'];
+
+// Analysis fields for endpoints that project capacity alone
+const capacityOnlySchema = batteryAnalysisSchema.omit(
+  Object.fromEntries(RESISTANCE_FIELDS.map(field => [field, true]))
+);
+
+// Forward projection under an expected usage profile
+export const batteryForecastSchema = capacityOnlySchema.extend({
+  cyclesPerMonth: z.number().min(0).max(1000),
+  futureTemperature: z.number().min(-40).max(80).optional(),
+  futureDodPct: z.number().min(10).max(100).optional(),
+  futureCRate: z.number().min(0.1).max(5).optional(),
+  horizonMonths: z.number().int().min(1).max(600).optional().default(240),
+  startDate: z.string().refine(value => !Number.isNaN(Date.parse(value)), { message: 'Invalid date' }).optional()
+});
+
+// OEM warranty terms: a capacity floor guaranteed until the first limit is reached
+export const warrantySchema = z.object({
+  capacityFloorPct: z.number().min(10).max(100),
+  years: z.number().positive().max(30).optional(),
+  cycles: z.number().positive().max(100000).optional(),
+  throughput: z.number().positive().optional(), // kWh discharged
+  distanceKm: z.number().positive().optional()
+}).refine(
+  warranty => ['years', 'cycles', 'throughput', 'distanceKm'].some(limit => warranty[limit] !== undefined),
+  { message: 'Warranty needs at least one limit: years, cycles, throughput or distanceKm' }
+);
+
+// Warranty compliance evaluation
+export const batteryWarrantySchema = capacityOnlySchema.extend({
+  warranty: warrantySchema,
+  cyclesPerMonth: z.number().min(0).max(1000).optional(),
+  throughputToDate: z.number().min(0).optional(),
+  odometerKm: z.number().min(0).optional(),
+  kmPerMonth: z.number().min(0).optional(),
+  startDate: z.string().refine(value => !Number.isNaN(Date.parse(value)), { message: 'Invalid date' }).optional()
+}).refine(
+  payload => payload.warranty.throughput === undefined
+    || payload.throughputToDate !== undefined
+    || payload.unit !== 'Ah'
+    || payload.nominalVoltage !== undefined,
+  { message: 'nominalVoltage is required to convert an Ah capacity to energy', path: ['nominalVoltage'] }
+);
+
+// Prices and expected usage for the cost-of-degradation economics
+export const economicsSchema = z.object({
+  packPrice: z.number().min(0),
+  replacementCost: z.number().min(0).optional(), // defaults to packPrice
+  electricityPrice: z.number().min(0), // per kWh charged
+  cyclesPerDay: z.number().min(0).max(50),
+  roundTripEfficiency: z.number().min(0.5).max(1).optional().default(0.92),
+  discountRatePct: z.number().min(0).max(50).optional().default(0),
+  shortfallPrice: z.number().min(0).optional(), // per kWh the faded pack can no longer deliver, defaults to electricityPrice
+  horizonYears: z.number().min(1).max(50).optional().default(20),
+  currency: z.string().min(1).max(10).optional().default('USD')
+});
+
+// Levelized cost of storage, marginal degradation cost and optimal replacement
+export const batteryEconomicsSchema = capacityOnlySchema.extend({
+  economics: economicsSchema,
+  startDate: z.string().refine(value => !Number.isNaN(Date.parse(value)), { message: 'Invalid date' }).optional()
+}).refine(payload => payload.unit !== 'Ah' || payload.nominalVoltage !== undefined, {
+  message: 'nominalVoltage is required to convert an Ah capacity to energy',
+  path: ['nominalVoltage']
+});
+
+// Grid of candidate values for one operating variable
+const searchRange = (lowest, highest) => z.object({
+  min: z.number().min(lowest).max(highest),
+  max: z.number().min(lowest).max(highest),
+  step: z.number().positive()
+}).refine(range => range.min <= range.max, { message: 'Range min must not exceed max' });
+
+const gridSize = range => (range ? Math.floor((range.max - range.min) / range.step + 1e-9) + 1 : 1);
+
+// Operating-point search: ranges to search and constraints to respect
+export const optimizeSchema = z.object({
+  dodPct: searchRange(10, 100).optional().default({ min: 20, max: 100, step: 5 }),
+  cRate: searchRange(0.1, 5).optional().default({ min: 0.2, max: 2, step: 0.1 }),
+  temperature: searchRange(-40, 80).optional(), // omitted: temperature is not controllable
+  constraints: z.object({
+    minDailyEnergyKWh: z.number().min(0).optional(),
+    maxChargeTimeHours: z.number().positive().optional()
+  }).optional().default({}),
+  top: z.number().int().min(1).max(50).optional().default(5)
+}).refine(
+  search => gridSize(search.dodPct) * gridSize(search.cRate) * gridSize(search.temperature) <= 10000,
+  { message: 'Search grid exceeds 10000 operating points; widen the steps' }
+);
+
+// Charging-strategy optimization
+export const batteryOptimizeSchema = capacityOnlySchema.extend({
+  cyclesPerMonth: z.number().min(0).max(1000).optional(),
+  optimize: optimizeSchema.optional().default({})
+}).refine(
+  payload => payload.optimize.constraints.minDailyEnergyKWh === undefined
+    || payload.unit !== 'Ah'
+    || payload.nominalVoltage !== undefined,
+  { message: 'nominalVoltage is required to convert an Ah capacity to energy', path: ['nominalVoltage'] }
+);
+
+// Second-life grading of a retired pack
+export const batterySecondLifeSchema = withResistanceBaseline(batteryAnalysisSchema.extend({
+  cellVoltageSpreadMv: z.number().min(0).max(5000).optional(), // highest minus lowest cell voltage
+  stationaryDuty: z.object({
+    cyclesPerDay: z.number().min(0).max(50).optional(),
+    dodPct: z.number().min(10).max(100).optional(),
+    cRate: z.number().min(0.1).max(5).optional(),
+    temperature: z.number().min(-40).max(80).optional()
+  }).optional(),
+  startDate: z.string().refine(value => !Number.isNaN(Date.parse(value)), { message: 'Invalid date' }).optional()
+}));
+
+// Unwrap optional/default/nullable wrappers down to a ZodNumber, if any
+function numberType(type) {
+  while (type instanceof z.ZodOptional || type instanceof z.ZodDefault || type instanceof z.ZodNullable) {
+    type = type._def.innerType;
+  }
+  return type instanceof z.ZodNumber ? type : null;
+}
+
+// Numeric inputs of the analysis schema
+export const NUMERIC_ANALYSIS_FIELDS = Object.keys(batteryAnalysisSchema.shape)
+  .filter(field => numberType(batteryAnalysisSchema.shape[field]));
+
+// The parameters a sensitivity study can vary; resistance only moves the
+// power-fade end of life, not the SOH and RUL a sensitivity study reports
+export const SENSITIVITY_FIELDS = NUMERIC_ANALYSIS_FIELDS.filter(field => !RESISTANCE_FIELDS.includes(field));
+
+/**
+ * Schema bounds of a numeric analysis field
+ * @param {string} field - Field name
+ * @returns {Object} { min, max } (null where unbounded)
+ */
+export function numericFieldBounds(field) {
+  const type = numberType(batteryAnalysisSchema.shape[field]);
+  return { min: type.minValue, max: type.maxValue };
+}
+
+// One swept parameter: explicit values, or `steps` evenly spaced values from min to max
+export const sweepParameterSchema = z.object({
+  parameter: z.enum(SENSITIVITY_FIELDS),
+  values: z.array(z.number()).min(1).max(100).optional(),
+  min: z.number().optional(),
+  max: z.number().optional(),
+  steps: z.number().int().min(2).max(50).optional().default(11)
+}).refine(sweep => sweep.values || (sweep.min !== undefined && sweep.max !== undefined && sweep.min <= sweep.max), {
+  message: 'Give either values or a min/max range with min <= max'
+}).superRefine((sweep, ctx) => {
+  const { min, max } = numericFieldBounds(sweep.parameter);
+  const outside = (sweep.values ?? [sweep.min, sweep.max])
+    .filter(value => value !== undefined && ((min !== null && value < min) || (max !== null && value > max)));
+  if (outside.length) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: `${sweep.parameter} must stay within [${min ?? '-∞'}, ${max ?? '∞'}]`
+    });
+  }
+});
+
+// What-if sweep over one or two inputs plus a tornado ranking of every numeric input
+export const batterySensitivitySchema = batteryAnalysisSchema.extend({
+  sweep: z.array(sweepParameterSchema).min(1).max(2)
+    .refine(sweeps => new Set(sweeps.map(sweep => sweep.parameter)).size === sweeps.length, {
+      message: 'Swept parameters must be distinct'
+    }),
+  tornado: z.object({
+    variationPct: z.number().positive().max(100).optional().default(10),
+    metric: z.enum(['remainingUsefulLifeMonths', 'soh']).optional().default('remainingUsefulLifeMonths')
+  }).optional().default({})
+});
+
+// One BMS log sample: timestamp (ISO date or epoch ms), SoC %, current A, temperature °C
+export const bmsLogSampleSchema = z.object({
+  timestamp: z.union([
+    z.string().refine(value => !Number.isNaN(Date.parse(value)), { message: 'Invalid date' }),
+    z.number().int().min(0)
+  ]),
+  soc: z.number().min(0).max(100),
+  current: z.number().min(-100000).max(100000).optional(),
+  temperature: z.number().min(-40).max(80).optional()
+});
+
+// Raw BMS log replacing the cycle, C-rate and temperature inputs
+export const batteryLogSchema = withStatusBandsAboveEol(withResistanceBaseline(batteryAnalysisSchema.omit({
+  chargeCycles: true,
+  dodPct: true,
+  cRate: true,
+  avgTemperature: true,
+  dutyCycleProfile: true,
+  temperatureProfile: true
+}).extend({
+  log: z.object({
+    samples: z.array(bmsLogSampleSchema).min(3).max(100000),
+    hysteresisPct: z.number().min(0.1).max(50).optional() // smallest SoC swing counted
+  })
+})));
+
+// One partial charge session: SoC window and the charge (Ah) or energy (kWh) counted over it
+export const chargeSessionSchema = z.object({
+  date: z.string().refine(value => !Number.isNaN(Date.parse(value)), { message: 'Invalid date' }).optional(),
+  startSoc: z.number().min(0).max(100),
+  endSoc: z.number().min(0).max(100),
+  chargedAh: z.number().positive().max(100000).optional(),
+  chargedKWh: z.number().positive().max(100000).optional()
+}).refine(session => session.endSoc > session.startSoc, {
+  message: 'endSoc must be above startSoc',
+  path: ['endSoc']
+}).refine(session => (session.chargedAh === undefined) !== (session.chargedKWh === undefined), {
+  message: 'Give exactly one of chargedAh or chargedKWh'
+});
+
+// Capacity from partial charge sessions, replacing a measured currentCapacity
+export const batteryCapacityEstimateSchema = withStatusBandsAboveEol(withResistanceBaseline(batteryAnalysisSchema.omit({
+  currentCapacity: true,
+  capacityHistory: true,
+  pack: true
+}).extend({
+  sessions: z.array(chargeSessionSchema).min(1).max(1000),
+  estimation: z.object({
+    minSocWindowPct: z.number().min(1).max(100).optional(), // narrower sessions are set aside
+    outlierThreshold: z.number().min(1).max(10).optional(), // modified z-score
+    minOutlierDeviationPct: z.number().min(0).max(100).optional() // from the median estimate
+  }).optional()
+}).refine(
+  payload => payload.nominalVoltage !== undefined || payload.sessions.every(session =>
+    (payload.unit === 'Ah') === (session.chargedAh !== undefined)),
+  { message: 'nominalVoltage is required to convert between Ah and energy', path: ['nominalVoltage'] }
+)));
+
+// Side-by-side model comparison
+export const batteryCompareSchema = capacityOnlySchema.extend({
+  models: z.array(z.string().refine(hasModel, name => ({
+    message: `Unknown model "${name}". Registered: ${listModels().join(', ')}`
+  }))).min(1).max(20).optional(),
+  cyclesPerMonth: z.number().min(0).max(1000).optional()
+});
+
+// Fleet batch: items are validated one by one against batteryAnalysisSchema
+export const batteryBatchSchema = z.object({
+  batteries: z.array(z.record(z.unknown())).min(1).max(1000),
+  worstN: z.number().int().min(1).max(100).optional().default(5),
+  eolWithinMonths: z.number().min(0).max(360).optional().default(12),
+  includeDetails: z.boolean().optional().default(false)
 });
 
 // Validation for trend-only requests
@@ -0,0 +1,29 @@
+import { z } from 'zod';
+import { isBlockedAddress, literalAddress, privateDestinationsAllowed } from '../utils/webhooks.js';
+
+const STATUSES = ['Excellent', 'Good', 'Fair', 'Poor', 'Critical'];
+
+// Conditions are edge-triggered: they fire when an analysis crosses them
+export const webhookConditionSchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('soh_below'), threshold: z.number().min(0).max(100) }),
+  z.object({ type: z.literal('rul_below'), months: z.number().min(0).max(600) }),
+  z.object({ type: z.literal('status_change'), from: z.enum(STATUSES).optional(), to: z.enum(STATUSES).optional() })
+]);
+
+// Literal local and private hosts fail early; names are checked on every delivery
+const isPublicUrl = url => {
+  if (privateDestinationsAllowed()) return true;
+  const address = literalAddress(url);
+  return address ? !isBlockedAddress(address) : new URL(url).hostname !== 'localhost';
+};
+
+// Register a webhook subscription
+export const webhookCreateSchema = z.object({
+  url: z.string().url()
+    .refine(url => /^https?:$/.test(new URL(url).protocol), { message: 'URL must use http or https' })
+    .refine(isPublicUrl, { message: 'URL must not point to a local or private address' }),
+  conditions: z.array(webhookConditionSchema).min(1).max(20),
+  assetIds: z.array(z.string().min(1)).min(1).max(1000).optional(), // omitted: every asset
+  description: z.string().max(200).optional(),
+  secret: z.string().min(16).max(200).optional() // generated when omitted
+});
@@ -0,0 +1,86 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { getStore } from '../storage/index.js';
+import { createHttpError } from '../utils/httpError.js';
+
+const KEY_PREFIX = 'bda_';
+
+const hashKey = key => createHash('sha256').update(key).digest('hex');
+
+// The record ID is a prefix of the key hash, so lookups need no scan
+const keyId = hash => hash.slice(0, 24);
+
+// Stored records minus the hash
+const toPublic = ({ keyHash, ...record }) => record;
+
+export class ApiKeyService {
+
+  static get store() {
+    return getStore('apiKeys');
+  }
+
+  /**
+   * Issue a new key; the plaintext key is only returned here
+   * @param {Object} data - { name, tier }
+   * @returns {Promise<Object>} Key record plus the plaintext `key`
+   */
+  static async issueKey({ name, tier }) {
+    const key = `${KEY_PREFIX}${randomBytes(24).toString('hex')}`;
+    const keyHash = hashKey(key);
+
+    const record = await this.store.create({
+      id: keyId(keyHash),
+      name,
+      tier,
+      keyHash,
+      keyPreview: `${key.slice(0, KEY_PREFIX.length + 4)}…`,
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    });
+
+    return { ...toPublic(record), key };
+  }
+
+  /**
+   * List issued keys (without hashes)
+   * @returns {Promise<Array>} Key records
+   */
+  static async listKeys() {
+    return (await this.store.list()).map(toPublic);
+  }
+
+  /**
+   * Revoke a key by ID
+   * @param {string} id - Key ID
+   * @returns {Promise<Object>} Revoked key record
+   */
+  static async revokeKey(id) {
+    const record = await this.store.get(id);
+    if (!record) {
+      throw createHttpError(404, `API key ${id} not found`);
+    }
+
+    const revoked = await this.store.update(id, { ...record, revokedAt: record.revokedAt ?? new Date().toISOString() });
+    return toPublic(revoked);
+  }
+
+  /**
+   * Look up an active key
+   * @param {string} key - Plaintext key from the request
+   * @returns {Promise<Object|null>} Key record, or null if unknown or revoked
+   */
+  static async verifyKey(key) {
+    if (!key?.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const keyHash = hashKey(key);
+    const record = await this.store.get(keyId(keyHash));
+
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    const matches = timingSafeEqual(Buffer.from(record.keyHash, 'hex'), Buffer.from(keyHash, 'hex'));
+    return matches ? toPublic(record) : null;
+  }
+}
@@ -0,0 +1,180 @@
+import { randomUUID } from 'crypto';
+import { getStore } from '../storage/index.js';
+import { createHttpError } from '../utils/httpError.js';
+import { BatteryService } from './battery.service.js';
+import { WebhookService } from './webhook.service.js';
+import { logger } from '../config/logger.js';
+
+const MS_PER_MONTH = 30.4375 * 24 * 60 * 60 * 1000;
+
+const byDate = (a, b) => Date.parse(a.date) - Date.parse(b.date);
+
+// Stored assets minus the API client that registered them
+const toPublic = ({ owner, ...asset }) => asset;
+
+export class AssetService {
+
+  static get store() {
+    return getStore('assets');
+  }
+
+  /**
+   * List registered assets
+   * @returns {Promise<Array>} Assets
+   */
+  static async listAssets() {
+    return (await this.store.list()).map(toPublic);
+  }
+
+  /**
+   * Get an asset or fail with 404
+   * @param {string} id - Asset ID
+   * @returns {Promise<Object>} Asset
+   */
+  static async getAsset(id) {
+    return toPublic(await this.findAsset(id));
+  }
+
+  // Stored asset, including its owner
+  static async findAsset(id) {
+    const asset = await this.store.get(id);
+    if (!asset) {
+      throw createHttpError(404, `Asset ${id} not found`);
+    }
+    return asset;
+  }
+
+  /**
+   * Register a new asset
+   * @param {Object} data - Validated asset fields
+   * @param {string|null} [owner] - API client registering the asset; only its
+   *   webhook subscriptions hear about the asset
+   * @returns {Promise<Object>} Stored asset
+   */
+  static async createAsset(data, owner = null) {
+    const now = new Date().toISOString();
+    return toPublic(await this.store.create({
+      id: randomUUID(),
+      ...data,
+      measurements: [...(data.measurements || [])].sort(byDate),
+      owner,
+      createdAt: now,
+      updatedAt: now
+    }));
+  }
+
+  /**
+   * Update an asset's descriptive fields
+   * @param {string} id - Asset ID
+   * @param {Object} changes - Validated partial fields
+   * @returns {Promise<Object>} Updated asset
+   */
+  static async updateAsset(id, changes) {
+    const asset = await this.findAsset(id);
+    return toPublic(await this.store.update(id, {
+      ...asset,
+      ...changes,
+      conditions: { ...asset.conditions, ...changes.conditions },
+      updatedAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Delete an asset
+   * @param {string} id - Asset ID
+   */
+  static async deleteAsset(id) {
+    if (!(await this.store.remove(id))) {
+      throw createHttpError(404, `Asset ${id} not found`);
+    }
+  }
+
+  /**
+   * Append capacity measurements, keeping them in date order
+   * The asset is re-analyzed and, once stored, its owner's webhook
+   * subscriptions are notified of the conditions the new assessment crosses.
+   * @param {string} id - Asset ID
+   * @param {Array} measurements - Validated measurements
+   * @returns {Promise<Object>} Updated asset
+   */
+  static async addMeasurements(id, measurements) {
+    const asset = await this.findAsset(id);
+    const updated = {
+      ...asset,
+      measurements: [...asset.measurements, ...measurements].sort(byDate),
+      updatedAt: new Date().toISOString()
+    };
+
+    const assessment = this.assess(updated);
+    if (assessment) {
+      updated.assessment = assessment;
+    }
+
+    const stored = await this.store.update(id, updated);
+    if (assessment) {
+      await WebhookService.notifyAssessment(stored, asset.assessment ?? null, assessment);
+    }
+    return toPublic(stored);
+  }
+
+  /**
+   * Analyze an asset's stored data for webhook conditions
+   * @param {Object} asset - Asset with its measurements
+   * @returns {Object|null} { soh, status, remainingUsefulLifeMonths, analyzedAt }, or null if the analysis fails
+   */
+  static assess(asset) {
+    try {
+      const { results } = BatteryService.analyzeBatteryHealth(this.toBatteryInput(asset));
+      return {
+        soh: results.stateOfHealthSOH,
+        status: results.status,
+        remainingUsefulLifeMonths: results.estimatedRemainingUsefulLifeMonths,
+        analyzedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.warn('asset assessment failed', { assetId: asset.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Build the BatteryService input stored for an asset
+   * The latest measurement provides currentCapacity/chargeCycles, two or more
+   * measurements become capacityHistory, and the calendar age is measured
+   * from commissioning to the latest measurement (or to now without one).
+   * @param {Object} asset - Stored asset
+   * @returns {Object} Battery parameters
+   */
+  static toBatteryInput(asset) {
+    const { nominalCapacity, unit, chemistry, commissionedAt, conditions = {}, measurements = [] } = asset;
+    const latest = measurements[measurements.length - 1];
+
+    const input = { nominalCapacity, unit, chemistry, ...conditions };
+
+    if (latest) {
+      input.currentCapacity = latest.capacity;
+      input.chargeCycles = latest.cycles;
+    }
+    if (measurements.length >= 2) {
+      input.capacityHistory = measurements;
+    }
+    if (commissionedAt) {
+      const asOf = latest ? Date.parse(latest.date) : Date.now();
+      input.calendarAgeMonths = +Math.max(0, (asOf - Date.parse(commissionedAt)) / MS_PER_MONTH).toFixed(2);
+    }
+
+    return input;
+  }
+
+  /**
+   * Merge a request body that references an asset with the asset's stored data
+   * Fields in the request take precedence over stored values.
+   * @param {Object} body - Request body containing assetId
+   * @returns {Promise<Object>} Merged battery parameters
+   */
+  static async mergeIntoInput(body) {
+    const { assetId, ...overrides } = body;
+    const asset = await this.getAsset(assetId);
+    return { ...this.toBatteryInput(asset), ...overrides };
+  }
+}
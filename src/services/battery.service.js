@@ -1,38 +1,79 @@
-import { computeDegradation, buildTrend, getModelConfidence } from '../utils/degradationCalculator.js';
+import {
+  computeDegradation,
+  computeFadeContributions,
+  buildTrend,
+  getModelConfidence,
+  calculateCalibrationFactor,
+  splitCalibration
+} from '../utils/degradationCalculator.js';
+import { fitCapacityHistory, getFitConfidence } from '../utils/capacityFit.js';
+import { buildForecast, projectHealth, monthsToEndOfLife } from '../utils/forecast.js';
+import { evaluateWarranty } from '../utils/warranty.js';
+import { evaluateEconomics } from '../utils/economics.js';
+import { optimizeOperatingPoint } from '../utils/optimizer.js';
+import { assessSecondLife } from '../utils/secondLife.js';
+import { assessResistance, addResistanceToTrend } from '../utils/resistance.js';
+import { analyzePack, resolvePackCapacity } from '../utils/packTopology.js';
+import { deriveLogInputs } from '../utils/bmsLog.js';
+import { estimateCapacity } from '../utils/capacityEstimate.js';
+import { createRandom, sampleCoefficients, sampleMultiplier, percentiles } from '../utils/uncertainty.js';
+import { getChemistryProfile } from '../config/chemistryProfiles.js';
+
+// Longest Monte Carlo projection; later end-of-life counts as the horizon
+const UNCERTAINTY_HORIZON_MONTHS = 600;
 
 export class BatteryService {
 
   /**
    * Analyze battery health and degradation
-   * @param {Object} input - Battery parameters
+   * @param {Object} rawInput - Battery parameters
    * @returns {Object} Complete battery analysis
    */
-  static analyzeBatteryHealth(input) {
+  static analyzeBatteryHealth(rawInput) {
     try {
       // Validate required fields
-      if (!input.nominalCapacity || input.nominalCapacity <= 0) {
+      if (!rawInput.nominalCapacity || rawInput.nominalCapacity <= 0) {
         throw new Error('nominalCapacity must be a positive number');
       }
 
-      // Compute degradation analysis
-      const degradationResult = computeDegradation(input);
-      const trend = buildTrend(input);
-      const confidence = getModelConfidence(input);
+      const { profile, input, calibration, degradationResult } = this.assessDegradation(rawInput);
+      let trend = buildTrend(input, calibration.factor, profile.coefficients);
+      const confidence = calibration.fit ? getFitConfidence(calibration.fit) : getModelConfidence(input);
+
+      // Per-bin breakdown when a temperature histogram or duty-cycle distribution is given
+      const fadeContributions = input.temperatureProfile || input.dutyCycleProfile
+        ? computeFadeContributions(input, calibration.fit ? calibration.factor : 1.0, profile.coefficients)
+        : null;
+
+      // Resistance growth and power fade when a beginning-of-life resistance is known
+      const powerFade = this.assessPowerFade(input, profile);
+      if (powerFade) {
+        trend = addResistanceToTrend(trend, input, powerFade);
+      }
+
+      // Per-cell and per-group results when the pack topology is given
+      const pack = input.pack
+        ? analyzePack(input, calibration.fit ? calibration.factor : 1.0, profile.coefficients)
+        : null;
+
+      // Optional Monte Carlo bands replace the canned accuracy estimate
+      const uncertainty = input.uncertainty ? this.simulateUncertainty(input, profile, input.uncertainty) : null;
+      if (uncertainty) {
+        trend = trend.map((point, i) => ({ ...point, ...uncertainty.trendEnvelopes[i] }));
+        const { p10, p90 } = uncertainty.summary.remainingUsefulLifeMonths;
+        confidence.accuracy = `±${Math.round((p90 - p10) / 2)} months (P10-P90)`;
+      }
 
       // Determine battery status
-      const status = this.determineBatteryStatus(degradationResult.soh, input.currentCapacity);
+      const statusBands = this.resolveStatusBands(degradationResult.eolPct, input.statusBands);
+      const status = this.determineBatteryStatus(degradationResult.soh, input.currentCapacity, statusBands);
 
       // Build comprehensive response
       const result = {
         meta: {
           unitCapacity: input.unit || "Ah",
-          modelVersion: "v1.0-calibrated",
           generatedAt: new Date().toISOString(),
-          assumptions: {
-            tempAccelerationAbove30C: 1.5,
-            baseCycleFadePer100: 2,
-            calibrationApplied: !!input.currentCapacity
-          }
+          model: this.describeModel(input, profile, calibration)
         },
         input: {
           chargeCycles: input.chargeCycles || 0,
@@ -42,7 +83,8 @@ export class BatteryService {
           cRate: input.cRate || 0.8,
           dodPct: input.dodPct || 80,
           calendarAgeMonths: input.calendarAgeMonths || 0,
-          unit: input.unit || "Ah"
+          unit: input.unit || "Ah",
+          chemistry: profile.chemistry
         },
         results: {
           healthPercentage: degradationResult.healthPct,
@@ -51,6 +93,7 @@ export class BatteryService {
           estimatedRemainingUsefulLifeMonths: degradationResult.estimatedRUIMonths,
           status: status.status,
           statusDescription: status.description,
+          statusBands,
           confidence: {
             level: confidence.level,
             description: confidence.description,
@@ -61,8 +104,19 @@ export class BatteryService {
             calendarFadePct: degradationResult.components.calendarFadePct,
             totalFadePct: +(degradationResult.components.cycleFadePct + degradationResult.components.calendarFadePct).toFixed(2)
           },
+          ...(fadeContributions && { fadeContributions }),
+          calibration: calibration.fit ?? {
+            method: calibration.method,
+            calibrationFactor: +calibration.factor.toFixed(4)
+          },
+          ...(uncertainty && { uncertainty: uncertainty.summary }),
+          ...(powerFade && {
+            powerFade: this.describePowerFade(powerFade),
+            combinedEndOfLife: this.combineEndOfLife(degradationResult, powerFade)
+          }),
+          ...(pack && { pack }),
           trend: trend,
-          recommendations: this.generateRecommendations(input, degradationResult)
+          recommendations: this.generateRecommendations(input, degradationResult, fadeContributions, powerFade, pack)
         }
       };
 
@@ -73,34 +127,455 @@ export class BatteryService {
     }
   }
 
+  /**
+   * Analyze a battery from its raw BMS log
+   * Rainflow counting of the SoC trace gives the cycles and DoD distribution;
+   * current and temperature give the C-rate and temperature histogram. The
+   * derived inputs are returned next to the analysis for auditing.
+   * @param {Object} rawInput - Battery parameters plus `log`
+   * @returns {Object} { derived: { inputs, ...audit }, analysis }
+   */
+  static ingestBmsLog(rawInput) {
+    const { log, ...base } = rawInput;
+    let derived;
+    try {
+      derived = deriveLogInputs(log, base);
+    } catch (error) {
+      throw new Error(`Battery analysis failed: ${error.message}`);
+    }
+
+    return {
+      derived: { inputs: derived.inputs, ...derived.audit },
+      analysis: this.analyzeBatteryHealth({ ...base, ...derived.inputs })
+    };
+  }
+
+  /**
+   * Estimate usable capacity from partial charge sessions and analyze with it
+   * The estimate is the measured currentCapacity of the analysis, so it sets
+   * the SOH and the single-point calibration.
+   * @param {Object} rawInput - Battery parameters plus `sessions`
+   * @returns {Object} { estimate, analysis }
+   */
+  static estimateCapacityFromSessions(rawInput) {
+    const { sessions, estimation, ...base } = rawInput;
+    let estimate;
+    try {
+      estimate = estimateCapacity(rawInput);
+    } catch (error) {
+      throw new Error(`Battery analysis failed: ${error.message}`);
+    }
+
+    return {
+      estimate,
+      analysis: this.analyzeBatteryHealth({ ...base, currentCapacity: estimate.capacity })
+    };
+  }
+
+  /**
+   * Degradation result as /analyze computes it
+   * A capacity history fit calibrates the model; otherwise the model runs
+   * uncalibrated and a measured currentCapacity sets the SOH directly.
+   * @param {Object} rawInput - Battery parameters
+   * @returns {Object} { profile, input, calibration, degradationResult }
+   */
+  static assessDegradation(rawInput) {
+    // Resolve the chemistry coefficient profile used by the model
+    const profile = getChemistryProfile(rawInput.chemistry);
+    const input = this.resolveInput(rawInput);
+    const calibration = this.resolveCalibration(input, profile);
+
+    const degradationResult = calibration.fit
+      ? computeDegradation(input, calibration.factor, profile.coefficients)
+      : computeDegradation(input);
+
+    return { profile, input, calibration, degradationResult };
+  }
+
+  /**
+   * Resistance assessment, or null without a beginning-of-life resistance
+   * @param {Object} input - Battery parameters
+   * @param {Object} profile - Resolved chemistry profile
+   * @returns {Object|null} Result of assessResistance
+   */
+  static assessPowerFade(input, profile) {
+    if (input.bolResistanceMohm === undefined) {
+      if (input.internalResistanceMohm !== undefined) {
+        throw new Error('bolResistanceMohm is required with internalResistanceMohm');
+      }
+      return null;
+    }
+    return assessResistance(input, profile);
+  }
+
+  // Response form of a resistance assessment, without the growth function
+  static describePowerFade({ growthAt, ...powerFade }) {
+    return powerFade;
+  }
+
+  /**
+   * End of life from whichever limit is reached first, capacity or power
+   * @param {Object} degradationResult - Capacity degradation result
+   * @param {Object} powerFade - Result of assessResistance
+   * @returns {Object} Limiting factor and the remaining life under each limit
+   */
+  static combineEndOfLife(degradationResult, powerFade) {
+    const capacityMonths = degradationResult.estimatedRUIMonths;
+    const resistanceMonths = powerFade.estimatedRemainingUsefulLifeMonths;
+
+    return {
+      limitedBy: resistanceMonths < capacityMonths ? 'resistance' : 'capacity',
+      estimatedRemainingUsefulLifeMonths: Math.min(capacityMonths, resistanceMonths),
+      capacityMonths,
+      resistanceMonths
+    };
+  }
+
+  /**
+   * Project capacity forward under an expected usage profile
+   * @param {Object} rawInput - Battery parameters plus cyclesPerMonth and future conditions
+   * @returns {Object} Dated capacity curve and end-of-life crossing
+   */
+  static forecastBatteryHealth(rawInput) {
+    try {
+      const profile = getChemistryProfile(rawInput.chemistry);
+      const input = this.resolveInput(rawInput);
+      const calibration = this.resolveCalibration(input, profile);
+      const forecast = buildForecast(input, calibration.factor, profile.coefficients);
+
+      return {
+        meta: {
+          unitCapacity: input.unit || "Ah",
+          generatedAt: new Date().toISOString(),
+          model: this.describeModel(input, profile, calibration)
+        },
+        ...forecast
+      };
+    } catch (error) {
+      throw new Error(`Battery analysis failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Evaluate a pack against OEM warranty terms
+   * @param {Object} rawInput - Battery parameters plus the warranty definition and expected usage
+   * @returns {Object} Compliance status, projected breach and per-axis margins
+   */
+  static evaluateWarranty(rawInput) {
+    try {
+      const profile = getChemistryProfile(rawInput.chemistry);
+      const input = this.resolveInput(rawInput);
+      const calibration = this.resolveCalibration(input, profile);
+
+      return {
+        meta: {
+          unitCapacity: input.unit || "Ah",
+          generatedAt: new Date().toISOString(),
+          model: this.describeModel(input, profile, calibration)
+        },
+        ...evaluateWarranty(input, calibration.factor, profile.coefficients)
+      };
+    } catch (error) {
+      throw new Error(`Battery analysis failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cost-of-degradation economics: LCOS, marginal cost per cycle and optimal replacement
+   * @param {Object} rawInput - Battery parameters plus the economics block
+   * @returns {Object} Energy figures, lifetime LCOS, marginal costs and optimal replacement month
+   */
+  static analyzeEconomics(rawInput) {
+    try {
+      const profile = getChemistryProfile(rawInput.chemistry);
+      const input = this.resolveInput(rawInput);
+      const calibration = this.resolveCalibration(input, profile);
+
+      return {
+        meta: {
+          unitCapacity: input.unit || "Ah",
+          generatedAt: new Date().toISOString(),
+          model: this.describeModel(input, profile, calibration)
+        },
+        ...evaluateEconomics(input, calibration.factor, profile.coefficients)
+      };
+    } catch (error) {
+      throw new Error(`Battery analysis failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Search DoD, C-rate and temperature targets for the longest remaining life
+   * @param {Object} rawInput - Battery parameters plus cyclesPerMonth and the optimize block
+   * @returns {Object} Current and recommended operating points, RUL gain and top candidates
+   */
+  static optimizeChargingStrategy(rawInput) {
+    try {
+      const profile = getChemistryProfile(rawInput.chemistry);
+      const input = this.resolveInput(rawInput);
+      const calibration = this.resolveCalibration(input, profile);
+
+      return {
+        meta: {
+          unitCapacity: input.unit || "Ah",
+          generatedAt: new Date().toISOString(),
+          model: this.describeModel(input, profile, calibration)
+        },
+        ...optimizeOperatingPoint(input, calibration.factor, profile.coefficients)
+      };
+    } catch (error) {
+      throw new Error(`Battery analysis failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Grade a retired pack for second-life use
+   * @param {Object} rawInput - Battery parameters plus resistance, cell spread and optional stationary duty
+   * @returns {Object} Grade, suitable applications and projected second-life duration
+   */
+  static assessSecondLife(rawInput) {
+    try {
+      const profile = getChemistryProfile(rawInput.chemistry);
+      const input = this.resolveInput(rawInput);
+      const calibration = this.resolveCalibration(input, profile);
+
+      return {
+        meta: {
+          unitCapacity: input.unit || "Ah",
+          generatedAt: new Date().toISOString(),
+          model: this.describeModel(input, profile, calibration)
+        },
+        ...assessSecondLife(input, calibration.factor, profile.coefficients)
+      };
+    } catch (error) {
+      throw new Error(`Battery analysis failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Describe the model configuration behind a result
+   * @param {Object} input - Battery parameters (after capacity history is applied)
+   * @param {Object} profile - Resolved chemistry profile
+   * @param {Object} calibration - Result of resolveCalibration
+   * @returns {Object} Chemistry, profile coefficients, calibration factors and
+   *   the calibrated coefficients used for the trend and projections
+   */
+  static describeModel(input, profile, calibration) {
+    const factors = splitCalibration(calibration.factor);
+
+    return {
+      chemistry: profile.chemistry,
+      chemistryName: profile.name,
+      coefficients: profile.coefficients,
+      calibration: {
+        applied: !!input.currentCapacity,
+        method: calibration.method,
+        cycleFactor: +factors.cycle.toFixed(4),
+        calendarFactor: +factors.calendar.toFixed(4)
+      },
+      calibratedCoefficients: {
+        ...profile.coefficients,
+        k_c: +(profile.coefficients.k_c * factors.cycle).toPrecision(6),
+        k_t: +(profile.coefficients.k_t * factors.calendar).toPrecision(6)
+      }
+    };
+  }
+
+  /**
+   * Propagate coefficient and measurement uncertainty by Monte Carlo sampling
+   * Each sample's RUL is the end-of-life crossing of the /forecast projection
+   * under its own coefficients, starting from its sampled capacity and
+   * cycling at the historical rate, so both the measurement error and the
+   * model spread the band. Its P50 can therefore differ from the point
+   * estimate, which extrapolates the observed fade rate.
+   * @param {Object} input - Battery parameters (after capacity history is applied)
+   * @param {Object} profile - Resolved chemistry profile
+   * @param {Object} options - Sample count, seed and distributions
+   * @returns {Object} Percentile summary and per-trend-point envelopes
+   */
+  static simulateUncertainty(input, profile, options) {
+    const { samples, coefficients: distributions, measurementError } = options;
+    const seed = options.seed ?? Math.floor(Math.random() * 2 ** 31);
+    const random = createRandom(seed);
+
+    const ageMonths = typeof input.calendarAgeYears === 'number' ? input.calendarAgeYears * 12 : input.calendarAgeMonths || 0;
+    const cyclesPerMonth = ageMonths > 0 ? (input.chargeCycles || 0) / ageMonths : 0;
+
+    const rul = [];
+    const soh = [];
+    const trendHealth = [];
+
+    for (let i = 0; i < samples; i++) {
+      const coefficients = sampleCoefficients(profile.coefficients, distributions, random);
+      const sampleInput = {
+        ...input,
+        ...(input.currentCapacity && {
+          currentCapacity: input.currentCapacity * sampleMultiplier(measurementError, random)
+        }),
+        ...(input.capacityHistory && {
+          capacityHistory: input.capacityHistory.map(m => ({
+            ...m,
+            capacity: m.capacity * sampleMultiplier(measurementError, random)
+          }))
+        })
+      };
+
+      const calibration = this.resolveCalibration(sampleInput, { ...profile, coefficients });
+      const calibrationFactor = calibration.fit ? calibration.factor : 1.0;
+      const result = computeDegradation(sampleInput, calibrationFactor, coefficients);
+      const trend = buildTrend(sampleInput, calibration.factor, coefficients);
+      const { healthAt } = projectHealth({ ...sampleInput, cyclesPerMonth }, calibrationFactor, coefficients);
+
+      rul.push(monthsToEndOfLife(healthAt, result.eolPct, UNCERTAINTY_HORIZON_MONTHS) ?? UNCERTAINTY_HORIZON_MONTHS);
+      soh.push(result.soh);
+      trend.forEach((point, j) => {
+        (trendHealth[j] ??= []).push(point.healthPct);
+      });
+    }
+
+    return {
+      summary: {
+        method: 'monte-carlo',
+        samples,
+        seed,
+        distributions: { coefficients: distributions, measurementError },
+        remainingUsefulLifeMonths: percentiles(rul),
+        stateOfHealthPct: percentiles(soh)
+      },
+      trendEnvelopes: trendHealth.map(values => {
+        const { p10, p50, p90 } = percentiles(values);
+        return { healthPctP10: p10, healthPctP50: p50, healthPctP90: p90 };
+      })
+    };
+  }
+
+  /**
+   * Current snapshot from the pack's cells and the capacity history
+   * @param {Object} rawInput - Battery parameters
+   * @returns {Object} Input with the derived capacity, cycles and age
+   */
+  static resolveInput(rawInput) {
+    return this.applyCapacityHistory(this.applyPackTopology(rawInput));
+  }
+
+  /**
+   * Take the current capacity from the limiting series group of the pack
+   * @param {Object} input - Battery parameters
+   * @returns {Object} Input with currentCapacity derived from `pack.cells`
+   */
+  static applyPackTopology(input) {
+    if (!input.pack) {
+      return input;
+    }
+    if (input.currentCapacity !== undefined && input.currentCapacity !== null) {
+      throw new Error('currentCapacity cannot be combined with pack; it is derived from the cell measurements');
+    }
+    return { ...input, currentCapacity: resolvePackCapacity(input).capacity };
+  }
+
+  /**
+   * Fill the current snapshot from the latest capacity history entry
+   * @param {Object} input - Battery parameters
+   * @returns {Object} Input with capacity, cycles and age taken from the history when absent
+   */
+  static applyCapacityHistory(input) {
+    if (!input.capacityHistory?.length) {
+      return input;
+    }
+
+    const times = input.capacityHistory.map(m => Date.parse(m.date));
+    const latest = input.capacityHistory[times.indexOf(Math.max(...times))];
+    const hasCalendarAge = typeof input.calendarAgeMonths === 'number' || typeof input.calendarAgeYears === 'number';
+    const spanMonths = (Math.max(...times) - Math.min(...times)) / (30.4375 * 24 * 60 * 60 * 1000);
+
+    return {
+      ...input,
+      currentCapacity: input.currentCapacity ?? latest.capacity,
+      chargeCycles: Math.max(input.chargeCycles || 0, latest.cycles),
+      ...(!hasCalendarAge && { calendarAgeMonths: +spanMonths.toFixed(2) })
+    };
+  }
+
+  /**
+   * Choose between a least-squares history fit and the single-point calibration
+   * @param {Object} input - Battery parameters
+   * @param {Object} profile - Resolved chemistry profile
+   * @returns {Object} Calibration method, factor for the model and fit details
+   */
+  static resolveCalibration(input, profile) {
+    if (input.capacityHistory?.length >= 2) {
+      const fit = fitCapacityHistory(input, profile.coefficients);
+      return {
+        method: 'least-squares',
+        factor: { cycle: fit.fittedParameters.cycleFactor, calendar: fit.fittedParameters.calendarFactor },
+        fit
+      };
+    }
+
+    return {
+      method: 'single-point',
+      factor: calculateCalibrationFactor(input, profile.coefficients),
+      fit: null
+    };
+  }
+
+  /**
+   * Resolve the lower SOH bound of each status band
+   * Without custom bands, the defaults are anchored at the end-of-life threshold:
+   * Fair starts at EOL, Poor 10 points below it, and Good/Excellent split the
+   * range above EOL into thirds (90/80/70/60 for the default 70% EOL).
+   * @param {number} eolPct - End-of-life threshold
+   * Custom bands must start Fair at or above the threshold; the request
+   * schemas check this, and so does this for merged asset and request inputs.
+   * @param {Object} [customBands] - Explicit lower bounds { excellent, good, fair, poor }
+   * @returns {Object} Lower SOH bound for each status
+   */
+  static resolveStatusBands(eolPct = 70, customBands = null) {
+    if (customBands) {
+      if (customBands.fair < eolPct) {
+        throw new Error(`statusBands.fair (${customBands.fair}) must be at least eolPct (${eolPct})`);
+      }
+      return { ...customBands };
+    }
+
+    const headroom = 100 - eolPct;
+    return {
+      excellent: +(eolPct + headroom * 2 / 3).toFixed(1),
+      good: +(eolPct + headroom / 3).toFixed(1),
+      fair: eolPct,
+      poor: Math.max(0, eolPct - 10)
+    };
+  }
+
   /**
    * Determine battery status based on SOH
    * @param {number} soh - State of Health percentage
    * @param {number|null} currentCapacity - Current measured capacity
+   * @param {Object} [bands] - Lower SOH bound for each status (see resolveStatusBands)
    * @returns {Object} Status information
    */
-  static determineBatteryStatus(soh, currentCapacity = null) {
+  static determineBatteryStatus(soh, currentCapacity = null, bands = this.resolveStatusBands()) {
     const dataSource = currentCapacity ? 'measured' : 'estimated';
 
-    if (soh >= 90) {
+    if (soh >= bands.excellent) {
       return {
         status: 'Excellent',
         description: `Battery health is excellent (${dataSource})`,
         color: 'green'
       };
-    } else if (soh >= 80) {
+    } else if (soh >= bands.good) {
       return {
         status: 'Good',
         description: `Battery health is good (${dataSource})`,
         color: 'lightgreen'
       };
-    } else if (soh >= 70) {
+    } else if (soh >= bands.fair) {
       return {
         status: 'Fair',
         description: `Battery health is fair - monitor closely (${dataSource})`,
         color: 'yellow'
       };
-    } else if (soh >= 60) {
+    } else if (soh >= bands.poor) {
       return {
         status: 'Poor',
         description: `Battery health is poor - consider replacement (${dataSource})`,
@@ -119,12 +594,15 @@ export class BatteryService {
    * Generate actionable recommendations
    * @param {Object} input - Original input parameters
    * @param {Object} degradationResult - Degradation analysis result
+   * @param {Object} [fadeContributions] - Per-bin fade breakdown, when profiles were supplied
+   * @param {Object} [powerFade] - Resistance assessment, when a beginning-of-life resistance was supplied
+   * @param {Object} [pack] - Cell-level pack analysis, when the topology was supplied
    * @returns {Array} Array of recommendations
    */
-  static generateRecommendations(input, degradationResult) {
+  static generateRecommendations(input, degradationResult, fadeContributions = null, powerFade = null, pack = null) {
     const recommendations = [];
     const { avgTemperature, dodPct, cRate, chargeCycles } = input;
-    const { soh } = degradationResult;
+    const { soh, eolPct, estimatedRUIMonths } = degradationResult;
 
     // Temperature recommendations
     if (avgTemperature > 35) {
@@ -143,6 +621,19 @@ export class BatteryService {
       });
     }
 
+    // Hot spells hidden by the average temperature
+    const hotShare = (fadeContributions?.calendar ?? [])
+      .filter(bin => bin.temperature > 35)
+      .reduce((sum, bin) => sum + bin.sharePct, 0);
+    if (input.temperatureProfile && hotShare >= 25) {
+      recommendations.push({
+        category: 'Temperature Management',
+        priority: 'High',
+        message: `Time above 35°C causes ${hotShare.toFixed(0)}% of calendar fade. Reduce exposure to hot periods.`,
+        impact: 'Short hot spells dominate calendar aging because of the Arrhenius relationship'
+      });
+    }
+
     // DoD recommendations
     if (dodPct > 90) {
       recommendations.push({
@@ -163,16 +654,50 @@ export class BatteryService {
       });
     }
 
-    // Health-based recommendations
-    if (soh < 75) {
+    // Health-based recommendations (relative to the end-of-life threshold)
+    if (soh <= eolPct) {
+      recommendations.push({
+        category: 'Maintenance',
+        priority: 'High',
+        message: `Battery has reached the ${eolPct}% end-of-life threshold. Plan for replacement.`,
+        impact: 'Capacity no longer meets the end-of-life requirement'
+      });
+    } else if (soh < eolPct + 5) {
       recommendations.push({
         category: 'Maintenance',
         priority: 'High',
-        message: 'Battery health is declining. Plan for replacement within 6-12 months.',
+        message: `Battery health is declining toward the ${eolPct}% end-of-life threshold. Plan for replacement within ${estimatedRUIMonths} months.`,
         impact: 'Performance and reliability may be compromised'
       });
     }
 
+    // Power capability ends life before capacity does
+    if (powerFade && powerFade.estimatedRemainingUsefulLifeMonths < estimatedRUIMonths) {
+      recommendations.push({
+        category: 'Power Capability',
+        priority: powerFade.resistanceGrowthPct >= powerFade.eolResistancePct - 100 ? 'High' : 'Medium',
+        message: `Internal resistance has grown ${powerFade.resistanceGrowthPct}% and will reach the ${powerFade.eolResistancePct}% limit in about ${powerFade.estimatedRemainingUsefulLifeMonths} months, before capacity does.`,
+        impact: 'Rising resistance reduces peak power and increases heat at high C-rates'
+      });
+    }
+
+    // Weak or drifting cells
+    if (pack?.outliers.length) {
+      recommendations.push({
+        category: 'Cell Balancing',
+        priority: 'High',
+        message: `${pack.outliers.length} outlier cell(s) detected (${pack.outliers.map(cell => cell.id).join(', ')}). Inspect or replace them; series group ${pack.limitingGroup.series} limits the pack.`,
+        impact: 'The weakest series group caps the usable capacity of the whole string'
+      });
+    } else if (pack?.imbalance.exceedsLimit) {
+      recommendations.push({
+        category: 'Cell Balancing',
+        priority: 'Medium',
+        message: `Cell capacity spread is ${pack.imbalance.capacitySpreadPct}% of the rating. Run a full balancing charge and monitor the spread.`,
+        impact: `Imbalance strands ${pack.imbalanceLossPct}% SOH in the stronger cells`
+      });
+    }
+
     // Cycle-based recommendations
     if (chargeCycles > 1000) {
       recommendations.push({
@@ -214,11 +739,13 @@ export class BatteryService {
 
       const degradationResult = computeDegradation(enhancedInput);
       const confidence = getModelConfidence(enhancedInput);
-      const status = this.determineBatteryStatus(degradationResult.soh, input.currentCapacity);
+      const statusBands = this.resolveStatusBands(degradationResult.eolPct, input.statusBands);
+      const status = this.determineBatteryStatus(degradationResult.soh, input.currentCapacity, statusBands);
 
       return {
         healthPercentage: degradationResult.healthPct,
         status: status.status,
+        endOfLifeThresholdPct: degradationResult.eolPct,
         estimatedMonthsRemaining: degradationResult.estimatedRUIMonths,
         confidence: confidence.level,
         dataSource: input.currentCapacity ? 'measured' : 'estimated',
@@ -0,0 +1,181 @@
+import { BatteryService } from './battery.service.js';
+import { getChemistryProfile } from '../config/chemistryProfiles.js';
+import { getModel, listModels } from '../models/index.js';
+import { withMeasurementAges } from '../utils/capacityFit.js';
+
+// Longest projection when searching for the end-of-life month
+const RUL_HORIZON_MONTHS = 600;
+
+export class ComparisonService {
+
+  /**
+   * Run one payload through several degradation models
+   * Each model is scaled to the supplied measurements by a single least-squares
+   * factor (fade_measured ≈ s · fade_model), then evaluated for current health,
+   * remaining useful life and a trend. With two or more measurements the models
+   * are ranked by RMSE and the best fit is reported.
+   * @param {Object} rawInput - Battery parameters plus optional models and cyclesPerMonth
+   * @returns {Object} Per-model results, ranking and best fit
+   */
+  static compareModels(rawInput) {
+    try {
+      const profile = getChemistryProfile(rawInput.chemistry);
+      const input = BatteryService.resolveInput(rawInput);
+      const names = input.models?.length ? [...new Set(input.models)] : listModels();
+      const measurements = this.collectMeasurements(input);
+
+      const models = names.map(name => this.evaluateModel(getModel(name), input, profile.coefficients, measurements));
+
+      const ranked = measurements.length >= 2
+        ? [...models].sort((a, b) => a.fit.rmsePct - b.fit.rmsePct)
+        : [];
+
+      return {
+        meta: {
+          generatedAt: new Date().toISOString(),
+          chemistry: profile.chemistry,
+          unitCapacity: input.unit || "Ah",
+          measurements: measurements.length,
+          scaling: measurements.length ? 'least-squares' : 'none',
+          cyclesPerMonth: +this.cyclesPerMonth(input).toFixed(2)
+        },
+        models,
+        ranking: ranked.map(model => ({ model: model.name, rmsePct: model.fit.rmsePct })),
+        bestFit: ranked.length
+          ? { model: ranked[0].name, rmsePct: ranked[0].fit.rmsePct }
+          : null
+      };
+    } catch (error) {
+      throw new Error(`Battery analysis failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Measurements to fit against: the capacity history, else the current capacity
+   * @param {Object} input - Battery parameters (after capacity history is applied)
+   * @returns {Array} { cycles, years, capacity, date }
+   */
+  static collectMeasurements(input) {
+    if (input.capacityHistory?.length >= 2) {
+      return withMeasurementAges(input).map(({ date, cycles, years, capacity }) => ({ date, cycles, years, capacity }));
+    }
+
+    if (input.currentCapacity) {
+      return [{
+        date: null,
+        cycles: input.chargeCycles || 0,
+        years: this.ageYears(input),
+        capacity: input.currentCapacity
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Scale, evaluate and project one model
+   */
+  static evaluateModel(model, input, coefficients, measurements) {
+    const params = model.parameters(coefficients);
+    const { nominalCapacity, eolPct = 70 } = input;
+    const fadeAt = (cycles, years) => model.fade({ ...input, chargeCycles: cycles, calendarAgeYears: years }, params);
+
+    // Scalar least squares: s = Σ f·y / Σ f²
+    const rows = measurements.map(m => ({
+      measurement: m,
+      modelFade: fadeAt(m.cycles, m.years),
+      measuredFade: 1 - m.capacity / nominalCapacity
+    }));
+    const sff = rows.reduce((sum, row) => sum + row.modelFade ** 2, 0);
+    const sfy = rows.reduce((sum, row) => sum + row.modelFade * row.measuredFade, 0);
+    const scale = sff > 0 ? Math.max(0, sfy / sff) : 1;
+
+    const healthAt = (cycles, years) => Math.max(0, 100 * (1 - scale * fadeAt(cycles, years)));
+
+    const residuals = rows.map(({ measurement, modelFade, measuredFade }) => ({
+      date: measurement.date,
+      cycles: measurement.cycles,
+      measuredHealthPct: +(100 * (1 - measuredFade)).toFixed(3),
+      modelHealthPct: +(100 * (1 - scale * modelFade)).toFixed(3),
+      residualPct: +(100 * (scale * modelFade - measuredFade)).toFixed(3)
+    }));
+    const rmsePct = rows.length
+      ? Math.sqrt(residuals.reduce((sum, r) => sum + r.residualPct ** 2, 0) / rows.length)
+      : null;
+
+    const cycles = input.chargeCycles || 0;
+    const years = this.ageYears(input);
+    const healthPct = healthAt(cycles, years);
+
+    return {
+      name: model.name,
+      label: model.label,
+      description: model.description,
+      parameters: params,
+      scaleFactor: +scale.toPrecision(6),
+      healthPercentage: +healthPct.toFixed(2),
+      estimatedRemainingUsefulLifeMonths: this.monthsToEndOfLife(healthAt, input, eolPct),
+      fit: rows.length
+        ? { measurements: rows.length, rmsePct: +rmsePct.toFixed(4), residuals }
+        : null,
+      trend: this.buildModelTrend(healthAt, input)
+    };
+  }
+
+  /**
+   * First month at which the projected health reaches end-of-life
+   * @returns {number|null} Months from now, or null beyond the search horizon
+   */
+  static monthsToEndOfLife(healthAt, input, eolPct) {
+    const cycles = input.chargeCycles || 0;
+    const years = this.ageYears(input);
+    const perMonth = this.cyclesPerMonth(input);
+
+    for (let month = 0; month <= RUL_HORIZON_MONTHS; month++) {
+      if (healthAt(cycles + perMonth * month, years + month / 12) <= eolPct) {
+        return month;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Health over the cycle history on the same grid as the /analyze trend
+   */
+  static buildModelTrend(healthAt, input) {
+    const { nominalCapacity } = input;
+    const totalCycles = Math.max(input.chargeCycles || 0, 0);
+    const totalYears = this.ageYears(input);
+    const step = Math.max(25, Math.floor(totalCycles / 20) || 25);
+
+    const grid = [];
+    for (let cycle = 0; cycle <= totalCycles; cycle += step) grid.push(cycle);
+    if (grid[grid.length - 1] < totalCycles) grid.push(totalCycles);
+
+    return grid.map(cycle => {
+      const healthPct = healthAt(cycle, totalYears * (cycle / Math.max(totalCycles, 1)));
+      return {
+        cycle,
+        healthPct: +healthPct.toFixed(2),
+        capacity: +((healthPct / 100) * nominalCapacity).toFixed(2)
+      };
+    });
+  }
+
+  static ageYears(input) {
+    return typeof input.calendarAgeYears === 'number'
+      ? input.calendarAgeYears
+      : (input.calendarAgeMonths || 0) / 12;
+  }
+
+  /**
+   * Future usage: explicit cyclesPerMonth, else the historical average
+   */
+  static cyclesPerMonth(input) {
+    if (typeof input.cyclesPerMonth === 'number') {
+      return input.cyclesPerMonth;
+    }
+    const months = this.ageYears(input) * 12;
+    return months > 0 ? (input.chargeCycles || 0) / months : 0;
+  }
+}
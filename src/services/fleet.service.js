@@ -0,0 +1,149 @@
+import { BatteryService } from './battery.service.js';
+import { AssetService } from './asset.service.js';
+import { batteryAnalysisSchema } from '../schemas/battery.schema.js';
+import { formatZodErrors } from '../middleware/validateRequest.js';
+import { percentiles } from '../utils/uncertainty.js';
+import { recordAnalysis } from '../utils/metrics.js';
+
+const STATUSES = ['Excellent', 'Good', 'Fair', 'Poor', 'Critical'];
+
+export class FleetService {
+
+  /**
+   * Analyze a batch of batteries, validating each item on its own
+   * @param {Object} options - Batch request
+   * @param {Array} options.batteries - Raw battery payloads (may reference an assetId)
+   * @param {number} options.worstN - Number of lowest-SOH packs to report
+   * @param {number} options.eolWithinMonths - Horizon for the end-of-life share
+   * @param {boolean} options.includeDetails - Attach the full analysis per item
+   * @param {Object} [itemSchema] - Schema each item is validated against (per API version)
+   * @returns {Promise<Object>} Per-battery results and fleet aggregates
+   */
+  static async analyzeBatch({ batteries, worstN = 5, eolWithinMonths = 12, includeDetails = false }, itemSchema = batteryAnalysisSchema) {
+    const results = await Promise.all(
+      batteries.map((payload, index) => this.analyzeItem(payload, index, includeDetails, itemSchema))
+    );
+    const analyzed = results.filter(item => item.success);
+
+    return {
+      summary: {
+        total: results.length,
+        analyzed: analyzed.length,
+        failed: results.length - analyzed.length
+      },
+      aggregates: this.aggregate(analyzed, { worstN, eolWithinMonths }),
+      results
+    };
+  }
+
+  /**
+   * Validate and analyze one batch item without failing the batch
+   * @param {Object} payload - Raw battery payload
+   * @param {number} index - Position in the batch
+   * @param {boolean} includeDetails - Attach the full analysis
+   * @param {Object} [itemSchema] - Schema the item is validated against
+   * @returns {Promise<Object>} Item result or item error
+   */
+  static async analyzeItem(payload, index, includeDetails, itemSchema = batteryAnalysisSchema) {
+    const id = payload.id ?? payload.assetId ?? null;
+
+    try {
+      const merged = payload.assetId ? await AssetService.mergeIntoInput(payload) : payload;
+      const parsed = itemSchema.safeParse(merged);
+
+      if (!parsed.success) {
+        return {
+          index,
+          id,
+          success: false,
+          error: 'Validation Error',
+          details: formatZodErrors(parsed.error)
+        };
+      }
+
+      const analysis = BatteryService.analyzeBatteryHealth(parsed.data);
+      recordAnalysis(analysis);
+      const { results } = analysis;
+
+      return {
+        index,
+        id,
+        success: true,
+        healthPercentage: +results.healthPercentage.toFixed(2),
+        status: results.status,
+        estimatedRemainingUsefulLifeMonths: results.estimatedRemainingUsefulLifeMonths,
+        endOfLifeThresholdPct: results.endOfLifeThresholdPct,
+        confidence: results.confidence.level,
+        ...(includeDetails && { analysis })
+      };
+    } catch (error) {
+      return {
+        index,
+        id,
+        success: false,
+        error: error.statusCode === 404 ? 'Not Found' : 'Analysis Error',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Fleet statistics over successfully analyzed items
+   * @param {Array} items - Successful item results
+   * @param {Object} options - worstN and eolWithinMonths
+   * @returns {Object} SOH distribution, status counts, worst packs and EOL share
+   */
+  static aggregate(items, { worstN, eolWithinMonths }) {
+    const statusCounts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    items.forEach(item => { statusCounts[item.status] += 1; });
+
+    const reachingEol = items.filter(item => item.estimatedRemainingUsefulLifeMonths <= eolWithinMonths);
+
+    return {
+      stateOfHealth: this.distribution(items.map(item => item.healthPercentage)),
+      statusCounts,
+      worst: [...items]
+        .sort((a, b) => a.healthPercentage - b.healthPercentage)
+        .slice(0, worstN)
+        .map(({ index, id, healthPercentage, status, estimatedRemainingUsefulLifeMonths }) => ({
+          index,
+          id,
+          healthPercentage,
+          status,
+          estimatedRemainingUsefulLifeMonths
+        })),
+      endOfLife: {
+        withinMonths: eolWithinMonths,
+        count: reachingEol.length,
+        sharePct: items.length ? +((reachingEol.length / items.length) * 100).toFixed(2) : 0
+      }
+    };
+  }
+
+  /**
+   * Summary statistics and a 10-point histogram of SOH values
+   * @param {number[]} values - SOH percentages
+   * @returns {Object|null} Distribution, or null for an empty fleet
+   */
+  static distribution(values) {
+    if (!values.length) {
+      return null;
+    }
+
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+
+    const histogram = Array.from({ length: 10 }, (_, i) => ({ rangePct: `${i * 10}-${i * 10 + 10}`, count: 0 }));
+    values.forEach(v => { histogram[Math.min(9, Math.floor(v / 10))].count += 1; });
+
+    return {
+      count: values.length,
+      mean: +mean.toFixed(2),
+      stdDev: +Math.sqrt(variance).toFixed(2),
+      min: +Math.min(...values).toFixed(2),
+      max: +Math.max(...values).toFixed(2),
+      ...percentiles(values),
+      histogram
+    };
+  }
+}
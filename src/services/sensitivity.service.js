@@ -0,0 +1,127 @@
+import { BatteryService } from './battery.service.js';
+import { SENSITIVITY_FIELDS, numericFieldBounds } from '../schemas/battery.schema.js';
+
+const round = (value, digits) => +value.toFixed(digits);
+
+// Inputs on an interval scale (°C), where a percentage of the value means
+// nothing; the tornado moves them by a share of their schema range instead
+const INTERVAL_SCALED_FIELDS = ['avgTemperature'];
+
+export class SensitivityService {
+
+  /**
+   * What-if sweep over one or two inputs plus tornado data for every numeric input
+   * Each grid point is the base payload with the swept values substituted,
+   * evaluated exactly as /analyze would evaluate it.
+   * @param {Object} rawInput - Battery parameters plus sweep and tornado options
+   * @returns {Object} Base result, 1-D/2-D grid and tornado bars ranked by swing
+   */
+  static analyzeSensitivity(rawInput) {
+    try {
+      const { sweep, tornado = {}, ...base } = rawInput;
+      const { variationPct = 10, metric = 'remainingUsefulLifeMonths' } = tornado;
+      const { profile, input, calibration, degradationResult } = BatteryService.assessDegradation(base);
+
+      return {
+        meta: {
+          unitCapacity: input.unit || "Ah",
+          generatedAt: new Date().toISOString(),
+          model: BatteryService.describeModel(input, profile, calibration)
+        },
+        base: this.summarize(degradationResult),
+        sweep: this.buildGrid(base, sweep),
+        tornado: {
+          variationPct,
+          metric,
+          bars: this.buildTornado(base, variationPct, metric)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Battery analysis failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * SOH and RUL of one payload, as reported by /analyze
+   */
+  static evaluate(input) {
+    return this.summarize(BatteryService.assessDegradation(input).degradationResult);
+  }
+
+  static summarize(degradationResult) {
+    return {
+      soh: round(degradationResult.soh, 2),
+      remainingUsefulLifeMonths: degradationResult.estimatedRUIMonths
+    };
+  }
+
+  /**
+   * Values of one swept parameter
+   */
+  static sweepValues({ values, min, max, steps = 11 }) {
+    if (values) return values;
+    return Array.from({ length: steps }, (_, i) => round(min + ((max - min) * i) / (steps - 1), 6));
+  }
+
+  /**
+   * Grid points, plus row-major matrices (first parameter by row) for two parameters
+   */
+  static buildGrid(base, sweep) {
+    const parameters = sweep.map(spec => ({ name: spec.parameter, values: this.sweepValues(spec) }));
+    const [rows, columns] = parameters;
+
+    if (!columns) {
+      return {
+        parameters,
+        points: rows.values.map(value => ({ [rows.name]: value, ...this.evaluate({ ...base, [rows.name]: value }) }))
+      };
+    }
+
+    const matrix = rows.values.map(rowValue => columns.values.map(columnValue => ({
+      [rows.name]: rowValue,
+      [columns.name]: columnValue,
+      ...this.evaluate({ ...base, [rows.name]: rowValue, [columns.name]: columnValue })
+    })));
+
+    return {
+      parameters,
+      points: matrix.flat(),
+      soh: matrix.map(row => row.map(point => point.soh)),
+      remainingUsefulLifeMonths: matrix.map(row => row.map(point => point.remainingUsefulLifeMonths))
+    };
+  }
+
+  /**
+   * Move each numeric input present in the payload by ±variationPct (within its
+   * schema bounds) and rank the inputs by how far the metric swings
+   * Ratio-scaled inputs move by variationPct of their value, interval-scaled
+   * ones by variationPct of their schema range.
+   */
+  static buildTornado(base, variationPct, metric) {
+    return SENSITIVITY_FIELDS
+      .filter(field => typeof base[field] === 'number')
+      .map(field => {
+        const { min, max } = numericFieldBounds(field);
+        const clamp = value => Math.min(max ?? Infinity, Math.max(min ?? -Infinity, value));
+        const value = base[field];
+        const step = INTERVAL_SCALED_FIELDS.includes(field)
+          ? (max - min) * (variationPct / 100)
+          : Math.abs(value) * (variationPct / 100);
+        const lowValue = round(clamp(value - step), 6);
+        const highValue = round(clamp(value + step), 6);
+        const low = this.evaluate({ ...base, [field]: lowValue });
+        const high = this.evaluate({ ...base, [field]: highValue });
+
+        return {
+          parameter: field,
+          baseValue: value,
+          step: round(step, 6),
+          low: { value: lowValue, ...low },
+          high: { value: highValue, ...high },
+          swing: round(Math.abs(high[metric] - low[metric]), 2)
+        };
+      })
+      .sort((a, b) => b.swing - a.swing)
+      .map((bar, i) => ({ rank: i + 1, ...bar }));
+  }
+}
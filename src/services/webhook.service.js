@@ -0,0 +1,300 @@
+import { randomBytes, randomUUID } from 'crypto';
+import { getStore } from '../storage/index.js';
+import { createHttpError } from '../utils/httpError.js';
+import { postJson, signPayload, privateDestinationsAllowed } from '../utils/webhooks.js';
+import { logger } from '../config/logger.js';
+
+const SECRET_PREFIX = 'whsec_';
+
+// Deliveries kept per subscription in the delivery log
+const DELIVERY_LOG_SIZE = 100;
+
+// Deliveries still being attempted, so tests and shutdown can wait for them
+const inFlight = new Set();
+
+// Stored subscriptions minus the signing secret and owner
+const toPublic = ({ secret, owner, ...subscription }) => subscription;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delivery settings from the environment, read per delivery
+ */
+function deliverySettings() {
+  return {
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000,
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+    allowPrivate: privateDestinationsAllowed()
+  };
+}
+
+/**
+ * Error recorded for a failed attempt; raw network errors would tell
+ * subscribers about hosts and ports they cannot otherwise see
+ */
+function attemptError(err) {
+  if (err.code === 'ERR_WEBHOOK_DESTINATION') return 'Destination address is not allowed';
+  if (err.code === 'ETIMEDOUT') return 'Request timed out';
+  return 'Connection failed';
+}
+
+// Network errors, timeouts, 429 and 5xx are worth retrying; other 4xx and refused destinations are not
+const isRetryable = (statusCode, error) => error !== 'Destination address is not allowed'
+  && (statusCode === undefined || statusCode === 429 || statusCode >= 500);
+
+export class WebhookService {
+
+  static get store() {
+    return getStore('webhooks');
+  }
+
+  static get deliveries() {
+    return getStore('webhookDeliveries');
+  }
+
+  /**
+   * Register a subscription; a generated secret is only returned here
+   * @param {Object} data - Validated { url, conditions, assetIds?, description?, secret? }
+   * @param {string|null} [owner] - API client the subscription belongs to
+   * @returns {Promise<Object>} Subscription including `secret`
+   */
+  static async createSubscription(data, owner = null) {
+    const subscription = await this.store.create({
+      id: randomUUID(),
+      ...data,
+      secret: data.secret ?? `${SECRET_PREFIX}${randomBytes(24).toString('hex')}`,
+      owner,
+      createdAt: new Date().toISOString()
+    });
+    return { ...toPublic(subscription), secret: subscription.secret };
+  }
+
+  /**
+   * List an owner's subscriptions (without secrets)
+   * @param {string|null} [owner] - API client
+   * @returns {Promise<Array>} Subscriptions
+   */
+  static async listSubscriptions(owner = null) {
+    return (await this.store.list())
+      .filter(subscription => (subscription.owner ?? null) === owner)
+      .map(toPublic);
+  }
+
+  /**
+   * Get an owner's subscription (without its secret) or fail with 404
+   * @param {string} id - Subscription ID
+   * @param {string|null} [owner] - API client
+   * @returns {Promise<Object>} Subscription
+   */
+  static async getSubscription(id, owner = null) {
+    return toPublic(await this.findSubscription(id, owner));
+  }
+
+  // Other owners' subscriptions are reported as missing
+  static async findSubscription(id, owner = null) {
+    const subscription = await this.store.get(id);
+    if (!subscription || (subscription.owner ?? null) !== owner) {
+      throw createHttpError(404, `Webhook ${id} not found`);
+    }
+    return subscription;
+  }
+
+  /**
+   * Delete an owner's subscription and its delivery log
+   * @param {string} id - Subscription ID
+   * @param {string|null} [owner] - API client
+   */
+  static async deleteSubscription(id, owner = null) {
+    await this.findSubscription(id, owner);
+    if (!(await this.store.remove(id))) {
+      throw createHttpError(404, `Webhook ${id} not found`);
+    }
+    for (const delivery of await this.listDeliveries(id)) {
+      await this.deliveries.remove(delivery.id);
+    }
+  }
+
+  /**
+   * Delivery log of a subscription, newest first
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Array>} Deliveries with their attempts
+   */
+  static async listDeliveries(id) {
+    return (await this.deliveries.list())
+      .filter(delivery => delivery.subscriptionId === id)
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  }
+
+  /**
+   * Send a ping event and wait for the outcome
+   * @param {string} id - Subscription ID
+   * @param {string|null} [owner] - API client
+   * @returns {Promise<Object>} Delivery record
+   */
+  static async ping(id, owner = null) {
+    const subscription = await this.findSubscription(id, owner);
+    return this.track(this.deliver(subscription, 'ping', { message: 'Webhook subscription is reachable' }));
+  }
+
+  /**
+   * Events for the conditions a new assessment crosses
+   * Threshold conditions fire when the value moves below the threshold (or is
+   * below it on the first assessment); status conditions fire on a change
+   * that matches their optional from/to.
+   * @param {Array} conditions - Subscription conditions
+   * @param {Object|null} previous - Previous assessment { soh, status, remainingUsefulLifeMonths }
+   * @param {Object} current - New assessment
+   * @returns {Array} { event, condition }
+   */
+  static matchConditions(conditions, previous, current) {
+    const crossedBelow = (key, limit) => current[key] < limit && (!previous || previous[key] >= limit);
+
+    return conditions.filter(condition => {
+      switch (condition.type) {
+        case 'soh_below':
+          return crossedBelow('soh', condition.threshold);
+        case 'rul_below':
+          return crossedBelow('remainingUsefulLifeMonths', condition.months);
+        case 'status_change':
+          return Boolean(previous)
+            && previous.status !== current.status
+            && (!condition.from || condition.from === previous.status)
+            && (!condition.to || condition.to === current.status);
+        default:
+          return false;
+      }
+    }).map(condition => ({ event: `battery.${condition.type}`, condition }));
+  }
+
+  /**
+   * Queue deliveries for every subscription whose conditions an assessment crosses
+   * Only subscriptions of the asset's owner are considered, so clients never
+   * hear about each other's assets. Deliveries run in the background; the
+   * returned promise only covers matching.
+   * @param {Object} asset - Stored asset the assessment belongs to
+   * @param {Object|null} previous - Previous assessment
+   * @param {Object} current - New assessment
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  static async notifyAssessment(asset, previous, current) {
+    const subscriptions = (await this.store.list())
+      .filter(subscription => (subscription.owner ?? null) === (asset.owner ?? null))
+      .filter(subscription => !subscription.assetIds || subscription.assetIds.includes(asset.id));
+
+    let queued = 0;
+    for (const subscription of subscriptions) {
+      for (const { event, condition } of this.matchConditions(subscription.conditions, previous, current)) {
+        this.track(this.deliver(subscription, event, {
+          asset: { id: asset.id, name: asset.name },
+          condition,
+          previous,
+          current
+        }));
+        queued++;
+      }
+    }
+    return queued;
+  }
+
+  /**
+   * Deliver one event with retries and exponential backoff, logging each attempt
+   * @param {Object} subscription - Stored subscription (with secret)
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @returns {Promise<Object>} Final delivery record
+   */
+  static async deliver(subscription, event, data) {
+    const { maxAttempts, retryBaseMs, timeoutMs, allowPrivate } = deliverySettings();
+    const id = randomUUID();
+    const createdAt = new Date().toISOString();
+    const body = JSON.stringify({ id, event, createdAt, subscriptionId: subscription.id, data });
+
+    let delivery = await this.deliveries.create({
+      id,
+      subscriptionId: subscription.id,
+      event,
+      url: subscription.url,
+      status: 'pending',
+      attempts: [],
+      createdAt,
+      deliveredAt: null
+    });
+    await this.pruneDeliveries(subscription.id);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const started = Date.now();
+      let statusCode;
+      let error = null;
+
+      try {
+        ({ statusCode } = await postJson(subscription.url, body, {
+          'User-Agent': 'battery-degradation-api-webhooks',
+          'X-Webhook-Id': id,
+          'X-Webhook-Event': event,
+          'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+        }, timeoutMs, { allowPrivate }));
+      } catch (err) {
+        error = attemptError(err);
+        logger.debug('webhook attempt failed', { webhookId: subscription.id, deliveryId: id, attempt, error: err.message });
+      }
+
+      const succeeded = statusCode >= 200 && statusCode < 300;
+      const willRetry = !succeeded && attempt < maxAttempts && isRetryable(statusCode, error);
+      const nextAttemptMs = willRetry ? retryBaseMs * 2 ** (attempt - 1) : null;
+
+      delivery = {
+        ...delivery,
+        status: succeeded ? 'delivered' : willRetry ? 'retrying' : 'failed',
+        attempts: [...delivery.attempts, {
+          attempt,
+          at: new Date(started).toISOString(),
+          statusCode: statusCode ?? null,
+          error,
+          durationMs: Date.now() - started
+        }],
+        nextAttemptAt: nextAttemptMs === null ? null : new Date(Date.now() + nextAttemptMs).toISOString(),
+        deliveredAt: succeeded ? new Date().toISOString() : null
+      };
+      // The subscription may have been deleted meanwhile; keep the local record
+      await this.deliveries.update(id, delivery);
+
+      if (!willRetry) break;
+      await sleep(nextAttemptMs);
+    }
+
+    if (delivery.status === 'failed') {
+      logger.warn('webhook delivery failed', { webhookId: subscription.id, deliveryId: id, event, attempts: delivery.attempts.length });
+    }
+    return delivery;
+  }
+
+  /**
+   * Drop the oldest deliveries beyond the log size
+   */
+  static async pruneDeliveries(subscriptionId) {
+    const deliveries = await this.listDeliveries(subscriptionId);
+    for (const delivery of deliveries.slice(DELIVERY_LOG_SIZE)) {
+      await this.deliveries.remove(delivery.id);
+    }
+  }
+
+  static track(promise) {
+    const tracked = promise
+      .catch(error => logger.error('webhook delivery error', error))
+      .finally(() => inFlight.delete(tracked));
+    inFlight.add(tracked);
+    return tracked;
+  }
+
+  /**
+   * Wait for every queued delivery to finish (including retries)
+   * @returns {Promise<void>}
+   */
+  static async drain() {
+    while (inFlight.size) {
+      await Promise.allSettled([...inFlight]);
+    }
+  }
+}
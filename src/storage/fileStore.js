@@ -0,0 +1,99 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { MemoryStore } from './memoryStore.js';
+
+/**
+ * JSON file record store
+ * Keeps the collection in memory and rewrites the whole file after each
+ * change (write to a temp file, then rename). Writes are serialized so
+ * concurrent requests cannot interleave, and a failed write undoes its change
+ * in memory so the next one does not carry it to disk. Suited to small
+ * registries; plug in a database-backed store for large fleets.
+ */
+export class FileStore extends MemoryStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.loaded = null;
+    this.writes = Promise.resolve();
+  }
+
+  async load() {
+    this.loaded ??= (async () => {
+      try {
+        const records = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        this.records = new Map(records.map(record => [record.id, record]));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    })().catch(error => {
+      // Let the next call retry rather than caching the failure
+      this.loaded = null;
+      throw error;
+    });
+    return this.loaded;
+  }
+
+  /**
+   * Queue a rewrite of the file with the records as they stand when it runs
+   * @param {Function} [undo] - Reverts the in-memory change if the write fails
+   */
+  async persist(undo = () => {}) {
+    this.writes = this.writes.catch(() => {}).then(async () => {
+      const snapshot = JSON.stringify([...this.records.values()], null, 2);
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tempPath, snapshot);
+        await fs.rename(tempPath, this.filePath);
+      } catch (error) {
+        undo();
+        throw error;
+      }
+    });
+    return this.writes;
+  }
+
+  /**
+   * Put a record back the way it was before a failed write
+   */
+  restore(id, previous) {
+    return () => {
+      if (previous) this.records.set(id, previous);
+      else this.records.delete(id);
+    };
+  }
+
+  async list() {
+    await this.load();
+    return super.list();
+  }
+
+  async get(id) {
+    await this.load();
+    return super.get(id);
+  }
+
+  async create(record) {
+    await this.load();
+    const created = await super.create(record);
+    await this.persist(this.restore(record.id));
+    return created;
+  }
+
+  async update(id, record) {
+    await this.load();
+    const previous = this.records.get(id);
+    const updated = await super.update(id, record);
+    if (updated) await this.persist(this.restore(id, previous));
+    return updated;
+  }
+
+  async remove(id) {
+    await this.load();
+    const previous = this.records.get(id);
+    const removed = await super.remove(id);
+    if (removed) await this.persist(this.restore(id, previous));
+    return removed;
+  }
+}
@@ -0,0 +1,46 @@
+import path from 'path';
+import { MemoryStore } from './memoryStore.js';
+import { FileStore } from './fileStore.js';
+
+/**
+ * Storage drivers, selected with STORAGE_DRIVER (default "file").
+ * A driver is a factory (collection) => store exposing async
+ * list/get/create/update/remove. Register custom drivers (e.g. a database)
+ * with registerStorageDriver before the first request.
+ */
+const drivers = {
+  memory: () => new MemoryStore(),
+  file: (collection) => new FileStore(path.resolve(process.env.STORAGE_DIR || 'data', `${collection}.json`))
+};
+
+const stores = new Map();
+
+export function registerStorageDriver(name, factory) {
+  drivers[name] = factory;
+}
+
+/**
+ * Get the shared store for a collection
+ * @param {string} collection - Collection name (e.g. "assets")
+ * @returns {Object} Store instance
+ */
+export function getStore(collection) {
+  if (!stores.has(collection)) {
+    const driver = process.env.STORAGE_DRIVER || 'file';
+    const factory = drivers[driver];
+
+    if (!factory) {
+      throw new Error(`Unknown storage driver "${driver}". Available: ${Object.keys(drivers).join(', ')}`);
+    }
+
+    stores.set(collection, factory(collection));
+  }
+  return stores.get(collection);
+}
+
+/**
+ * Drop cached stores so the next getStore call re-reads STORAGE_DRIVER
+ */
+export function resetStores() {
+  stores.clear();
+}
@@ -0,0 +1,42 @@
+// Records are JSON documents; copying keeps callers from mutating stored state
+const clone = record => JSON.parse(JSON.stringify(record));
+
+/**
+ * In-memory record store
+ * Records are plain objects keyed by their `id`. Every method is async so the
+ * store can be swapped for a persistent implementation without touching callers.
+ */
+export class MemoryStore {
+  constructor(records = []) {
+    this.records = new Map(records.map(record => [record.id, record]));
+  }
+
+  async list() {
+    return [...this.records.values()].map(record => clone(record));
+  }
+
+  async get(id) {
+    const record = this.records.get(id);
+    return record ? clone(record) : null;
+  }
+
+  async create(record) {
+    if (this.records.has(record.id)) {
+      throw new Error(`Record ${record.id} already exists`);
+    }
+    this.records.set(record.id, clone(record));
+    return clone(record);
+  }
+
+  async update(id, record) {
+    if (!this.records.has(id)) {
+      return null;
+    }
+    this.records.set(id, clone({ ...record, id }));
+    return clone(this.records.get(id));
+  }
+
+  async remove(id) {
+    return this.records.delete(id);
+  }
+}
@@ -0,0 +1,291 @@
+/**
+ * Model inputs derived from raw BMS logs
+ *
+ * The SoC trace is reduced to its turning points (ignoring swings smaller
+ * than the hysteresis, which are sensor noise) and rainflow counted as in
+ * ASTM E1049: a range no larger than the one after it closes a full cycle,
+ * and the residue counts as half cycles. Counted cycles and their DoD bins
+ * become chargeCycles and dutyCycleProfile, the form the cycle stress model
+ * expects (N cycles at a given depth). /analyze therefore receives counted
+ * cycles, not equivalent full cycles: the depth is carried by the profile,
+ * and counted cycles × depth is the throughput (equivalentFullCycles in the
+ * audit), as /warranty estimates it. Each range goes to the nearest DoD bin,
+ * so the profile's mean depth stays close to the counted one. Each sample's
+ * current and temperature hold until the next sample, so C-rate and
+ * temperature are time-weighted; samples sharing a timestamp add no time.
+ * With a calendar age in the request the log is taken as representative of
+ * the pack's life, and its counted cycles are scaled up by calendar age / log
+ * span, so a one-week log of a three-year-old pack does not read as a week
+ * of cycling.
+ */
+
+import { toKWh } from './units.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MONTH_MS = 30.4375 * 24 * HOUR_MS;
+
+export const DEFAULT_HYSTERESIS_PCT = 2;
+
+// DoD bin width of the derived duty cycle, and the schema minimum DoD
+const DOD_BIN_PCT = 10;
+// Temperature bin width of the derived histogram
+const TEMPERATURE_BIN = 5;
+// Below this C-rate the pack counts as resting
+const REST_C_RATE = 0.01;
+
+const round = (value, digits) => +value.toFixed(digits);
+
+/**
+ * Turning points of a trace, ignoring swings smaller than the hysteresis
+ * @param {Array<number>} values - Trace
+ * @param {number} hysteresis - Smallest swing that counts
+ * @returns {Array<number>} Start, alternating peaks and valleys, end extreme
+ */
+export function extractReversals(values, hysteresis = DEFAULT_HYSTERESIS_PCT) {
+  const reversals = [values[0]];
+  let direction = 0;
+  let extreme = values[0];
+
+  for (const value of values.slice(1)) {
+    if (direction === 0) {
+      if (Math.abs(value - values[0]) >= hysteresis) {
+        direction = Math.sign(value - values[0]);
+        extreme = value;
+      }
+    } else if ((value - extreme) * direction > 0) {
+      extreme = value;
+    } else if (Math.abs(value - extreme) >= hysteresis) {
+      reversals.push(extreme);
+      direction = -direction;
+      extreme = value;
+    }
+  }
+  if (direction !== 0) reversals.push(extreme);
+
+  return reversals;
+}
+
+/**
+ * Three-point rainflow count of a reversal sequence
+ * @param {Array<number>} reversals - Turning points
+ * @returns {Array} { range, count } with count 1 (full) or 0.5 (half)
+ */
+export function rainflow(reversals) {
+  const stack = [];
+  const cycles = [];
+
+  for (const point of reversals) {
+    stack.push(point);
+    while (stack.length >= 3) {
+      const latest = Math.abs(stack.at(-1) - stack.at(-2));
+      const previous = Math.abs(stack.at(-2) - stack.at(-3));
+      if (latest < previous) break;
+
+      if (stack.length === 3) {
+        // The range contains the starting point: half cycle
+        cycles.push({ range: previous, count: 0.5 });
+        stack.shift();
+      } else {
+        cycles.push({ range: previous, count: 1 });
+        stack.splice(-3, 2);
+      }
+    }
+  }
+
+  for (let i = 0; i < stack.length - 1; i++) {
+    cycles.push({ range: Math.abs(stack[i + 1] - stack[i]), count: 0.5 });
+  }
+  return cycles;
+}
+
+/**
+ * Cycle count and DoD distribution of a SoC trace
+ */
+function countCycles(soc, hysteresis) {
+  const reversals = extractReversals(soc, hysteresis);
+  const cycles = rainflow(reversals).filter(cycle => cycle.range > 0);
+
+  const bins = new Map();
+  for (const { range, count } of cycles) {
+    const dodPct = Math.min(100, Math.max(DOD_BIN_PCT, Math.round(range / DOD_BIN_PCT) * DOD_BIN_PCT));
+    bins.set(dodPct, (bins.get(dodPct) ?? 0) + count);
+  }
+
+  const counted = cycles.reduce((sum, cycle) => sum + cycle.count, 0);
+  const weightedRange = cycles.reduce((sum, cycle) => sum + cycle.count * cycle.range, 0);
+
+  return {
+    reversals: reversals.length,
+    fullCycles: cycles.filter(cycle => cycle.count === 1).length,
+    halfCycles: cycles.filter(cycle => cycle.count === 0.5).length,
+    counted,
+    equivalentFullCycles: weightedRange / 100,
+    meanDodPct: counted > 0 ? weightedRange / counted : null,
+    dutyCycleProfile: [...bins.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([dodPct, count]) => ({ dodPct, fraction: round(count / counted, 4) }))
+  };
+}
+
+/**
+ * Time-weighted statistics of a per-sample value over the intervals that have one
+ */
+function timeWeighted(samples, valueOf) {
+  const intervals = [];
+  for (let i = 0; i < samples.length - 1; i++) {
+    const value = valueOf(samples[i], i);
+    const hours = (samples[i + 1].time - samples[i].time) / HOUR_MS;
+    if (typeof value === 'number' && hours > 0) {
+      intervals.push({ value, hours });
+    }
+  }
+  const hours = intervals.reduce((sum, interval) => sum + interval.hours, 0);
+  if (hours <= 0) return null;
+
+  return {
+    intervals,
+    hours,
+    mean: intervals.reduce((sum, interval) => sum + interval.value * interval.hours, 0) / hours,
+    min: intervals.reduce((min, interval) => Math.min(min, interval.value), Infinity),
+    max: intervals.reduce((max, interval) => Math.max(max, interval.value), -Infinity)
+  };
+}
+
+/**
+ * Time-weighted 95th percentile
+ */
+function percentile95({ intervals, hours }) {
+  const sorted = [...intervals].sort((a, b) => a.value - b.value);
+  let elapsed = 0;
+  for (const interval of sorted) {
+    elapsed += interval.hours;
+    if (elapsed >= 0.95 * hours) return interval.value;
+  }
+  return sorted.at(-1).value;
+}
+
+/**
+ * Capacity in Ah for converting current to C-rate, or null when it cannot be known
+ */
+function capacityAh({ nominalCapacity, unit = 'Ah', nominalVoltage }) {
+  if (unit === 'Ah') return nominalCapacity;
+  return nominalVoltage ? (toKWh(nominalCapacity, unit) * 1000) / nominalVoltage : null;
+}
+
+/**
+ * C-rate while charging or discharging, from current or else from the SoC slope
+ */
+function deriveCRate(samples, payload) {
+  const ah = capacityAh(payload);
+  const fromCurrent = ah !== null && samples.slice(0, -1).every(sample => typeof sample.current === 'number');
+
+  const rates = samples.map((sample, i) => {
+    if (i === samples.length - 1) return null;
+    if (fromCurrent) return Math.abs(sample.current) / ah;
+    const next = samples[i + 1];
+    // No slope across samples that share a timestamp
+    if (next.time === sample.time) return null;
+    return Math.abs(next.soc - sample.soc) / 100 / ((next.time - sample.time) / HOUR_MS);
+  });
+
+  const stats = timeWeighted(samples, (sample, i) => (rates[i] >= REST_C_RATE ? rates[i] : null));
+  if (!stats) return null;
+
+  return {
+    source: fromCurrent ? 'current' : 'soc',
+    mean: round(stats.mean, 3),
+    p95: round(percentile95(stats), 3),
+    max: round(stats.max, 3),
+    activeHours: round(stats.hours, 2)
+  };
+}
+
+/**
+ * Time-at-temperature histogram and statistics
+ */
+function deriveTemperature(samples) {
+  const stats = timeWeighted(samples, sample => sample.temperature);
+  if (!stats) return null;
+
+  const bins = new Map();
+  for (const { value, hours } of stats.intervals) {
+    const temperature = Math.round(value / TEMPERATURE_BIN) * TEMPERATURE_BIN;
+    bins.set(temperature, (bins.get(temperature) ?? 0) + hours);
+  }
+
+  return {
+    mean: round(stats.mean, 2),
+    min: stats.min,
+    max: stats.max,
+    profile: [...bins.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([temperature, hours]) => ({ temperature, fraction: round(hours / stats.hours, 4) }))
+  };
+}
+
+/**
+ * Derive the cycle, C-rate and temperature inputs of the model from a BMS log
+ * @param {Object} log - { samples: [{ timestamp, soc, current?, temperature? }], hysteresisPct? }
+ * @param {Object} payload - Battery parameters (capacity, unit, voltage, calendar age)
+ * @returns {Object} { inputs, audit }: analysis inputs and how they were obtained
+ */
+export function deriveLogInputs(log, payload) {
+  const { hysteresisPct = DEFAULT_HYSTERESIS_PCT } = log;
+  const samples = log.samples
+    .map(sample => ({ ...sample, time: typeof sample.timestamp === 'number' ? sample.timestamp : Date.parse(sample.timestamp) }))
+    .sort((a, b) => a.time - b.time);
+
+  const spanMs = samples.at(-1).time - samples[0].time;
+  if (spanMs <= 0) {
+    throw new Error('The log must span more than one timestamp');
+  }
+
+  const cycles = countCycles(samples.map(sample => sample.soc), hysteresisPct);
+  const cRate = deriveCRate(samples, payload);
+  const temperature = deriveTemperature(samples);
+  const hasCalendarAge = typeof payload.calendarAgeMonths === 'number' || typeof payload.calendarAgeYears === 'number';
+  const spanMonths = round(spanMs / MONTH_MS, 2);
+
+  // Scale the log's cycles up to the given calendar age (years take precedence, as in the model)
+  const ageMonths = typeof payload.calendarAgeYears === 'number' ? payload.calendarAgeYears * 12 : payload.calendarAgeMonths;
+  const cycleScale = hasCalendarAge ? Math.max(1, (ageMonths * MONTH_MS) / spanMs) : 1;
+
+  const inputs = {
+    chargeCycles: round(cycles.counted * cycleScale, 2),
+    ...(cycles.meanDodPct !== null && {
+      dodPct: round(Math.max(DOD_BIN_PCT, cycles.meanDodPct), 1),
+      dutyCycleProfile: cycles.dutyCycleProfile
+    }),
+    ...(cRate && { cRate: round(Math.min(5, Math.max(0.1, cRate.mean)), 3) }),
+    ...(temperature && { avgTemperature: temperature.mean, temperatureProfile: temperature.profile }),
+    ...(!hasCalendarAge && { calendarAgeMonths: spanMonths })
+  };
+
+  return {
+    inputs,
+    audit: {
+      log: {
+        samples: samples.length,
+        start: new Date(samples[0].time).toISOString(),
+        end: new Date(samples.at(-1).time).toISOString(),
+        spanHours: round(spanMs / HOUR_MS, 2),
+        spanMonths
+      },
+      cycles: {
+        hysteresisPct,
+        reversals: cycles.reversals,
+        fullCycles: cycles.fullCycles,
+        halfCycles: cycles.halfCycles,
+        countedCycles: round(cycles.counted, 2),
+        equivalentFullCycles: round(cycles.equivalentFullCycles, 2),
+        meanDodPct: cycles.meanDodPct === null ? null : round(cycles.meanDodPct, 2),
+        // How chargeCycles follows from the counted cycles
+        chargeCyclesSource: cycleScale > 1 ? 'log scaled to calendar age' : 'log',
+        calendarAgeScale: round(cycleScale, 3)
+      },
+      cRate,
+      temperature: temperature && { mean: temperature.mean, min: temperature.min, max: temperature.max },
+      calendarAgeSource: hasCalendarAge ? 'request' : 'log span'
+    }
+  };
+}
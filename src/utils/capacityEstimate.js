@@ -0,0 +1,126 @@
+/**
+ * Usable capacity from partial charge sessions (Coulomb counting)
+ *
+ * A session that charges `charged` between startSoc and endSoc implies a
+ * full capacity of charged / ((endSoc - startSoc) / 100). The BMS SoC error
+ * weighs less on a wide window, so sessions narrower than minSocWindowPct
+ * are set aside and the rest are weighted by their window. Outliers by
+ * modified z-score (e.g. a mislogged session) are rejected before the
+ * weighted mean is taken, but only when they are also minOutlierDeviationPct
+ * away from the median estimate: when most sessions agree exactly, the score
+ * of one that differs slightly is large without it being wrong. The
+ * confidence interval is a Student t interval on the weighted mean with the
+ * Kish effective sample size.
+ */
+
+import { toKWh, fromKWh } from './units.js';
+import { median, modifiedZScores } from './robustStats.js';
+
+export const DEFAULT_MIN_SOC_WINDOW_PCT = 20;
+export const DEFAULT_OUTLIER_THRESHOLD = 3.5;
+export const DEFAULT_MIN_OUTLIER_DEVIATION_PCT = 2;
+export const CONFIDENCE_LEVEL = 0.95;
+
+// Two-sided 95% Student t critical values by degrees of freedom (1-30)
+const T_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+// Rounded down to whole degrees of freedom, which widens the interval
+const tCritical = df => (df < T_95.length + 1 ? T_95[Math.max(1, Math.floor(df)) - 1] : 1.96);
+
+const round = (value, digits) => +value.toFixed(digits);
+
+/**
+ * Charged amount of a session in the pack's unit
+ */
+function chargedIn(session, { unit = 'Ah', nominalVoltage }) {
+  if (session.chargedAh !== undefined) {
+    return unit === 'Ah' ? session.chargedAh : fromKWh(toKWh(session.chargedAh, 'Ah', nominalVoltage), unit);
+  }
+  return fromKWh(session.chargedKWh, unit, nominalVoltage);
+}
+
+/**
+ * Weighted-mean capacity estimate with outlier rejection and a confidence interval
+ * @param {Object} payload - Battery parameters with `sessions` and optional `estimation`
+ * @returns {Object} Estimate in the pack's unit with per-session outcomes
+ */
+export function estimateCapacity(payload) {
+  const { sessions, nominalCapacity, unit = 'Ah', estimation = {} } = payload;
+  const {
+    minSocWindowPct = DEFAULT_MIN_SOC_WINDOW_PCT,
+    outlierThreshold = DEFAULT_OUTLIER_THRESHOLD,
+    minOutlierDeviationPct = DEFAULT_MIN_OUTLIER_DEVIATION_PCT
+  } = estimation;
+
+  const evaluated = sessions.map((session, index) => {
+    const windowPct = session.endSoc - session.startSoc;
+    const charged = chargedIn(session, payload);
+    return {
+      index,
+      ...(session.date && { date: session.date }),
+      startSoc: session.startSoc,
+      endSoc: session.endSoc,
+      windowPct: round(windowPct, 2),
+      charged: round(charged, 4),
+      estimatedCapacity: charged / (windowPct / 100),
+      status: windowPct >= minSocWindowPct ? 'used' : 'rejected',
+      ...(windowPct < minSocWindowPct && { reason: 'window' })
+    };
+  });
+
+  const candidates = evaluated.filter(session => session.status === 'used');
+  if (!candidates.length) {
+    throw new Error(`No session covers a SoC window of at least ${minSocWindowPct}%`);
+  }
+
+  const estimates = candidates.map(session => session.estimatedCapacity);
+  const scores = modifiedZScores(estimates);
+  const center = median(estimates);
+  candidates.forEach((session, i) => {
+    session.score = round(scores[i], 2);
+    const deviationPct = Math.abs(session.estimatedCapacity - center) / center * 100;
+    if (Math.abs(scores[i]) > outlierThreshold && deviationPct >= minOutlierDeviationPct) {
+      session.status = 'rejected';
+      session.reason = 'outlier';
+    }
+  });
+
+  const used = candidates.filter(session => session.status === 'used');
+  const weight = used.reduce((sum, session) => sum + session.windowPct, 0);
+  const capacity = used.reduce((sum, session) => sum + session.windowPct * session.estimatedCapacity, 0) / weight;
+
+  // Weighted standard error with the Kish effective sample size
+  let confidenceInterval = null;
+  let standardError = null;
+  if (used.length >= 2) {
+    const effectiveN = weight ** 2 / used.reduce((sum, session) => sum + session.windowPct ** 2, 0);
+    const variance = used.reduce((sum, session) => sum + session.windowPct * (session.estimatedCapacity - capacity) ** 2, 0)
+      / weight * (effectiveN / (effectiveN - 1));
+    standardError = Math.sqrt(variance / effectiveN);
+    const halfWidth = tCritical(effectiveN - 1) * standardError;
+    confidenceInterval = {
+      level: CONFIDENCE_LEVEL,
+      lower: round(capacity - halfWidth, 3),
+      upper: round(capacity + halfWidth, 3),
+      halfWidth: round(halfWidth, 3)
+    };
+  }
+
+  return {
+    capacity: round(capacity, 3),
+    unit,
+    sohPct: round((capacity / nominalCapacity) * 100, 2),
+    confidenceInterval,
+    standardError: standardError === null ? null : round(standardError, 4),
+    sessionsUsed: used.length,
+    sessionsRejected: evaluated.length - used.length,
+    minSocWindowPct,
+    outlierThreshold,
+    minOutlierDeviationPct,
+    sessions: evaluated.map(session => ({ ...session, estimatedCapacity: round(session.estimatedCapacity, 3) }))
+  };
+}
@@ -0,0 +1,179 @@
+/**
+ * Least-squares fit of the degradation model to a capacity history
+ *
+ * The model fade is linear in its two scale coefficients:
+ *   Fade_i = a * CycleTerm_i + b * CalendarTerm_i
+ * where CycleTerm/CalendarTerm are the profile's cycle and calendar fade at
+ * unit calibration. Solving for (a, b) >= 0 gives the fitted coefficients
+ * k_c = a * k_c_profile and k_t = b * k_t_profile.
+ *
+ * Measurement ages: the payload calendar age (if any) is taken to be the age
+ * at the most recent measurement; earlier measurements are offset backwards
+ * by their date difference. Without a calendar age, the first measurement is
+ * taken as commissioning.
+ */
+
+import { computeDegradation } from './degradationCalculator.js';
+import { getChemistryProfile } from '../config/chemistryProfiles.js';
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+/**
+ * Sort measurements chronologically and attach the calendar age at each one
+ */
+export function withMeasurementAges(payload) {
+  const { capacityHistory = [], calendarAgeMonths, calendarAgeYears } = payload;
+
+  const sorted = [...capacityHistory]
+    .map(m => ({ ...m, time: Date.parse(m.date) }))
+    .sort((a, b) => a.time - b.time);
+
+  const first = sorted[0].time;
+  const last = sorted[sorted.length - 1].time;
+  const spanYears = (last - first) / MS_PER_YEAR;
+
+  const statedYears = typeof calendarAgeYears === 'number'
+    ? calendarAgeYears
+    : typeof calendarAgeMonths === 'number' ? calendarAgeMonths / 12 : 0;
+  const ageAtLatest = Math.max(statedYears, spanYears);
+
+  return sorted.map(m => ({
+    ...m,
+    years: Math.max(0, ageAtLatest - (last - m.time) / MS_PER_YEAR)
+  }));
+}
+
+/**
+ * Solve min sum (y - a*x1 - b*x2)^2 subject to a, b >= 0
+ */
+function nonNegativeLeastSquares(rows) {
+  let s11 = 0, s22 = 0, s12 = 0, s1y = 0, s2y = 0;
+  for (const { x1, x2, y } of rows) {
+    s11 += x1 * x1;
+    s22 += x2 * x2;
+    s12 += x1 * x2;
+    s1y += x1 * y;
+    s2y += x2 * y;
+  }
+
+  const sse = (a, b) => rows.reduce((sum, { x1, x2, y }) => sum + (y - a * x1 - b * x2) ** 2, 0);
+  const candidates = [];
+
+  // Unconstrained two-parameter solution (skip if the normal matrix is singular)
+  const det = s11 * s22 - s12 * s12;
+  if (det > 1e-12 * s11 * s22) {
+    const a = (s1y * s22 - s2y * s12) / det;
+    const b = (s2y * s11 - s1y * s12) / det;
+    if (a >= 0 && b >= 0) candidates.push({ a, b });
+  }
+
+  // Single-parameter solutions on each boundary
+  if (s11 > 0) candidates.push({ a: Math.max(0, s1y / s11), b: 0 });
+  if (s22 > 0) candidates.push({ a: 0, b: Math.max(0, s2y / s22) });
+  candidates.push({ a: 0, b: 0 });
+
+  return candidates
+    .map(c => ({ ...c, sse: sse(c.a, c.b) }))
+    .reduce((best, c) => (c.sse < best.sse ? c : best));
+}
+
+/**
+ * Fit cycle and calendar coefficients to a capacity history
+ * @param {Object} payload - Battery parameters including capacityHistory
+ * @param {Object} [coefficients] - Profile coefficients to scale
+ * @returns {Object} Fitted parameters, residuals and goodness-of-fit
+ */
+export function fitCapacityHistory(payload, coefficients = getChemistryProfile(payload.chemistry).coefficients) {
+  const { nominalCapacity, capacityHistory = [] } = payload;
+
+  if (capacityHistory.length < 2) {
+    throw new Error('capacityHistory needs at least 2 measurements to fit');
+  }
+
+  const measurements = withMeasurementAges(payload);
+
+  const rows = measurements.map(m => {
+    const { fadeFractions } = computeDegradation({
+      ...payload,
+      currentCapacity: null,
+      chargeCycles: m.cycles,
+      calendarAgeYears: m.years
+    }, 1.0, coefficients);
+
+    return {
+      measurement: m,
+      x1: fadeFractions.cycle * 100,
+      x2: fadeFractions.calendar * 100,
+      y: 100 - (m.capacity / nominalCapacity) * 100
+    };
+  });
+
+  const { a, b, sse } = nonNegativeLeastSquares(rows);
+
+  const observedHealth = rows.map(r => 100 - r.y);
+  const meanHealth = observedHealth.reduce((sum, h) => sum + h, 0) / rows.length;
+  const sst = observedHealth.reduce((sum, h) => sum + (h - meanHealth) ** 2, 0);
+  const rmsePct = Math.sqrt(sse / rows.length);
+
+  const residuals = rows.map(({ measurement, x1, x2, y }) => {
+    const fittedHealthPct = 100 - (a * x1 + b * x2);
+    const measuredHealthPct = 100 - y;
+    const fittedCapacity = (fittedHealthPct / 100) * nominalCapacity;
+    return {
+      date: measurement.date,
+      cycles: measurement.cycles,
+      measuredCapacity: measurement.capacity,
+      fittedCapacity: +fittedCapacity.toFixed(3),
+      residual: +(measurement.capacity - fittedCapacity).toFixed(3),
+      residualPct: +(measuredHealthPct - fittedHealthPct).toFixed(3)
+    };
+  });
+
+  return {
+    method: 'least-squares',
+    measurements: rows.length,
+    fittedParameters: {
+      cycleFactor: +a.toPrecision(6),
+      calendarFactor: +b.toPrecision(6),
+      k_c: +(a * coefficients.k_c).toPrecision(6),
+      k_t: +(b * coefficients.k_t).toPrecision(6)
+    },
+    residuals,
+    goodnessOfFit: {
+      rSquared: sst > 0 ? +(1 - sse / sst).toFixed(4) : null,
+      rmsePct: +rmsePct.toFixed(4),
+      rmse: +((rmsePct / 100) * nominalCapacity).toFixed(4),
+      degreesOfFreedom: Math.max(0, rows.length - 2)
+    }
+  };
+}
+
+/**
+ * Derive model confidence from goodness-of-fit instead of the single-point factor
+ * @param {Object} fit - Result of fitCapacityHistory
+ * @returns {Object} Confidence level, description and accuracy
+ */
+export function getFitConfidence(fit) {
+  const { rSquared, rmsePct, degreesOfFreedom } = fit.goodnessOfFit;
+  const accuracy = `±${rmsePct.toFixed(2)}% capacity (RMSE)`;
+
+  if (degreesOfFreedom >= 3 && rSquared !== null && rSquared >= 0.9 && rmsePct <= 1) {
+    return {
+      level: 'high',
+      description: 'Model fitted to capacity history with a close match',
+      accuracy
+    };
+  } else if (degreesOfFreedom >= 1 && (rSquared === null || rSquared >= 0.6) && rmsePct <= 3) {
+    return {
+      level: 'medium',
+      description: 'Model fitted to capacity history with moderate scatter',
+      accuracy
+    };
+  }
+
+  return {
+    level: 'low',
+    description: 'Capacity history is sparse or fits the model poorly',
+    accuracy
+  };
+}
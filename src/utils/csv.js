@@ -0,0 +1,156 @@
+/**
+ * Minimal CSV (RFC 4180) and NDJSON helpers for bulk uploads and exports
+ */
+
+/**
+ * Split CSV text into records of raw string fields
+ * Handles quoted fields, escaped quotes ("") and CRLF/LF line endings.
+ * @param {string} text - CSV document
+ * @returns {string[][]} Records
+ */
+function parseRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Ignore blank lines
+  return records.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV with a header row into objects
+ * Fields stay strings (so ids like "007" survive) and empty fields are
+ * omitted; convert typed columns with coerceNumbers.
+ * @param {string} text - CSV document
+ * @returns {Object[]} One object per data row, keyed by header
+ */
+export function parseCsv(text) {
+  const [header, ...rows] = parseRecords(text.replace(/^\uFEFF/, ''));
+
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(name => name.trim());
+
+  return rows.map((values, rowIndex) => {
+    if (values.length > columns.length) {
+      throw new Error(`CSV row ${rowIndex + 2} has ${values.length} fields, header has ${columns.length}`);
+    }
+
+    const row = {};
+    columns.forEach((column, i) => {
+      const raw = (values[i] ?? '').trim();
+      if (raw !== '') row[column] = raw;
+    });
+    return row;
+  });
+}
+
+/**
+ * Convert the numeric fields of a parsed row to numbers
+ * Values that are not numeric are left for schema validation to reject.
+ * @param {Object} row - Row keyed by field name
+ * @param {Iterable<string>} fields - Fields that hold numbers
+ * @returns {Object} Row with those fields converted
+ */
+export function coerceNumbers(row, fields) {
+  const converted = { ...row };
+  for (const field of fields) {
+    const value = converted[field];
+    if (typeof value === 'string' && !Number.isNaN(Number(value))) {
+      converted[field] = Number(value);
+    }
+  }
+  return converted;
+}
+
+/**
+ * Parse newline-delimited JSON into objects
+ * @param {string} text - NDJSON document
+ * @returns {Object[]} One object per non-empty line
+ */
+export function parseNdjson(text) {
+  return text.split(/\r?\n/).flatMap((line, i) => {
+    if (line.trim() === '') return [];
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      throw new Error(`Invalid JSON on NDJSON line ${i + 1}`);
+    }
+  });
+}
+
+/**
+ * Quote a value for CSV output when needed
+ */
+function escapeField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Stream rows to an Express response as CSV
+ * @param {Object} res - Express response
+ * @param {Object[]} rows - Rows to write
+ * @param {string[]} [columns] - Column order (defaults to the keys of all rows)
+ * @param {string} [filename] - Download filename
+ */
+export function writeCsv(res, rows, columns = [...new Set(rows.flatMap(row => Object.keys(row)))], filename = 'export.csv') {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  res.write(columns.map(escapeField).join(',') + '\n');
+  for (const row of rows) {
+    res.write(columns.map(column => escapeField(row[column])).join(',') + '\n');
+  }
+  res.end();
+}
+
+/**
+ * Whether the client prefers CSV over JSON (explicit Accept: text/csv)
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+export function wantsCsv(req) {
+  return req.accepts(['application/json', 'text/csv']) === 'text/csv';
+}
@@ -15,47 +15,107 @@
  * - dodPct: Depth of Discharge in % (0-100)
  * - cRate: optional charge/discharge rate (0-5)
  * - calendarAgeMonths or calendarAgeYears
+ * - chemistry: optional coefficient profile (see config/chemistryProfiles.js)
+ * - eolPct: end-of-life SOH threshold in % (default 70)
+ * - temperatureProfile: optional [{ temperature, fraction }] time-at-temperature
+ *   histogram; replaces avgTemperature with a time-weighted Arrhenius sum
+ * - dutyCycleProfile: optional [{ dodPct, cRate, fraction }] share of cycles per
+ *   DoD/C-rate bin; replaces dodPct/cRate with a cycle-weighted stress sum
  */
 
+import { getChemistryProfile } from '../config/chemistryProfiles.js';
+
 const R = 8.314; // J/mol·K
 
 function arrhenius(Tk, Ea) {
   return Math.exp(-Ea / (R * Tk));
 }
 
-export function computeDegradation(payload, calibrationFactor = 1.0) {
+function normalizeFractions(bins) {
+  const total = bins.reduce((sum, bin) => sum + bin.fraction, 0);
+  return bins.map(bin => ({ ...bin, weight: total > 0 ? bin.fraction / total : 0 }));
+}
+
+/**
+ * Calendar stress per temperature bin: weight * Arrhenius(T).
+ * Without a histogram, a single bin at avgTemperature carries all the time.
+ */
+function calendarStressBins(payload, coefficients) {
+  const { avgTemperature = 25, temperatureProfile } = payload;
+  const bins = temperatureProfile?.length
+    ? normalizeFractions(temperatureProfile)
+    : [{ temperature: avgTemperature ?? 25, fraction: 1, weight: 1 }];
+
+  return bins.map(bin => ({
+    ...bin,
+    stress: bin.weight * arrhenius(bin.temperature + 273.15, coefficients.Ea)
+  }));
+}
+
+/**
+ * Cycle stress per DoD/C-rate bin: weight * (DoD/100)^alpha * C-rate uplift.
+ * Without a distribution, a single bin at dodPct/cRate carries all cycles.
+ */
+function cycleStressBins(payload, coefficients) {
+  const { dodPct = 80, cRate = 0.8, dutyCycleProfile } = payload;
+  const bins = dutyCycleProfile?.length
+    ? normalizeFractions(dutyCycleProfile.map(bin => ({ ...bin, cRate: bin.cRate ?? cRate })))
+    : [{ dodPct, cRate, fraction: 1, weight: 1 }];
+
+  return bins.map(bin => {
+    // Account for higher C-rate stress (linear uplift beyond 1C)
+    const cRateAccel = bin.cRate > 1 ? 1 + (bin.cRate - 1) * coefficients.cRateSensitivity : 1.0;
+    const DoD_factor = Math.pow(Math.max(bin.dodPct, 0) / 100, coefficients.alpha);
+    return { ...bin, stress: bin.weight * DoD_factor * cRateAccel };
+  });
+}
+
+const sumStress = bins => bins.reduce((sum, bin) => sum + bin.stress, 0);
+
+/**
+ * Split a calibration into separate cycle and calendar multipliers.
+ * A plain number scales both terms (single-point calibration); an object
+ * carries independently fitted factors (capacity history fit).
+ */
+export function splitCalibration(calibrationFactor) {
+  if (typeof calibrationFactor === 'number') {
+    return { cycle: calibrationFactor, calendar: calibrationFactor };
+  }
+  return {
+    cycle: calibrationFactor?.cycle ?? 1.0,
+    calendar: calibrationFactor?.calendar ?? 1.0,
+  };
+}
+
+export function computeDegradation(payload, calibrationFactor = 1.0, coefficients = getChemistryProfile(payload.chemistry).coefficients) {
   const {
     chargeCycles = 0,
-    avgTemperature = 25,
     nominalCapacity = 100,
     currentCapacity = null,
-    dodPct = 80,
-    cRate = 0.8,
     calendarAgeMonths,
     calendarAgeYears,
+    eolPct = 70,
   } = payload;
 
   const years = typeof calendarAgeYears === 'number'
     ? Math.max(calendarAgeYears, 0)
     : Math.max((calendarAgeMonths || 0) / 12, 0);
 
-  // --- Tunable coefficients (empirical placeholders) ---
-  const k_c_base = 0.015 * calibrationFactor; // cycle coefficient (reduced from 0.02)
-  const alpha = 0.6;     // DoD sensitivity exponent
-  const k_t_base = 0.01 * calibrationFactor; // calendar coefficient (reduced from 0.03)
-  const Ea = 25000;      // J/mol activation energy (reduced from 35000)
-  const beta = 0.7;      // time exponent (increased from 0.5)
+  const calibration = splitCalibration(calibrationFactor);
 
-  // Account for higher C-rate stress (linear uplift beyond 1C)
-  const cRateAccel = cRate > 1 ? 1 + (cRate - 1) * 0.5 : 1.0;
+  // --- Tunable coefficients (chemistry profile, scaled by calibration) ---
+  // alpha, Ea and cRateSensitivity enter through the stress bins
+  const k_c_base = coefficients.k_c * calibration.cycle;    // cycle coefficient
+  const k_t_base = coefficients.k_t * calibration.calendar; // calendar coefficient
+  const beta = coefficients.beta;                           // time exponent
 
-  // Cycle fade (fraction of nominal)
-  const DoD_factor = Math.pow(Math.max(dodPct, 0) / 100, alpha);
-  const cycleFadeFraction = k_c_base * DoD_factor * Math.sqrt(Math.max(chargeCycles, 0)) * cRateAccel;
+  // Cycle fade (fraction of nominal), summed over DoD/C-rate bins
+  const cycleStress = sumStress(cycleStressBins(payload, coefficients));
+  const cycleFadeFraction = k_c_base * cycleStress * Math.sqrt(Math.max(chargeCycles, 0));
 
-  // Calendar fade (fraction of nominal)
-  const Tk = (avgTemperature ?? 25) + 273.15;
-  const calendarFadeFraction = years > 0 ? k_t_base * arrhenius(Tk, Ea) * Math.pow(years, beta) : 0;
+  // Calendar fade (fraction of nominal), time-weighted Arrhenius over temperature bins
+  const calendarStress = sumStress(calendarStressBins(payload, coefficients));
+  const calendarFadeFraction = years > 0 ? k_t_base * calendarStress * Math.pow(years, beta) : 0;
 
   const totalFadePct = (cycleFadeFraction + calendarFadeFraction) * 100; // to %
 
@@ -67,7 +127,6 @@ export function computeDegradation(payload, calibrationFactor = 1.0) {
 
   // State of Health & EoL estimate
   const soh = observedHealthPct;
-  const eolPct = 70; // configurable
 
   // Approx monthly fade at current conditions (for naive RUL)
   const yearsElapsed = Math.max(years, 0.1); // Avoid division by zero
@@ -83,6 +142,7 @@ export function computeDegradation(payload, calibrationFactor = 1.0) {
     eolPct,
     estimatedRUIMonths: Math.round(monthsToEol),
     modelHealthPct, // Add this for calibration purposes
+    fadeFractions: { cycle: cycleFadeFraction, calendar: calendarFadeFraction }, // Unrounded, for fitting
     components: {
       cycleFadePct: +(cycleFadeFraction * 100).toFixed(2),
       calendarFadePct: +(calendarFadeFraction * 100).toFixed(2),
@@ -90,7 +150,74 @@ export function computeDegradation(payload, calibrationFactor = 1.0) {
   };
 }
 
-function calculateCalibrationFactor(payload) {
+/**
+ * Relative internal resistance growth, with the same cycle/calendar stress
+ * structure as the capacity fade:
+ *   growth = r_c * cycleStress * sqrt(N) + r_t * calendarStress * t^beta
+ * @param {Object} payload - Battery parameters
+ * @param {number} [calibrationFactor] - Multiplier fitted to a measured resistance
+ * @param {Object} [coefficients] - Chemistry coefficients (alpha, Ea, beta, cRateSensitivity)
+ * @param {Object} [resistanceCoefficients] - Resistance growth coefficients { k_c, k_t }
+ * @returns {Object} Growth fractions over the beginning-of-life resistance
+ */
+export function computeResistanceGrowth(
+  payload,
+  calibrationFactor = 1.0,
+  coefficients = getChemistryProfile(payload.chemistry).coefficients,
+  resistanceCoefficients = getChemistryProfile(payload.chemistry).resistanceCoefficients
+) {
+  const { chargeCycles = 0, calendarAgeMonths, calendarAgeYears } = payload;
+  const years = typeof calendarAgeYears === 'number'
+    ? Math.max(calendarAgeYears, 0)
+    : Math.max((calendarAgeMonths || 0) / 12, 0);
+
+  const cycle = resistanceCoefficients.k_c * calibrationFactor
+    * sumStress(cycleStressBins(payload, coefficients)) * Math.sqrt(Math.max(chargeCycles, 0));
+  const calendar = years > 0
+    ? resistanceCoefficients.k_t * calibrationFactor
+      * sumStress(calendarStressBins(payload, coefficients)) * Math.pow(years, coefficients.beta)
+    : 0;
+
+  return { cycle, calendar, total: cycle + calendar };
+}
+
+/**
+ * Break the cycle and calendar fade down by stress bin
+ * @param {Object} payload - Battery parameters with temperatureProfile/dutyCycleProfile
+ * @param {number|Object} [calibrationFactor] - Calibration applied to the model
+ * @param {Object} [coefficients] - Chemistry coefficients
+ * @returns {Object} Per-bin fade and share, sorted by contribution, plus the effective temperature
+ */
+export function computeFadeContributions(payload, calibrationFactor = 1.0, coefficients = getChemistryProfile(payload.chemistry).coefficients) {
+  const { fadeFractions } = computeDegradation({ ...payload, currentCapacity: null }, calibrationFactor, coefficients);
+  const calendarBins = calendarStressBins(payload, coefficients);
+  const cycleBins = cycleStressBins(payload, coefficients);
+  const calendarTotal = sumStress(calendarBins);
+  const cycleTotal = sumStress(cycleBins);
+
+  const share = (stress, total) => (total > 0 ? stress / total : 0);
+  const byShare = (a, b) => b.sharePct - a.sharePct;
+
+  return {
+    // Constant temperature that would produce the same calendar fade
+    effectiveTemperature: +(-coefficients.Ea / (R * Math.log(calendarTotal)) - 273.15).toFixed(2),
+    calendar: calendarBins.map(bin => ({
+      temperature: bin.temperature,
+      fraction: +bin.weight.toFixed(4),
+      fadePct: +(fadeFractions.calendar * 100 * share(bin.stress, calendarTotal)).toPrecision(4),
+      sharePct: +(share(bin.stress, calendarTotal) * 100).toFixed(2),
+    })).sort(byShare),
+    cycle: cycleBins.map(bin => ({
+      dodPct: bin.dodPct,
+      cRate: bin.cRate,
+      fraction: +bin.weight.toFixed(4),
+      fadePct: +(fadeFractions.cycle * 100 * share(bin.stress, cycleTotal)).toPrecision(4),
+      sharePct: +(share(bin.stress, cycleTotal) * 100).toFixed(2),
+    })).sort(byShare),
+  };
+}
+
+export function calculateCalibrationFactor(payload, coefficients = getChemistryProfile(payload.chemistry).coefficients) {
   const { currentCapacity, nominalCapacity, chargeCycles } = payload;
 
   if (!currentCapacity || chargeCycles < 50) {
@@ -98,7 +225,7 @@ function calculateCalibrationFactor(payload) {
   }
 
   // Get uncalibrated model prediction
-  const modelResult = computeDegradation(payload, 1.0);
+  const modelResult = computeDegradation(payload, 1.0, coefficients);
   const actualHealthPct = (currentCapacity / nominalCapacity) * 100;
   const modelHealthPct = modelResult.modelHealthPct;
 
@@ -111,24 +238,21 @@ function calculateCalibrationFactor(payload) {
   return Math.max(0.1, Math.min(3.0, actualFadePct / modelFadePct)); // Constrain between 0.1-3.0
 }
 
-export function buildTrend(payload) {
+export function buildTrend(
+  payload,
+  calibrationFactor = calculateCalibrationFactor(payload),
+  coefficients = getChemistryProfile(payload.chemistry).coefficients
+) {
   const {
     chargeCycles = 0,
-    avgTemperature = 25,
     nominalCapacity = 100,
-    dodPct = 80,
-    cRate = 0.8,
     calendarAgeMonths,
     calendarAgeYears,
-    currentCapacity = null,
   } = payload;
 
   const totalCycles = Math.max(chargeCycles, 0);
   const step = Math.max(25, Math.floor(totalCycles / 20) || 25);
 
-  // Calculate calibration factor if we have actual measurement
-  const calibrationFactor = calculateCalibrationFactor(payload);
-
   const points = [];
 
   // Generate calibrated trend
@@ -140,14 +264,11 @@ export function buildTrend(payload) {
     ) * (i / Math.max(totalCycles || 1, 1));
 
     const sim = computeDegradation({
+      ...payload,
       chargeCycles: i,
-      avgTemperature,
-      nominalCapacity,
       currentCapacity: null, // Don't use actual measurement in trend generation
-      dodPct,
-      cRate,
       calendarAgeYears: yearsProgress,
-    }, calibrationFactor);
+    }, calibrationFactor, coefficients);
 
     const capacity = (sim.healthPct / 100) * nominalCapacity;
     points.push({
@@ -168,7 +289,7 @@ export function buildTrend(payload) {
       currentCapacity: null,
       chargeCycles: totalCycles,
       calendarAgeYears: yearsAtEnd
-    }, calibrationFactor);
+    }, calibrationFactor, coefficients);
 
     const capacity = (sim.healthPct / 100) * nominalCapacity;
     points.push({
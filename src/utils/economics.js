@@ -0,0 +1,174 @@
+/**
+ * Cost-of-degradation economics
+ *
+ * Energy: capacity is converted to kWh from the payload unit (Ah needs
+ * nominalVoltage). Each cycle delivers capacity × SOH × DoD.
+ *
+ * Lifetime: the /forecast projection at cyclesPerDay runs until end-of-life
+ * (or the horizon). LCOS covers the whole life of the pack: (pack price +
+ * charging cost) / energy delivered, counting the energy delivered to date
+ * (chargeCycles × capacity × DoD × the mean of 100% and today's SOH) plus
+ * the projection, which is discounted monthly at discountRatePct. Charging
+ * cost is delivered energy / roundTripEfficiency × electricityPrice.
+ *
+ * Marginal cost: the usable capacity between 100% and the EOL threshold is
+ * what the replacement cost buys, so one percentage point of fade costs
+ * replacementCost / (100 - eolPct). The fade added by one more cycle (cycle
+ * component) or one more day (calendar component) is priced at that rate.
+ *
+ * Optimal replacement: the pack is expected to serve its beginning-of-life
+ * daily energy. Energy it can no longer deliver is bought at shortfallPrice.
+ * Replacing at month T costs the replacement plus charging and shortfall up
+ * to T; the optimal month minimizes this as an equivalent monthly cost.
+ * It is capped at end-of-life.
+ */
+
+import { computeDegradation, calculateCalibrationFactor } from './degradationCalculator.js';
+import { buildForecast } from './forecast.js';
+import { toKWh } from './units.js';
+import { getChemistryProfile } from '../config/chemistryProfiles.js';
+
+const DAYS_PER_MONTH = 365.25 / 12;
+
+const money = value => +value.toFixed(2);
+
+/**
+ * Price fade by percentage point of the usable range
+ */
+function costPerFadePoint(replacementCost, eolPct) {
+  return replacementCost / Math.max(100 - eolPct, 1);
+}
+
+/**
+ * Evaluate degradation economics
+ * @param {Object} payload - Battery parameters plus the economics block
+ * @param {number|Object} [calibrationFactor] - Calibration applied to the model
+ * @param {Object} [coefficients] - Chemistry coefficients
+ * @returns {Object} Energy figures, lifetime LCOS, marginal costs and optimal replacement
+ */
+export function evaluateEconomics(
+  payload,
+  calibrationFactor = calculateCalibrationFactor(payload),
+  coefficients = getChemistryProfile(payload.chemistry).coefficients
+) {
+  const {
+    nominalCapacity,
+    unit = 'Ah',
+    nominalVoltage,
+    dodPct = 80,
+    chargeCycles = 0,
+    calendarAgeMonths,
+    calendarAgeYears,
+    economics,
+    startDate = new Date().toISOString().slice(0, 10),
+  } = payload;
+  const {
+    packPrice,
+    replacementCost = packPrice,
+    electricityPrice,
+    cyclesPerDay,
+    roundTripEfficiency = 0.92,
+    discountRatePct = 0,
+    shortfallPrice = electricityPrice,
+    horizonYears = 20,
+    currency = 'USD',
+  } = economics;
+
+  const capacityKWh = toKWh(nominalCapacity, unit, nominalVoltage);
+  const now = computeDegradation(payload, calibrationFactor, coefficients);
+  const pricePerPoint = costPerFadePoint(replacementCost, now.eolPct);
+  const energyPerCycle = healthPct => capacityKWh * (healthPct / 100) * (dodPct / 100);
+
+  // Marginal fade of one more cycle and one more day, from the fade components
+  const years = typeof calendarAgeYears === 'number' ? calendarAgeYears : (calendarAgeMonths || 0) / 12;
+  const fadeAt = overrides => computeDegradation({ ...payload, currentCapacity: null, ...overrides }, calibrationFactor, coefficients)
+    .fadeFractions;
+  const current = fadeAt({ chargeCycles, calendarAgeYears: years });
+  const cycleFadePerCycle = (fadeAt({ chargeCycles: chargeCycles + 1, calendarAgeYears: years }).cycle - current.cycle) * 100;
+  const calendarFadePerDay = (fadeAt({ chargeCycles, calendarAgeYears: years + 1 / 365.25 }).calendar - current.calendar) * 100;
+
+  const marginalPerCycle = cycleFadePerCycle * pricePerPoint;
+
+  // Monthly projection from today to end-of-life
+  const cyclesPerMonth = cyclesPerDay * DAYS_PER_MONTH;
+  const forecast = buildForecast(
+    { ...payload, cyclesPerMonth, horizonMonths: Math.round(horizonYears * 12), startDate },
+    calibrationFactor,
+    coefficients
+  );
+
+  // Energy already delivered, at the mean of the health at beginning of life and today
+  const energyToDate = chargeCycles * energyPerCycle((100 + now.soh) / 2);
+  const chargingToDate = (energyToDate / roundTripEfficiency) * electricityPrice;
+
+  const monthlyDiscount = Math.pow(1 + discountRatePct / 100, -1 / 12);
+  const demandPerMonth = energyPerCycle(100) * cyclesPerMonth;
+
+  let discountedEnergy = 0;
+  let discountedCharging = 0;
+  let discountedOperating = 0; // charging + shortfall
+  let discountedMonths = 0;
+  let optimal = null;
+
+  const months = forecast.points.slice(1).map((point, i) => {
+    const previous = forecast.points[i];
+    const delivered = energyPerCycle((previous.healthPct + point.healthPct) / 2) * cyclesPerMonth;
+    const charging = (delivered / roundTripEfficiency) * electricityPrice;
+    const shortfall = Math.max(0, demandPerMonth - delivered) * shortfallPrice;
+    const factor = Math.pow(monthlyDiscount, point.month);
+
+    discountedEnergy += delivered * factor;
+    discountedCharging += charging * factor;
+    discountedOperating += (charging + shortfall) * factor;
+    discountedMonths += factor;
+
+    // Equivalent monthly cost of running until this month, then replacing
+    const equivalentMonthlyCost = (replacementCost + discountedOperating) / discountedMonths;
+    if (!optimal || equivalentMonthlyCost < optimal.equivalentMonthlyCost) {
+      optimal = {
+        point,
+        equivalentMonthlyCost,
+        lcos: (packPrice + chargingToDate + discountedCharging) / (energyToDate + discountedEnergy),
+      };
+    }
+
+    return { point, delivered };
+  });
+
+  const lifetimeEnergy = months.reduce((sum, month) => sum + month.delivered, 0);
+  const lifeEnergy = energyToDate + discountedEnergy;
+  const lcos = lifeEnergy > 0 ? (packPrice + chargingToDate + discountedCharging) / lifeEnergy : null;
+
+  return {
+    currency,
+    energy: {
+      nominalCapacityKWh: +capacityKWh.toFixed(3),
+      usableEnergyPerCycleKWh: +energyPerCycle(now.soh).toFixed(3),
+      ...(unit === 'Ah' && { nominalVoltage }),
+    },
+    lifetime: {
+      months: forecast.points[forecast.points.length - 1].month,
+      endOfLifeReached: forecast.endOfLife.reached,
+      endOfLifeDate: forecast.endOfLife.date,
+      energyDeliveredToDateKWh: +energyToDate.toFixed(1),
+      energyDeliveredKWh: +lifetimeEnergy.toFixed(1),
+      lcosPerKWh: lcos === null ? null : +lcos.toFixed(4),
+    },
+    marginalCost: {
+      perCycle: +marginalPerCycle.toPrecision(4),
+      perKWhDelivered: energyPerCycle(now.soh) > 0 ? +(marginalPerCycle / energyPerCycle(now.soh)).toPrecision(4) : null,
+      calendarPerDay: +(calendarFadePerDay * pricePerPoint).toPrecision(4),
+      costPerFadePct: money(pricePerPoint),
+    },
+    degradationCostToDate: money((100 - now.soh) * pricePerPoint),
+    optimalReplacement: optimal
+      ? {
+        month: optimal.point.month,
+        date: optimal.point.date,
+        healthPct: optimal.point.healthPct,
+        equivalentMonthlyCost: money(optimal.equivalentMonthlyCost),
+        lcosPerKWh: +optimal.lcos.toFixed(4),
+      }
+      : null,
+  };
+}
@@ -0,0 +1,194 @@
+/**
+ * Forward projection of capacity under a future usage profile
+ *
+ * The pack's current fade is split into its cycle and calendar parts and
+ * mapped onto the future operating conditions as an equivalent state:
+ *   N_eq = cycles that give today's cycle fade under the future DoD/C-rate
+ *   Y_eq = years that give today's calendar fade at the future temperature
+ * Each month then advances N_eq by cyclesPerMonth and Y_eq by 1/12 and
+ * evaluates computeDegradation, so a change of conditions bends the curve
+ * without a jump at month 0.
+ */
+
+import { computeDegradation, calculateCalibrationFactor } from './degradationCalculator.js';
+import { getChemistryProfile } from '../config/chemistryProfiles.js';
+
+/**
+ * Add whole months to an ISO date (UTC), clamped to the last day of the target month
+ * @param {string} date - ISO date
+ * @param {number} months - Whole months to add
+ * @returns {string} ISO date (YYYY-MM-DD)
+ */
+export function addMonths(date, months) {
+  const d = new Date(date);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Split the current fade into cycle/calendar fractions, scaled to the observed capacity
+ */
+function currentFadeState(payload, calibrationFactor, coefficients) {
+  const now = computeDegradation(payload, calibrationFactor, coefficients);
+  let { cycle, calendar } = now.fadeFractions;
+  const modelFade = cycle + calendar;
+  const observedFade = (100 - now.soh) / 100;
+
+  if (modelFade > 0) {
+    cycle *= observedFade / modelFade;
+    calendar *= observedFade / modelFade;
+  } else if (observedFade > 0) {
+    // Nothing to apportion by - attribute the measured fade to cycling if any occurred
+    if ((payload.chargeCycles || 0) > 0) cycle = observedFade;
+    else calendar = observedFade;
+  }
+
+  return { soh: now.soh, eolPct: now.eolPct, cycle, calendar };
+}
+
+/**
+ * Health curve from the current state under future operating conditions
+ * @param {Object} payload - Battery parameters plus future conditions and cyclesPerMonth
+ * @param {number|Object} calibrationFactor - Calibration applied to the model
+ * @param {Object} coefficients - Chemistry coefficients
+ * @returns {Object} Current state, equivalent cycles/years and healthAt(month)
+ */
+export function projectHealth(payload, calibrationFactor, coefficients) {
+  const {
+    avgTemperature = 25,
+    dodPct = 80,
+    cRate = 0.8,
+    cyclesPerMonth = 0,
+    futureTemperature = avgTemperature,
+    futureDodPct = dodPct,
+    futureCRate = cRate,
+  } = payload;
+
+  const state = currentFadeState(payload, calibrationFactor, coefficients);
+
+  // Future operating conditions, evaluated through the same model. Explicit
+  // future values replace any histogram/distribution describing the past.
+  const future = {
+    ...payload,
+    currentCapacity: null,
+    avgTemperature: futureTemperature,
+    dodPct: futureDodPct,
+    cRate: futureCRate,
+  };
+  if (payload.futureTemperature !== undefined) delete future.temperatureProfile;
+  if (payload.futureDodPct !== undefined || payload.futureCRate !== undefined) delete future.dutyCycleProfile;
+
+  // Fade per sqrt(cycle) and per year^beta under future conditions
+  const perCycleTerm = computeDegradation({ ...future, chargeCycles: 1, calendarAgeYears: 0 }, calibrationFactor, coefficients)
+    .fadeFractions.cycle;
+  const perYearTerm = computeDegradation({ ...future, chargeCycles: 0, calendarAgeYears: 1 }, calibrationFactor, coefficients)
+    .fadeFractions.calendar;
+
+  const equivalentCycles = perCycleTerm > 0 ? (state.cycle / perCycleTerm) ** 2 : 0;
+  const equivalentYears = perYearTerm > 0 ? (state.calendar / perYearTerm) ** (1 / coefficients.beta) : 0;
+
+  const healthAt = month => (month === 0
+    ? state.soh
+    : computeDegradation({
+      ...future,
+      chargeCycles: equivalentCycles + cyclesPerMonth * month,
+      calendarAgeYears: equivalentYears + month / 12,
+    }, calibrationFactor, coefficients).modelHealthPct);
+
+  return { state, equivalentCycles, equivalentYears, healthAt };
+}
+
+/**
+ * First month a health curve reaches the threshold, by bisection
+ * @param {Function} healthAt - Health % at a (fractional) month
+ * @param {number} eolPct - End-of-life threshold
+ * @param {number} horizonMonths - Longest projection
+ * @param {number} [toleranceMonths] - Bisection precision in months
+ * @returns {number|null} Months from now, or null beyond the horizon
+ */
+export function monthsToEndOfLife(healthAt, eolPct, horizonMonths, toleranceMonths = 0.05) {
+  if (healthAt(0) <= eolPct) return 0;
+  if (healthAt(horizonMonths) > eolPct) return null;
+
+  let low = 0;
+  let high = horizonMonths;
+  while (high - low > toleranceMonths) {
+    const mid = (low + high) / 2;
+    if (healthAt(mid) > eolPct) low = mid;
+    else high = mid;
+  }
+  return high;
+}
+
+/**
+ * Project a dated capacity curve until end-of-life or the horizon
+ * @param {Object} payload - Battery parameters plus the future usage profile
+ * @param {number|Object} [calibrationFactor] - Calibration applied to the model
+ * @param {Object} [coefficients] - Chemistry coefficients
+ * @returns {Object} Usage profile, starting state, EOL crossing and monthly points
+ */
+export function buildForecast(
+  payload,
+  calibrationFactor = calculateCalibrationFactor(payload),
+  coefficients = getChemistryProfile(payload.chemistry).coefficients
+) {
+  const {
+    chargeCycles = 0,
+    nominalCapacity = 100,
+    avgTemperature = 25,
+    dodPct = 80,
+    cRate = 0.8,
+    cyclesPerMonth,
+    futureTemperature = avgTemperature,
+    futureDodPct = dodPct,
+    futureCRate = cRate,
+    horizonMonths = 240,
+    startDate = new Date().toISOString().slice(0, 10),
+  } = payload;
+
+  const { state, equivalentCycles, equivalentYears, healthAt } = projectHealth(payload, calibrationFactor, coefficients);
+
+  const points = [];
+  let endOfLife = null;
+
+  for (let month = 0; month <= horizonMonths; month++) {
+    const healthPct = healthAt(month);
+
+    const point = {
+      month,
+      date: addMonths(startDate, month),
+      cycles: +(chargeCycles + cyclesPerMonth * month).toFixed(1),
+      healthPct: +healthPct.toFixed(2),
+      capacity: +((healthPct / 100) * nominalCapacity).toFixed(2),
+    };
+    points.push(point);
+
+    if (healthPct <= state.eolPct) {
+      endOfLife = { reached: true, month, date: point.date, cycles: point.cycles };
+      break;
+    }
+  }
+
+  return {
+    startDate,
+    horizonMonths,
+    eolPct: state.eolPct,
+    usageProfile: {
+      cyclesPerMonth,
+      temperature: futureTemperature,
+      dodPct: futureDodPct,
+      cRate: futureCRate,
+    },
+    startingState: {
+      healthPct: +state.soh.toFixed(2),
+      equivalentCycles: +equivalentCycles.toFixed(1),
+      equivalentYears: +equivalentYears.toFixed(3),
+    },
+    endOfLife: endOfLife ?? { reached: false, month: null, date: null, cycles: null },
+    points,
+  };
+}
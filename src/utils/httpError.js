@@ -0,0 +1,11 @@
+/**
+ * Create an Error carrying an HTTP status for errorHandler
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Client-facing message
+ * @returns {Error} Error with statusCode set
+ */
+export function createHttpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
@@ -0,0 +1,120 @@
+/**
+ * Prometheus metrics for API traffic and model outputs
+ *
+ * Labels are kept to bounded sets (route templates, status codes, schema
+ * field paths with array indexes collapsed) so series counts stay fixed
+ * regardless of traffic.
+ */
+
+import client from 'prom-client';
+
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route template, method and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route template, method and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry]
+});
+
+const validationFailures = new client.Counter({
+  name: 'validation_failures_total',
+  help: 'Request validation failures by route and offending field',
+  labelNames: ['route', 'field'],
+  registers: [registry]
+});
+
+const batterySoh = new client.Histogram({
+  name: 'battery_soh_percent',
+  help: 'Distribution of computed state of health',
+  labelNames: ['chemistry'],
+  buckets: [50, 60, 70, 75, 80, 85, 90, 95, 100],
+  registers: [registry]
+});
+
+const batteryStatus = new client.Counter({
+  name: 'battery_status_total',
+  help: 'Battery status classifications',
+  labelNames: ['status'],
+  registers: [registry]
+});
+
+const modelConfidence = new client.Counter({
+  name: 'battery_model_confidence_total',
+  help: 'Model confidence levels of computed assessments',
+  labelNames: ['level'],
+  registers: [registry]
+});
+
+/**
+ * Route template of a handled request (e.g. /api/battery/assets/:id)
+ * Unmatched requests share one label so scanners can't create series.
+ */
+function routeLabel(req) {
+  return req.route ? `${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}` : 'unmatched';
+}
+
+/**
+ * Middleware recording request counts and latency once the response finishes
+ * @returns {Function} Express middleware function
+ */
+export function metricsMiddleware() {
+  return (req, res, next) => {
+    const stopTimer = httpDuration.startTimer();
+
+    res.on('finish', () => {
+      const labels = { method: req.method, route: routeLabel(req), status: String(res.statusCode) };
+      httpRequests.inc(labels);
+      stopTimer(labels);
+    });
+
+    next();
+  };
+}
+
+/**
+ * Count failed fields of a rejected request
+ * @param {Object} req - Express request
+ * @param {Array} details - Formatted Zod errors ({ field })
+ */
+export function recordValidationFailure(req, details) {
+  const route = `${req.baseUrl}${req.route?.path === '/' ? '' : req.route?.path ?? ''}`;
+
+  for (const field of new Set(details.map(detail => detail.field.replace(/\.\d+(?=\.|$)/g, '.*') || '(root)'))) {
+    validationFailures.inc({ route, field });
+  }
+}
+
+/**
+ * Record the model outputs of one assessment
+ * @param {Object} assessment - { soh, status, confidence, chemistry }
+ */
+export function recordAssessment({ soh, status, confidence, chemistry }) {
+  if (Number.isFinite(soh)) batterySoh.observe({ chemistry }, soh);
+  batteryStatus.inc({ status });
+  modelConfidence.inc({ level: confidence });
+}
+
+/**
+ * Record a full analysis a client asked for; called where requests are
+ * answered, so internal re-analyses do not count
+ * @param {Object} analysis - Result of BatteryService.analyzeBatteryHealth
+ */
+export function recordAnalysis({ input, results }) {
+  recordAssessment({
+    soh: results.stateOfHealthSOH,
+    status: results.status,
+    confidence: results.confidence.level,
+    chemistry: input.chemistry
+  });
+}
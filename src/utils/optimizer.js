@@ -0,0 +1,167 @@
+/**
+ * Operating-point optimizer
+ *
+ * Searches a grid of DoD, C-rate and temperature targets for the one that
+ * keeps the pack above end-of-life the longest. Each candidate is projected
+ * from today's state with projectHealth (the /forecast projection, so past
+ * fade carries over) and its months to end-of-life are found by bisection
+ * on the health curve. Every candidate delivers the same daily energy:
+ * today's, or the required minimum if that is higher. Its cycle rate is
+ * what that energy takes at its depth, so a shallower target cycles more
+ * often rather than doing less work:
+ *   cycles per day = daily energy / (nominal kWh × SOH × DoD)
+ * Without an energy rating the cycle rate scales by current DoD / candidate
+ * DoD instead. Each cycle charges and discharges at the C-rate, so a
+ * candidate is only feasible if its cycles fit in the day, and within the
+ * charge time limit:
+ *   cycling hours = cycles per day × 2 × charge time ≤ 24
+ *   charge time   = (DoD / 100) / C-rate hours
+ * Candidates are ranked by whole months to end-of-life; ties go to the
+ * higher DoD, then the higher C-rate, then the temperature nearest the
+ * current one, i.e. the point that gives up the least for the same lifetime.
+ */
+
+import { computeDegradation, calculateCalibrationFactor } from './degradationCalculator.js';
+import { projectHealth, monthsToEndOfLife } from './forecast.js';
+import { toKWh } from './units.js';
+import { getChemistryProfile } from '../config/chemistryProfiles.js';
+
+const DAYS_PER_MONTH = 365.25 / 12;
+
+const HOURS_PER_DAY = 24;
+
+// Longest projection; later end-of-life is reported as beyond the horizon
+const HORIZON_MONTHS = 600;
+
+/**
+ * Values of a { min, max, step } range, or the single current value
+ */
+function gridValues(range, current) {
+  if (!range) return [current];
+  const values = [];
+  for (let i = 0; range.min + i * range.step <= range.max + 1e-9; i++) {
+    values.push(+(range.min + i * range.step).toFixed(4));
+  }
+  return values;
+}
+
+/**
+ * Search DoD, C-rate and temperature targets for the longest life
+ * @param {Object} payload - Battery parameters plus cyclesPerMonth and the optimize block
+ * @param {number|Object} [calibrationFactor] - Calibration applied to the model
+ * @param {Object} [coefficients] - Chemistry coefficients
+ * @returns {Object} Current and recommended operating points, RUL gain and top candidates
+ */
+export function optimizeOperatingPoint(
+  payload,
+  calibrationFactor = calculateCalibrationFactor(payload),
+  coefficients = getChemistryProfile(payload.chemistry).coefficients
+) {
+  const {
+    nominalCapacity,
+    unit = 'Ah',
+    nominalVoltage,
+    avgTemperature = 25,
+    dodPct = 80,
+    cRate = 0.8,
+    chargeCycles = 0,
+    calendarAgeMonths,
+    calendarAgeYears,
+    optimize = {},
+  } = payload;
+  const { constraints = {}, top = 5 } = optimize;
+
+  const ageMonths = typeof calendarAgeYears === 'number' ? calendarAgeYears * 12 : calendarAgeMonths || 0;
+  const cyclesPerMonth = payload.cyclesPerMonth ?? (ageMonths > 0 ? chargeCycles / ageMonths : 0);
+
+  const { soh, eolPct } = computeDegradation(payload, calibrationFactor, coefficients);
+  const capacityKWh = unit !== 'Ah' || nominalVoltage ? toKWh(nominalCapacity, unit, nominalVoltage) : null;
+
+  const cycleEnergyKWh = depth => (capacityKWh === null ? 0 : capacityKWh * (soh / 100) * (depth / 100));
+  // Daily energy every candidate delivers: today's, or the required minimum if higher
+  const requiredDailyKWh = Math.max(
+    cycleEnergyKWh(dodPct) * (cyclesPerMonth / DAYS_PER_MONTH),
+    constraints.minDailyEnergyKWh ?? 0
+  );
+
+  const evaluate = (target, future) => {
+    const energyPerCycle = cycleEnergyKWh(target.dodPct);
+    const targetCyclesPerMonth = energyPerCycle > 0
+      ? (requiredDailyKWh / energyPerCycle) * DAYS_PER_MONTH
+      : cyclesPerMonth * (dodPct / target.dodPct);
+    const { healthAt } = projectHealth(
+      { ...payload, ...future, cyclesPerMonth: targetCyclesPerMonth },
+      calibrationFactor,
+      coefficients
+    );
+    const months = monthsToEndOfLife(healthAt, eolPct, HORIZON_MONTHS);
+    const dailyEnergyKWh = capacityKWh === null ? null : energyPerCycle * (targetCyclesPerMonth / DAYS_PER_MONTH);
+    const chargeTimeHours = target.dodPct / 100 / target.cRate;
+    const cyclingHoursPerDay = (targetCyclesPerMonth / DAYS_PER_MONTH) * 2 * chargeTimeHours;
+
+    return {
+      ...target,
+      cyclesPerMonth: +targetCyclesPerMonth.toFixed(2),
+      monthsToEndOfLife: months === null ? null : +months.toFixed(1),
+      beyondHorizon: months === null,
+      dailyEnergyKWh: dailyEnergyKWh === null ? null : +dailyEnergyKWh.toFixed(2),
+      chargeTimeHours: +chargeTimeHours.toFixed(2),
+      cyclingHoursPerDay: +cyclingHoursPerDay.toFixed(2),
+      feasible: cyclingHoursPerDay <= HOURS_PER_DAY
+        && (constraints.maxChargeTimeHours === undefined || chargeTimeHours <= constraints.maxChargeTimeHours),
+    };
+  };
+
+  // Current inputs, including any temperature histogram or duty-cycle distribution
+  const current = evaluate({ dodPct, cRate, temperature: avgTemperature }, {});
+
+  const candidates = [];
+  for (const candidateDod of gridValues(optimize.dodPct, dodPct)) {
+    for (const candidateCRate of gridValues(optimize.cRate, cRate)) {
+      for (const temperature of gridValues(optimize.temperature, avgTemperature)) {
+        candidates.push(evaluate(
+          { dodPct: candidateDod, cRate: candidateCRate, temperature },
+          {
+            futureDodPct: candidateDod,
+            futureCRate: candidateCRate,
+            ...(optimize.temperature && { futureTemperature: temperature }),
+          }
+        ));
+      }
+    }
+  }
+
+  const lifetime = point => Math.floor(point.monthsToEndOfLife ?? HORIZON_MONTHS + 1);
+  const ranked = candidates
+    .filter(point => point.feasible)
+    .sort((a, b) => lifetime(b) - lifetime(a)
+      || b.dodPct - a.dodPct
+      || b.cRate - a.cRate
+      || Math.abs(a.temperature - avgTemperature) - Math.abs(b.temperature - avgTemperature));
+
+  if (!ranked.length) {
+    throw new Error('No operating point in the search grid satisfies the constraints');
+  }
+
+  const recommended = ranked[0];
+  const withoutFlag = ({ feasible, ...point }) => point;
+
+  return {
+    usage: {
+      cyclesPerMonth: +cyclesPerMonth.toFixed(2),
+      dailyEnergyKWh: capacityKWh === null ? null : +requiredDailyKWh.toFixed(2),
+    },
+    constraints,
+    current,
+    recommended: withoutFlag(recommended),
+    rulGainMonths: recommended.beyondHorizon || current.beyondHorizon
+      ? null
+      : +(recommended.monthsToEndOfLife - current.monthsToEndOfLife).toFixed(1),
+    candidates: ranked.slice(0, top).map(withoutFlag),
+    search: {
+      evaluated: candidates.length,
+      feasible: ranked.length,
+      horizonMonths: HORIZON_MONTHS,
+    },
+  };
+}
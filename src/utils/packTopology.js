@@ -0,0 +1,155 @@
+/**
+ * Cell-level analysis of a series/parallel pack
+ *
+ * Cells in a parallel group share current, so a group's capacity is the sum
+ * of its cells. Groups in series carry the same charge, so the weakest group
+ * limits the whole string: the pack can only deliver that group's capacity
+ * (times the series count for energy units). Each cell and each group is
+ * run through computeDegradation with the pack's operating conditions.
+ *
+ * Outliers are cells whose capacity or voltage has a modified z-score
+ * beyond the threshold and lies at least a minimum distance from the median
+ * cell, so that quantized readings (a single 1 mV step among identical
+ * voltages) are not flagged.
+ */
+
+import { computeDegradation } from './degradationCalculator.js';
+import { median, modifiedZScores } from './robustStats.js';
+import { getChemistryProfile } from '../config/chemistryProfiles.js';
+
+export const DEFAULT_OUTLIER_THRESHOLD = 3.5;
+export const DEFAULT_SPREAD_LIMIT_PCT = 5;
+// Smallest deviation from the median cell that can be an outlier
+export const DEFAULT_MIN_CAPACITY_DEVIATION_PCT = 2; // of the cell rating
+export const DEFAULT_MIN_VOLTAGE_DEVIATION_MV = 10;
+
+/**
+ * Group cells by series position and find the limiting group
+ * @param {Object} payload - Battery parameters with `pack`
+ * @returns {Object} { cellNominal, groups, limiting, capacity } in the pack's unit
+ */
+export function resolvePackCapacity(payload) {
+  const { nominalCapacity, unit = 'Ah', pack } = payload;
+  const { seriesCount, parallelCount = 1, cells } = pack;
+
+  // Ah is the charge of one series string; energy units cover every cell
+  const cellNominal = unit === 'Ah'
+    ? nominalCapacity / parallelCount
+    : nominalCapacity / (seriesCount * parallelCount);
+
+  const groups = Array.from({ length: seriesCount }, (_, i) => {
+    const members = cells.filter(cell => cell.series === i + 1);
+    return { series: i + 1, capacity: members.reduce((sum, cell) => sum + cell.capacity, 0) };
+  });
+  const limiting = groups.reduce((weakest, group) => (group.capacity < weakest.capacity ? group : weakest));
+
+  return {
+    cellNominal,
+    groups,
+    limiting,
+    capacity: +(limiting.capacity * (unit === 'Ah' ? 1 : seriesCount)).toFixed(6)
+  };
+}
+
+/**
+ * Per-cell and per-group results, outliers and imbalance of a pack
+ * @param {Object} payload - Battery parameters with `pack`
+ * @param {number} [calibrationFactor] - Model calibration factor
+ * @param {Object} [coefficients] - Chemistry coefficients
+ * @returns {Object} Aggregated pack result with its groups and cells
+ */
+export function analyzePack(
+  payload,
+  calibrationFactor = 1.0,
+  coefficients = getChemistryProfile(payload.chemistry).coefficients
+) {
+  const {
+    seriesCount,
+    parallelCount = 1,
+    cells,
+    bolCapacitySpreadPct = 0,
+    outlierThreshold = DEFAULT_OUTLIER_THRESHOLD,
+    minCapacityDeviationPct = DEFAULT_MIN_CAPACITY_DEVIATION_PCT,
+    minVoltageDeviationMv = DEFAULT_MIN_VOLTAGE_DEVIATION_MV,
+    spreadLimitPct = DEFAULT_SPREAD_LIMIT_PCT
+  } = payload.pack;
+  const { cellNominal, groups, limiting, capacity } = resolvePackCapacity(payload);
+
+  const degrade = (nominal, current) => {
+    const result = computeDegradation({ ...payload, nominalCapacity: nominal, currentCapacity: current }, calibrationFactor, coefficients);
+    return { soh: +result.soh.toFixed(2), remainingUsefulLifeMonths: result.estimatedRUIMonths };
+  };
+
+  // -1 below, 1 above, 0 within the threshold or the minimum deviation
+  const outlierSides = (values, minDeviation) => {
+    const center = median(values);
+    return modifiedZScores(values).map((score, i) => (
+      Math.abs(score) > outlierThreshold && Math.abs(values[i] - center) >= minDeviation ? Math.sign(score) : 0
+    ));
+  };
+
+  const capacitySides = outlierSides(cells.map(cell => cell.capacity), cellNominal * minCapacityDeviationPct / 100);
+  const voltages = cells.map(cell => cell.voltage);
+  const hasVoltages = voltages.every(voltage => typeof voltage === 'number');
+  const voltageSides = hasVoltages ? outlierSides(voltages, minVoltageDeviationMv / 1000) : null;
+
+  const cellResults = cells.map((cell, i) => {
+    const flags = [];
+    if (capacitySides[i] < 0) flags.push('capacity_low');
+    if (capacitySides[i] > 0) flags.push('capacity_high');
+    if (voltageSides?.[i] < 0) flags.push('voltage_low');
+    if (voltageSides?.[i] > 0) flags.push('voltage_high');
+
+    return {
+      id: cell.id ?? `S${cell.series}P${cell.parallel ?? 1}`,
+      series: cell.series,
+      parallel: cell.parallel ?? 1,
+      capacity: cell.capacity,
+      ...(typeof cell.voltage === 'number' && { voltage: cell.voltage }),
+      ...degrade(cellNominal, cell.capacity),
+      outlier: flags.length > 0,
+      flags
+    };
+  });
+
+  const groupResults = groups.map(group => ({
+    series: group.series,
+    capacity: +group.capacity.toFixed(3),
+    ...degrade(cellNominal * parallelCount, group.capacity)
+  }));
+  const limitingGroup = groupResults[limiting.series - 1];
+
+  // Capacity spread relative to the cell rating, against the matched spread at beginning of life
+  const cellCapacities = cells.map(cell => cell.capacity);
+  const capacitySpreadPct = (Math.max(...cellCapacities) - Math.min(...cellCapacities)) / cellNominal * 100;
+  const growthPct = capacitySpreadPct - bolCapacitySpreadPct;
+  const averageCellSoh = cellResults.reduce((sum, cell) => sum + cell.soh, 0) / cellResults.length;
+
+  return {
+    topology: {
+      seriesCount,
+      parallelCount,
+      cellCount: cells.length,
+      cellNominalCapacity: +cellNominal.toFixed(4)
+    },
+    capacity: +capacity.toFixed(3),
+    soh: limitingGroup.soh,
+    remainingUsefulLifeMonths: limitingGroup.remainingUsefulLifeMonths,
+    limitingGroup,
+    averageCellSoh: +averageCellSoh.toFixed(2),
+    // SOH the weakest group strands in the stronger ones
+    imbalanceLossPct: +(averageCellSoh - limitingGroup.soh).toFixed(2),
+    imbalance: {
+      capacitySpreadPct: +capacitySpreadPct.toFixed(2),
+      bolCapacitySpreadPct,
+      growthPct: +growthPct.toFixed(2),
+      growthPer100Cycles: payload.chargeCycles > 0 ? +(growthPct / payload.chargeCycles * 100).toFixed(3) : null,
+      ...(hasVoltages && { voltageSpreadMv: +((Math.max(...voltages) - Math.min(...voltages)) * 1000).toFixed(1) }),
+      spreadLimitPct,
+      exceedsLimit: capacitySpreadPct > spreadLimitPct
+    },
+    outliers: cellResults.filter(cell => cell.outlier).map(({ id, series, parallel, flags }) => ({ id, series, parallel, flags })),
+    groups: groupResults,
+    cells: cellResults
+  };
+}
@@ -0,0 +1,114 @@
+/**
+ * Internal resistance growth and power fade
+ *
+ * Resistance grows from its beginning-of-life value by computeResistanceGrowth.
+ * A measured internalResistanceMohm calibrates the growth with a single
+ * factor, as a measured capacity calibrates the fade. Deliverable power at
+ * a fixed voltage window scales with 1/R, so
+ *   powerFadePct = (1 - R_bol / R) * 100
+ * The power limit is reached when R hits eolResistancePct of R_bol (default
+ * 200%, i.e. 50% power fade). Its remaining life uses the same linear
+ * extrapolation of the average rate so far as the capacity RUL, which makes
+ * the two limits directly comparable for the combined end-of-life.
+ */
+
+import { computeResistanceGrowth } from './degradationCalculator.js';
+
+export const DEFAULT_EOL_RESISTANCE_PCT = 200;
+
+// Calibration bounds, as for the capacity calibration factor
+const MIN_FACTOR = 0.1;
+const MAX_FACTOR = 3.0;
+
+const powerFadePct = growth => (1 - 1 / (1 + growth)) * 100;
+
+/**
+ * Single-point calibration of the growth model to a measured resistance
+ */
+function calibrateResistance(payload, profile) {
+  const { internalResistanceMohm, bolResistanceMohm } = payload;
+  if (typeof internalResistanceMohm !== 'number') return 1.0;
+
+  const measured = internalResistanceMohm / bolResistanceMohm - 1;
+  const modelled = computeResistanceGrowth(payload, 1.0, profile.coefficients, profile.resistanceCoefficients).total;
+  if (modelled < 0.001) return 1.0;
+
+  return Math.max(MIN_FACTOR, Math.min(MAX_FACTOR, Math.max(measured, 0) / modelled));
+}
+
+/**
+ * Resistance state, power fade and the months until the power limit
+ * @param {Object} payload - Battery parameters with bolResistanceMohm
+ * @param {Object} profile - Resolved chemistry profile
+ * @returns {Object} Resistance assessment plus growthAt(cycles, years) for trend points
+ */
+export function assessResistance(payload, profile) {
+  const {
+    internalResistanceMohm,
+    bolResistanceMohm,
+    eolResistancePct = DEFAULT_EOL_RESISTANCE_PCT,
+    calendarAgeMonths,
+    calendarAgeYears,
+  } = payload;
+
+  const factor = calibrateResistance(payload, profile);
+  const growthAt = (chargeCycles, years) => computeResistanceGrowth(
+    { ...payload, chargeCycles, calendarAgeYears: years },
+    factor,
+    profile.coefficients,
+    profile.resistanceCoefficients
+  );
+
+  const years = typeof calendarAgeYears === 'number' ? calendarAgeYears : (calendarAgeMonths || 0) / 12;
+  const modelled = growthAt(payload.chargeCycles || 0, years);
+  const measured = typeof internalResistanceMohm === 'number';
+  const growth = measured ? Math.max(internalResistanceMohm / bolResistanceMohm - 1, 0) : modelled.total;
+
+  // Linear extrapolation of the average growth rate, as for the capacity RUL
+  const monthsElapsed = Math.max(1, Math.max(years, 0.1) * 12);
+  const growthPct = growth * 100;
+  const monthlyGrowthRate = Math.max(growthPct / monthsElapsed, 0.05);
+  const monthsToLimit = Math.max(0, (eolResistancePct - 100 - growthPct) / monthlyGrowthRate);
+
+  return {
+    bolResistanceMohm,
+    resistanceMohm: +(bolResistanceMohm * (1 + growth)).toFixed(3),
+    source: measured ? 'measured' : 'modelled',
+    resistanceGrowthPct: +growthPct.toFixed(2),
+    powerFadePct: +powerFadePct(growth).toFixed(2),
+    eolResistancePct,
+    estimatedRemainingUsefulLifeMonths: Math.round(monthsToLimit),
+    calibrationFactor: +factor.toFixed(4),
+    components: {
+      cycleGrowthPct: +(modelled.cycle * 100).toFixed(2),
+      calendarGrowthPct: +(modelled.calendar * 100).toFixed(2),
+    },
+    growthAt,
+  };
+}
+
+/**
+ * Add resistance and power fade to trend points
+ * Each point's calendar age is interpolated in proportion to its cycle
+ * count, as buildTrend does.
+ * @param {Array} trend - Trend points with `cycle`
+ * @param {Object} payload - Battery parameters
+ * @param {Object} resistance - Result of assessResistance
+ * @returns {Array} Trend points with resistanceMohm, resistanceGrowthPct and powerFadePct
+ */
+export function addResistanceToTrend(trend, payload, resistance) {
+  const totalCycles = Math.max(payload.chargeCycles || 0, 0);
+  const totalYears = typeof payload.calendarAgeYears === 'number'
+    ? payload.calendarAgeYears
+    : (payload.calendarAgeMonths || 0) / 12;
+
+  return trend.map(point => {
+    const growth = resistance.growthAt(point.cycle, totalYears * (point.cycle / Math.max(totalCycles, 1))).total;
+    return {
+      ...point,
+      resistanceMohm: +(resistance.bolResistanceMohm * (1 + growth)).toFixed(3),
+      resistanceGrowthPct: +(growth * 100).toFixed(2),
+      powerFadePct: +powerFadePct(growth).toFixed(2),
+    };
+  });
+}
@@ -0,0 +1,35 @@
+/**
+ * Outlier-resistant statistics
+ */
+
+/**
+ * Median of a sample set
+ * @param {number[]} values - Samples
+ * @returns {number} Median
+ */
+export function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Modified z-scores 0.6745 * (x - median) / MAD (Iglewicz and Hoaglin)
+ * A single bad value cannot mask itself the way it inflates a standard
+ * deviation. When half or more of the values tie the MAD is zero; the scores
+ * then fall back to 0.7979 * (x - median) / mean absolute deviation, and are
+ * all zero when every value is equal. The fallback is finite but still large
+ * for a lone value off a run of ties (quantized readings), so callers should
+ * also require a minimum absolute deviation before flagging.
+ * @param {number[]} values - Samples
+ * @returns {number[]} Score per sample
+ */
+export function modifiedZScores(values) {
+  const center = median(values);
+  const deviations = values.map(value => Math.abs(value - center));
+  const mad = median(deviations);
+  if (mad > 0) return values.map(value => 0.6745 * (value - center) / mad);
+
+  const meanAd = deviations.reduce((sum, deviation) => sum + deviation, 0) / values.length;
+  return values.map(value => (meanAd > 0 ? 0.7979 * (value - center) / meanAd : 0));
+}
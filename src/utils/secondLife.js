@@ -0,0 +1,119 @@
+/**
+ * Second-life suitability of a retired pack
+ *
+ * The pack is graded on SOH, resistance growth and cell voltage spread (see
+ * config/secondLife.js). Each stationary application that accepts the grade
+ * gets a projected duration: the /forecast projection from today's state,
+ * calibrated on the pack's own fade, under the application's duty cycle
+ * until its retirement SOH. Recycling accepts every pack.
+ */
+
+import { computeDegradation, calculateCalibrationFactor } from './degradationCalculator.js';
+import { buildForecast } from './forecast.js';
+import { getChemistryProfile } from '../config/chemistryProfiles.js';
+import { GRADE_ORDER, SECOND_LIFE_APPLICATIONS, SECOND_LIFE_GRADES } from '../config/secondLife.js';
+
+const DAYS_PER_MONTH = 365.25 / 12;
+
+// Longest second life projected
+const HORIZON_MONTHS = 360;
+
+const gradeRank = grade => GRADE_ORDER.indexOf(grade);
+
+/**
+ * Best grade whose limit a measured value meets
+ */
+function gradeFor(value, meets) {
+  return SECOND_LIFE_GRADES.find(limits => meets(limits, value)).grade;
+}
+
+/**
+ * Grade each measured criterion
+ */
+function gradeCriteria(soh, { internalResistanceMohm, bolResistanceMohm, cellVoltageSpreadMv }) {
+  const criteria = {
+    soh: { value: +soh.toFixed(2), grade: gradeFor(soh, (limits, value) => value >= limits.minSohPct) },
+    resistanceGrowth: null,
+    cellVoltageSpreadMv: null,
+  };
+
+  if (typeof internalResistanceMohm === 'number' && bolResistanceMohm > 0) {
+    const growth = internalResistanceMohm / bolResistanceMohm;
+    criteria.resistanceGrowth = {
+      value: +growth.toFixed(3),
+      grade: gradeFor(growth, (limits, value) => value <= limits.maxResistanceGrowth),
+    };
+  }
+  if (typeof cellVoltageSpreadMv === 'number') {
+    criteria.cellVoltageSpreadMv = {
+      value: cellVoltageSpreadMv,
+      grade: gradeFor(cellVoltageSpreadMv, (limits, value) => value <= limits.maxCellSpreadMv),
+    };
+  }
+
+  return criteria;
+}
+
+/**
+ * Grade a pack and project its second life in each suitable application
+ * @param {Object} payload - Battery parameters plus resistance, cell spread and optional stationaryDuty
+ * @param {number|Object} [calibrationFactor] - Calibration applied to the model
+ * @param {Object} [coefficients] - Chemistry coefficients
+ * @returns {Object} Grade, limiting criterion, per-application suitability and projected duration
+ */
+export function assessSecondLife(
+  payload,
+  calibrationFactor = calculateCalibrationFactor(payload),
+  coefficients = getChemistryProfile(payload.chemistry).coefficients
+) {
+  const { stationaryDuty, startDate = new Date().toISOString().slice(0, 10) } = payload;
+  const { soh } = computeDegradation(payload, calibrationFactor, coefficients);
+
+  const criteria = gradeCriteria(soh, payload);
+  const [limitingFactor, limiting] = Object.entries(criteria)
+    .filter(([, criterion]) => criterion)
+    .reduce((worst, entry) => (gradeRank(entry[1].grade) > gradeRank(worst[1].grade) ? entry : worst));
+  const { grade, description } = SECOND_LIFE_GRADES[gradeRank(limiting.grade)];
+
+  const applications = SECOND_LIFE_APPLICATIONS.map(({ application, label, minGrade, duty, retirementSohPct }) => {
+    const suitable = gradeRank(grade) <= gradeRank(minGrade);
+    if (!duty) {
+      return { application, label, suitable, minGrade, dutyCycle: null, retirementSohPct, projectedDuration: null };
+    }
+
+    const dutyCycle = { ...duty, ...stationaryDuty };
+    let projectedDuration = null;
+
+    if (suitable) {
+      const forecast = buildForecast({
+        ...payload,
+        eolPct: retirementSohPct,
+        cyclesPerMonth: dutyCycle.cyclesPerDay * DAYS_PER_MONTH,
+        futureDodPct: dutyCycle.dodPct,
+        futureCRate: dutyCycle.cRate,
+        futureTemperature: dutyCycle.temperature,
+        horizonMonths: HORIZON_MONTHS,
+        startDate,
+      }, calibrationFactor, coefficients);
+
+      const { reached, month, date } = forecast.endOfLife;
+      projectedDuration = {
+        months: reached ? month : null,
+        years: reached ? +(month / 12).toFixed(1) : null,
+        endDate: reached ? date : null,
+        beyondHorizon: !reached,
+      };
+    }
+
+    return { application, label, suitable, minGrade, dutyCycle, retirementSohPct, projectedDuration };
+  });
+
+  return {
+    grade,
+    description,
+    limitingFactor,
+    criteria,
+    recommendedApplication: applications.find(application => application.suitable).application,
+    applications,
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * Monte Carlo sampling helpers for uncertainty propagation
+ *
+ * Every distribution is expressed as a multiplier around 1:
+ * - normal:    1 + spread * Z
+ * - lognormal: exp(spread * Z - spread^2 / 2)   (mean 1)
+ * - uniform:   1 + spread * U(-1, 1)
+ * so "spread" is a relative standard deviation (normal/lognormal) or a
+ * relative half-width (uniform).
+ */
+
+export const DEFAULT_COEFFICIENT_DISTRIBUTIONS = {
+  k_c: { distribution: 'lognormal', spread: 0.15 },
+  alpha: { distribution: 'normal', spread: 0.05 },
+  k_t: { distribution: 'lognormal', spread: 0.25 },
+  Ea: { distribution: 'normal', spread: 0.05 },
+  beta: { distribution: 'normal', spread: 0.05 },
+};
+
+export const DEFAULT_MEASUREMENT_ERROR = { distribution: 'normal', spread: 0.02 };
+
+// Multipliers are floored so a wide normal spread cannot flip a coefficient's sign
+const MIN_MULTIPLIER = 0.01;
+
+/**
+ * Seeded PRNG (mulberry32) so a run can be reproduced from its seed
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function standardNormal(random) {
+  // Box-Muller; 1 - u keeps the log argument away from 0
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Draw a multiplier from a distribution definition
+ * @param {Object} definition - { distribution, spread }
+ * @param {Function} random - PRNG from createRandom
+ * @returns {number} Multiplier around 1
+ */
+export function sampleMultiplier({ distribution, spread }, random) {
+  if (!spread) return 1;
+
+  switch (distribution) {
+    case 'lognormal':
+      return Math.exp(spread * standardNormal(random) - (spread * spread) / 2);
+    case 'uniform':
+      return Math.max(MIN_MULTIPLIER, 1 + spread * (2 * random() - 1));
+    case 'normal':
+    default:
+      return Math.max(MIN_MULTIPLIER, 1 + spread * standardNormal(random));
+  }
+}
+
+/**
+ * Perturb each model coefficient that has a distribution
+ * @param {Object} coefficients - Profile coefficients
+ * @param {Object} distributions - Distribution per coefficient name
+ * @param {Function} random - PRNG from createRandom
+ * @returns {Object} Sampled coefficients
+ */
+export function sampleCoefficients(coefficients, distributions, random) {
+  const sampled = { ...coefficients };
+  for (const [name, definition] of Object.entries(distributions)) {
+    if (name in sampled) {
+      sampled[name] = coefficients[name] * sampleMultiplier(definition, random);
+    }
+  }
+  return sampled;
+}
+
+/**
+ * Linear-interpolated percentiles of a sample set
+ * @param {number[]} values - Samples
+ * @param {number[]} [levels] - Percentile levels (0-100)
+ * @returns {Object} Keyed p10/p50/p90 etc.
+ */
+export function percentiles(values, levels = [10, 50, 90]) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const result = {};
+
+  for (const level of levels) {
+    const rank = (level / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    result[`p${level}`] = +value.toFixed(2);
+  }
+
+  return result;
+}
@@ -0,0 +1,51 @@
+/**
+ * Capacity unit conversion
+ */
+
+export const CAPACITY_UNITS = ['Ah', 'kWh', 'Wh'];
+
+/**
+ * Convert a capacity in the payload's unit to kWh
+ * @param {number} capacity - Capacity in `unit`
+ * @param {string} unit - 'Ah', 'kWh' or 'Wh'
+ * @param {number} [nominalVoltage] - Pack voltage (V), required for Ah
+ * @returns {number} Energy in kWh
+ */
+export function toKWh(capacity, unit = 'Ah', nominalVoltage) {
+  switch (unit) {
+    case 'kWh':
+      return capacity;
+    case 'Wh':
+      return capacity / 1000;
+    case 'Ah':
+      if (!(nominalVoltage > 0)) {
+        throw new Error('nominalVoltage is required to convert Ah to kWh');
+      }
+      return (capacity * nominalVoltage) / 1000;
+    default:
+      throw new Error(`Unknown capacity unit "${unit}". Supported: ${CAPACITY_UNITS.join(', ')}`);
+  }
+}
+
+/**
+ * Convert an energy in kWh to a capacity in `unit`
+ * @param {number} energyKWh - Energy in kWh
+ * @param {string} unit - 'Ah', 'kWh' or 'Wh'
+ * @param {number} [nominalVoltage] - Pack voltage (V), required for Ah
+ * @returns {number} Capacity in `unit`
+ */
+export function fromKWh(energyKWh, unit = 'Ah', nominalVoltage) {
+  switch (unit) {
+    case 'kWh':
+      return energyKWh;
+    case 'Wh':
+      return energyKWh * 1000;
+    case 'Ah':
+      if (!(nominalVoltage > 0)) {
+        throw new Error('nominalVoltage is required to convert kWh to Ah');
+      }
+      return (energyKWh * 1000) / nominalVoltage;
+    default:
+      throw new Error(`Unknown capacity unit "${unit}". Supported: ${CAPACITY_UNITS.join(', ')}`);
+  }
+}
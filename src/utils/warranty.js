@@ -0,0 +1,170 @@
+/**
+ * Warranty compliance against OEM terms
+ *
+ * A warranty guarantees a capacity floor until the first of its limits
+ * (years, cycles, energy throughput, distance) is used up, e.g. "70% after
+ * 8 years or 160,000 km". The pack is compliant while it is inside coverage
+ * and at or above the floor; a breach is the pack falling to the floor before
+ * coverage ends. The breach date is projected with buildForecast under the
+ * expected usage.
+ *
+ * Throughput is the energy discharged, in kWh. Absent a measured value it is
+ * estimated as chargeCycles × nominalCapacity × DoD: chargeCycles are
+ * counted cycles, each discharging the cycled depth (the cycle-weighted mean
+ * of dutyCycleProfile when given, else dodPct) rather than the full pack.
+ */
+
+import { computeDegradation, calculateCalibrationFactor } from './degradationCalculator.js';
+import { buildForecast, addMonths } from './forecast.js';
+import { toKWh } from './units.js';
+import { getChemistryProfile } from '../config/chemistryProfiles.js';
+
+// Longest projection when a limit is never reached at the expected usage
+const MAX_HORIZON_MONTHS = 600;
+
+/**
+ * Mean depth of a counted cycle in %
+ */
+function cycledDodPct({ dodPct = 80, dutyCycleProfile }) {
+  if (!dutyCycleProfile?.length) return dodPct;
+  const total = dutyCycleProfile.reduce((sum, bin) => sum + bin.fraction, 0);
+  return dutyCycleProfile.reduce((sum, bin) => sum + bin.dodPct * bin.fraction, 0) / total;
+}
+
+/**
+ * Usage of each warranty axis and its monthly rate under the expected usage
+ */
+function warrantyAxes(payload, cyclesPerMonth) {
+  const {
+    warranty,
+    chargeCycles = 0,
+    nominalCapacity,
+    calendarAgeMonths,
+    calendarAgeYears,
+    throughputToDate,
+    odometerKm,
+    kmPerMonth,
+    unit = 'Ah',
+    nominalVoltage,
+  } = payload;
+
+  const ageYears = typeof calendarAgeYears === 'number' ? calendarAgeYears : (calendarAgeMonths || 0) / 12;
+  const ageMonths = ageYears * 12;
+  // Only converted with a throughput limit: Ah needs nominalVoltage
+  const energyPerCycleKWh = typeof warranty.throughput === 'number'
+    ? toKWh(nominalCapacity * cycledDodPct(payload) / 100, unit, nominalVoltage)
+    : 0;
+
+  return [
+    { axis: 'years', unit: 'years', limit: warranty.years, used: ageYears, perMonth: 1 / 12 },
+    { axis: 'cycles', unit: 'cycles', limit: warranty.cycles, used: chargeCycles, perMonth: cyclesPerMonth },
+    {
+      axis: 'throughput',
+      unit: 'kWh',
+      limit: warranty.throughput,
+      used: throughputToDate ?? chargeCycles * energyPerCycleKWh,
+      perMonth: cyclesPerMonth * energyPerCycleKWh,
+    },
+    {
+      axis: 'distance',
+      unit: 'km',
+      limit: warranty.distanceKm,
+      used: odometerKm ?? 0,
+      perMonth: kmPerMonth ?? (odometerKm && ageMonths > 0 ? odometerKm / ageMonths : 0),
+    },
+  ].filter(axis => typeof axis.limit === 'number');
+}
+
+/**
+ * Evaluate a pack against a warranty definition
+ * @param {Object} payload - Battery parameters plus warranty, usage and odometer
+ * @param {number|Object} [calibrationFactor] - Calibration applied to the model
+ * @param {Object} [coefficients] - Chemistry coefficients
+ * @returns {Object} Status, coverage window, projected breach and per-axis margins
+ */
+export function evaluateWarranty(
+  payload,
+  calibrationFactor = calculateCalibrationFactor(payload),
+  coefficients = getChemistryProfile(payload.chemistry).coefficients
+) {
+  const {
+    warranty,
+    chargeCycles = 0,
+    calendarAgeMonths,
+    calendarAgeYears,
+    startDate = new Date().toISOString().slice(0, 10),
+  } = payload;
+  const floorPct = warranty.capacityFloorPct;
+
+  const ageMonths = typeof calendarAgeYears === 'number' ? calendarAgeYears * 12 : calendarAgeMonths || 0;
+  const cyclesPerMonth = payload.cyclesPerMonth ?? (ageMonths > 0 ? chargeCycles / ageMonths : 0);
+
+  const axes = warrantyAxes(payload, cyclesPerMonth).map(axis => {
+    const remaining = Math.max(0, axis.limit - axis.used);
+    const monthsRemaining = remaining === 0 ? 0 : axis.perMonth > 0 ? remaining / axis.perMonth : null;
+    return { ...axis, remaining, monthsRemaining };
+  });
+
+  // Coverage ends with the first limit reached; null if no limit is ever reached
+  const ending = axes
+    .filter(axis => axis.monthsRemaining !== null)
+    .reduce((first, axis) => (!first || axis.monthsRemaining < first.monthsRemaining ? axis : first), null);
+  const withinCoverage = !ending || ending.monthsRemaining > 0;
+
+  const { soh } = computeDegradation(payload, calibrationFactor, coefficients);
+  const horizonMonths = Math.min(MAX_HORIZON_MONTHS, Math.ceil(ending?.monthsRemaining ?? MAX_HORIZON_MONTHS));
+
+  // Forecast to the end of coverage with the floor as the end-of-life threshold
+  const forecast = withinCoverage && soh > floorPct
+    ? buildForecast({ ...payload, eolPct: floorPct, cyclesPerMonth, horizonMonths, startDate }, calibrationFactor, coefficients)
+    : null;
+  const lastPoint = forecast?.points[forecast.points.length - 1];
+
+  let status = 'compliant';
+  if (!withinCoverage) status = 'expired';
+  else if (soh < floorPct) status = 'breached';
+
+  const projectedBreach = forecast?.endOfLife.reached
+    ? {
+      month: forecast.endOfLife.month,
+      date: forecast.endOfLife.date,
+      cycles: forecast.endOfLife.cycles,
+      ...Object.fromEntries(axes.map(axis => [
+        `${axis.axis}Used`,
+        +(axis.used + axis.perMonth * forecast.endOfLife.month).toFixed(2),
+      ])),
+    }
+    : null;
+
+  return {
+    status,
+    compliant: status === 'compliant',
+    withinCoverage,
+    warranty,
+    usage: {
+      cyclesPerMonth: +cyclesPerMonth.toFixed(2),
+    },
+    coverage: {
+      endsBy: ending?.axis ?? null,
+      monthsRemaining: ending ? +ending.monthsRemaining.toFixed(1) : null,
+      endDate: ending ? addMonths(startDate, Math.ceil(ending.monthsRemaining)) : null,
+    },
+    projectedBreach,
+    margins: {
+      capacity: {
+        floorPct,
+        healthPct: +soh.toFixed(2),
+        marginPct: +(soh - floorPct).toFixed(2),
+        projectedHealthAtCoverageEndPct: ending && !projectedBreach && lastPoint ? lastPoint.healthPct : null,
+      },
+      ...Object.fromEntries(axes.map(axis => [axis.axis, {
+        limit: axis.limit,
+        used: +axis.used.toFixed(2),
+        remaining: +axis.remaining.toFixed(2),
+        usedPct: +((axis.used / axis.limit) * 100).toFixed(2),
+        unit: axis.unit,
+        monthsRemaining: axis.monthsRemaining === null ? null : +axis.monthsRemaining.toFixed(1),
+      }])),
+    },
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * Webhook signing and transport
+ *
+ * Signature header: `t=<unix seconds>,v1=<hex>` where v1 is
+ * HMAC-SHA256(secret, `${t}.${body}`). Signing the timestamp with the body
+ * lets receivers reject replays outside a tolerance window.
+ *
+ * Subscribers choose the URL, so deliveries must not reach the server's own
+ * network: the host is resolved when connecting and loopback, private,
+ * link-local (including cloud metadata) and other reserved addresses are
+ * refused unless WEBHOOK_ALLOW_PRIVATE=true. Checking the address the socket
+ * actually connects to leaves no gap for DNS rebinding.
+ */
+
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// Non-public IPv4 and IPv6 ranges a delivery may not connect to
+const BLOCKED_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Error for a destination the delivery may not connect to
+ */
+function blockedDestination(address) {
+  const error = new Error(`Destination address ${address} is not allowed`);
+  error.code = 'ERR_WEBHOOK_DESTINATION';
+  return error;
+}
+
+const hmac = (secret, timestamp, body) => createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Signature header value for a payload
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Header value
+ */
+export function signPayload(secret, timestamp, body) {
+  return `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+}
+
+/**
+ * Check a signature header against the raw body
+ * @param {string} secret - Subscription secret
+ * @param {string} header - X-Webhook-Signature value
+ * @param {string} body - Raw JSON body as received
+ * @param {Object} [options] - { toleranceSeconds = 300, now = Date.now() }
+ * @returns {boolean} Whether the signature is valid and fresh
+ */
+export function verifySignature(secret, header, body, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+
+  if (!Number.isFinite(timestamp) || !parts.v1 || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(hmac(secret, timestamp, body), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+/**
+ * Whether private and local destinations are allowed (WEBHOOK_ALLOW_PRIVATE=true)
+ * @returns {boolean}
+ */
+export function privateDestinationsAllowed() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isBlockedAddress(address) {
+  return BLOCKED_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Hostname of a URL as an IP literal (brackets stripped), or null for a name
+ * @param {string} url - http(s) URL
+ * @returns {string|null}
+ */
+export function literalAddress(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  return net.isIP(hostname) ? hostname : null;
+}
+
+/**
+ * dns.lookup that fails for blocked addresses, used when the socket connects
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) return callback(blockedDestination(blocked.address));
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * POST a JSON body
+ * Resolves with the status code of any response; rejects on network errors,
+ * timeouts and (unless allowPrivate) non-public destinations, the latter with
+ * code ERR_WEBHOOK_DESTINATION.
+ * @param {string} url - http(s) URL
+ * @param {string} body - Raw JSON body
+ * @param {Object} headers - Extra request headers
+ * @param {number} timeoutMs - Socket timeout
+ * @param {Object} [options] - { allowPrivate = false }
+ * @returns {Promise<{statusCode: number}>}
+ */
+export function postJson(url, body, headers, timeoutMs, { allowPrivate = false } = {}) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+
+  // IP literals connect without a lookup, so they are checked here
+  const literal = literalAddress(url);
+  if (!allowPrivate && literal && isBlockedAddress(literal)) {
+    return Promise.reject(blockedDestination(literal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      },
+      timeout: timeoutMs,
+      ...(!allowPrivate && { lookup: guardedLookup })
+    }, res => {
+      res.resume();
+      res.on('end', () => resolve({ statusCode: res.statusCode }));
+    });
+
+    req.on('timeout', () => req.destroy(Object.assign(new Error(`Timed out after ${timeoutMs} ms`), { code: 'ETIMEDOUT' })));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
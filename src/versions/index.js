@@ -0,0 +1,14 @@
+import { v1 } from './v1.js';
+import { v2 } from './v2.js';
+
+/**
+ * Supported API versions, each a { name, schemas, serializers } contract
+ * /api/battery is kept as an alias of v1.
+ */
+export const API_VERSIONS = { v1, v2 };
+
+export const CURRENT_API_VERSION = 'v2';
+
+export const LEGACY_API_BASE = '/api/battery';
+
+export const apiBase = version => `/api/${version}`;
@@ -0,0 +1,121 @@
+/**
+ * API v1 contract (frozen)
+ *
+ * Request schemas are pinned to the v1 field set and the serializers emit
+ * exactly the v1 response shape, so fields added for later versions never
+ * reach v1 clients. Do not change these shapes; new fields on existing
+ * endpoints belong in v2. Endpoints added later are shared by all versions.
+ */
+
+import {
+  batteryAnalysisSchema,
+  batteryHealthSchema,
+  batteryForecastSchema,
+  batteryBatchSchema,
+  withStatusBandsAboveEol
+} from '../schemas/battery.schema.js';
+
+const ANALYSIS_FIELDS = [
+  'chargeCycles', 'avgTemperature', 'nominalCapacity', 'currentCapacity', 'cRate', 'dodPct',
+  'calendarAgeMonths', 'calendarAgeYears', 'unit', 'chemistry', 'eolPct', 'statusBands',
+  'capacityHistory', 'temperatureProfile', 'dutyCycleProfile', 'uncertainty'
+];
+
+const HEALTH_FIELDS = [
+  'nominalCapacity', 'currentCapacity', 'chargeCycles', 'avgTemperature', 'calendarAgeMonths',
+  'dodPct', 'unit', 'chemistry', 'eolPct', 'statusBands'
+];
+
+const FORECAST_FIELDS = [
+  ...ANALYSIS_FIELDS,
+  'cyclesPerMonth', 'futureTemperature', 'futureDodPct', 'futureCRate', 'horizonMonths', 'startDate'
+];
+
+const INPUT_FIELDS = [
+  'chargeCycles', 'avgTemperature', 'nominalCapacity', 'currentCapacity', 'cRate', 'dodPct',
+  'calendarAgeMonths', 'unit', 'chemistry'
+];
+
+const RESULT_FIELDS = [
+  'healthPercentage', 'stateOfHealthSOH', 'endOfLifeThresholdPct', 'estimatedRemainingUsefulLifeMonths',
+  'status', 'statusDescription', 'statusBands', 'confidence', 'degradationComponents',
+  'fadeContributions', 'calibration', 'uncertainty', 'trend', 'recommendations'
+];
+
+const TREND_POINT_FIELDS = ['cycle', 'healthPct', 'capacity', 'healthPctP10', 'healthPctP50', 'healthPctP90'];
+
+const HEALTH_SUMMARY_FIELDS = [
+  'healthPercentage', 'status', 'endOfLifeThresholdPct', 'estimatedMonthsRemaining',
+  'confidence', 'dataSource', 'assumptions'
+];
+
+const FORECAST_RESULT_FIELDS = ['startDate', 'horizonMonths', 'eolPct', 'usageProfile', 'startingState', 'endOfLife', 'points'];
+
+const pickShape = (schema, fields) => schema.pick(Object.fromEntries(fields.map(field => [field, true])));
+
+// Copy the listed keys in order, skipping absent ones
+const pick = (source, keys) => Object.fromEntries(
+  keys.filter(key => source[key] !== undefined).map(key => [key, source[key]])
+);
+
+const trendPoints = trend => trend.map(point => pick(point, TREND_POINT_FIELDS));
+
+function analysis({ meta, input, results }) {
+  const { model } = meta;
+
+  return {
+    meta: {
+      unitCapacity: meta.unitCapacity,
+      modelVersion: 'v1.0-calibrated',
+      generatedAt: meta.generatedAt,
+      assumptions: {
+        tempAccelerationAbove30C: 1.5,
+        baseCycleFadePer100: 2,
+        calibrationApplied: model.calibration.applied,
+        calibrationMethod: model.calibration.method,
+        chemistry: model.chemistry,
+        chemistryName: model.chemistryName,
+        modelCoefficients: model.coefficients
+      }
+    },
+    input: pick(input, INPUT_FIELDS),
+    results: { ...pick(results, RESULT_FIELDS), trend: trendPoints(results.trend) }
+  };
+}
+
+export const v1 = {
+  name: 'v1',
+  schemas: {
+    analysis: withStatusBandsAboveEol(pickShape(batteryAnalysisSchema, ANALYSIS_FIELDS)),
+    health: withStatusBandsAboveEol(pickShape(batteryHealthSchema, HEALTH_FIELDS)),
+    forecast: pickShape(batteryForecastSchema, FORECAST_FIELDS),
+    batch: batteryBatchSchema
+  },
+  serializers: {
+    analysis,
+    health: summary => pick(summary, HEALTH_SUMMARY_FIELDS),
+    trend: ({ input, results }) => ({
+      trend: trendPoints(results.trend),
+      metadata: {
+        totalCycles: input.chargeCycles,
+        currentHealth: results.healthPercentage,
+        confidence: results.confidence
+      }
+    }),
+    forecast: ({ meta, ...forecast }) => ({
+      meta: {
+        unitCapacity: meta.unitCapacity,
+        generatedAt: meta.generatedAt,
+        chemistry: meta.model.chemistry,
+        calibrationMethod: meta.model.calibration.method
+      },
+      ...pick(forecast, FORECAST_RESULT_FIELDS)
+    }),
+    batch: result => ({
+      ...result,
+      results: result.results.map(item => item.analysis ? { ...item, analysis: analysis(item.analysis) } : item)
+    }),
+    // Endpoints added after v1 (warranty, economics, ...) keep their shape
+    report: result => result
+  }
+};
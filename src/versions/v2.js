@@ -0,0 +1,53 @@
+/**
+ * API v2 contract (current)
+ *
+ * Results are passed through as the services build them; meta reports the
+ * API and model versions and the coefficients the model actually ran with.
+ */
+
+import { readFileSync } from 'fs';
+import {
+  batteryAnalysisSchema,
+  batteryHealthSchema,
+  batteryForecastSchema,
+  batteryBatchSchema,
+  withResistanceBaseline,
+  withStatusBandsAboveEol
+} from '../schemas/battery.schema.js';
+
+const pkg = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+const withMeta = ({ meta, ...rest }) => ({
+  meta: { apiVersion: 'v2', modelVersion: pkg.version, ...meta },
+  ...rest
+});
+
+export const v2 = {
+  name: 'v2',
+  schemas: {
+    analysis: withStatusBandsAboveEol(withResistanceBaseline(batteryAnalysisSchema)),
+    health: withStatusBandsAboveEol(batteryHealthSchema),
+    forecast: batteryForecastSchema,
+    batch: batteryBatchSchema
+  },
+  serializers: {
+    analysis: withMeta,
+    health: summary => summary,
+    trend: ({ meta, input, results }) => ({
+      trend: results.trend,
+      metadata: {
+        modelVersion: pkg.version,
+        totalCycles: input.chargeCycles,
+        currentHealth: results.healthPercentage,
+        confidence: results.confidence,
+        model: meta.model
+      }
+    }),
+    forecast: withMeta,
+    batch: result => ({
+      ...result,
+      results: result.results.map(item => item.analysis ? { ...item, analysis: withMeta(item.analysis) } : item)
+    }),
+    report: withMeta
+  }
+};
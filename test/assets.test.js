@@ -0,0 +1,138 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync, promises } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import express from 'express';
+import batteryRoutes from '../src/routes/battery.routes.js';
+import { errorHandler } from '../src/middleware/errorHandlers.js';
+import { FileStore } from '../src/storage/fileStore.js';
+import { resetStores } from '../src/storage/index.js';
+
+describe('File store', () => {
+  it('persists records across instances', async () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'battery-store-'));
+    const filePath = path.join(dir, 'assets.json');
+
+    const store = new FileStore(filePath);
+    await store.create({ id: 'a1', name: 'Pack 1' });
+    await store.update('a1', { name: 'Pack 1b' });
+    assert.equal(JSON.parse(readFileSync(filePath, 'utf8'))[0].name, 'Pack 1b');
+
+    const reopened = new FileStore(filePath);
+    assert.deepEqual(await reopened.get('a1'), { id: 'a1', name: 'Pack 1b' });
+    assert.equal(await reopened.remove('a1'), true);
+    assert.deepEqual(await reopened.list(), []);
+
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('undoes a failed write and keeps writing afterwards', async () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'battery-store-'));
+    const filePath = path.join(dir, 'assets.json');
+    const store = new FileStore(filePath);
+    await store.create({ id: 'a1', name: 'Pack 1' });
+
+    const writeFile = mock.method(promises, 'writeFile');
+    writeFile.mock.mockImplementationOnce(async () => {
+      throw new Error('disk full');
+    });
+    await assert.rejects(store.update('a1', { name: 'Pack 1b' }), /disk full/);
+    assert.deepEqual(await store.get('a1'), { id: 'a1', name: 'Pack 1' });
+
+    await store.create({ id: 'a2', name: 'Pack 2' });
+    writeFile.mock.restore();
+    assert.deepEqual(JSON.parse(readFileSync(filePath, 'utf8')).map(record => record.name), ['Pack 1', 'Pack 2']);
+
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('retries a load that failed', async () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'battery-store-'));
+    const filePath = path.join(dir, 'assets.json');
+    writeFileSync(filePath, '[{"id": "a1"');
+
+    const store = new FileStore(filePath);
+    await assert.rejects(store.list(), SyntaxError);
+    writeFileSync(filePath, '[{"id": "a1"}]');
+    assert.deepEqual(await store.list(), [{ id: 'a1' }]);
+
+    rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('Asset routes', () => {
+  let server;
+  let baseUrl;
+
+  const request = async (method, url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: response.status === 204 ? null : await response.json() };
+  };
+
+  before(async () => {
+    process.env.STORAGE_DRIVER = 'memory';
+    resetStores();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/battery', batteryRoutes);
+    app.use(errorHandler);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/battery`;
+  });
+
+  after(() => server.close());
+
+  it('registers an asset and analyzes it by ID with stored measurements', async () => {
+    const created = await request('POST', '/assets', {
+      name: 'Storage pack 7',
+      nominalCapacity: 100,
+      chemistry: 'LFP',
+      commissionedAt: '2023-01-01',
+      conditions: { avgTemperature: 30, eolPct: 60 },
+      measurements: [
+        { date: '2024-01-01', cycles: 300, capacity: 95 },
+        { date: '2023-07-01', cycles: 150, capacity: 97 }
+      ]
+    });
+    assert.equal(created.status, 201);
+    const { id } = created.body.data;
+
+    const added = await request('POST', `/assets/${id}/measurements`, {
+      measurements: [{ date: '2025-01-01', cycles: 600, capacity: 92 }]
+    });
+    assert.equal(added.body.data.measurements.at(-1).capacity, 92);
+
+    const analysis = await request('POST', '/analyze', { assetId: id, cRate: 1.2 });
+    assert.equal(analysis.status, 200);
+    const { input, results, meta } = analysis.body.data;
+    assert.equal(input.currentCapacity, 92);
+    assert.equal(input.chargeCycles, 600);
+    assert.equal(input.cRate, 1.2);
+    assert.equal(meta.assumptions.chemistry, 'LFP');
+    assert.equal(results.endOfLifeThresholdPct, 60);
+    assert.equal(results.calibration.method, 'least-squares');
+  });
+
+  it('updates, lists and deletes assets', async () => {
+    const { body } = await request('POST', '/assets', { name: 'EV 1', nominalCapacity: 75, unit: 'kWh' });
+    const { id } = body.data;
+
+    const updated = await request('PATCH', `/assets/${id}`, { name: 'EV 1 (rebuilt)' });
+    assert.equal(updated.body.data.name, 'EV 1 (rebuilt)');
+    assert.ok((await request('GET', '/assets')).body.data.some(a => a.id === id));
+
+    assert.equal((await request('DELETE', `/assets/${id}`)).status, 204);
+    assert.equal((await request('GET', `/assets/${id}`)).status, 404);
+  });
+
+  it('returns 404 when analyzing an unknown asset', async () => {
+    const { status } = await request('POST', '/health', { assetId: 'missing' });
+    assert.equal(status, 404);
+  });
+});
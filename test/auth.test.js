@@ -0,0 +1,125 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import batteryRoutes from '../src/routes/battery.routes.js';
+import adminRoutes from '../src/routes/admin.routes.js';
+import { apiKeyAuth } from '../src/middleware/apiKeyAuth.js';
+import { createTierRateLimit, tierHeader } from '../src/middleware/rateLimiter.js';
+import { errorHandler } from '../src/middleware/errorHandlers.js';
+import { ApiKeyService } from '../src/services/apiKey.service.js';
+import { PLANS } from '../src/config/plans.js';
+import { resetStores } from '../src/storage/index.js';
+
+describe('API key service', () => {
+  beforeEach(() => {
+    process.env.STORAGE_DRIVER = 'memory';
+    resetStores();
+  });
+
+  it('stores only a hash and verifies until revoked', async () => {
+    const issued = await ApiKeyService.issueKey({ name: 'Acme', tier: 'basic' });
+    assert.match(issued.key, /^bda_[0-9a-f]{48}$/);
+
+    const [listed] = await ApiKeyService.listKeys();
+    assert.equal(listed.id, issued.id);
+    assert.equal(listed.keyHash, undefined);
+    assert.ok(!JSON.stringify(listed).includes(issued.key));
+
+    assert.equal((await ApiKeyService.verifyKey(issued.key)).tier, 'basic');
+    const tampered = `${issued.key.slice(0, -1)}${issued.key.endsWith('0') ? '1' : '0'}`;
+    assert.equal(await ApiKeyService.verifyKey(tampered), null);
+
+    await ApiKeyService.revokeKey(issued.id);
+    assert.equal(await ApiKeyService.verifyKey(issued.key), null);
+  });
+});
+
+describe('Authenticated routes', () => {
+  let server;
+  let baseUrl;
+  const validPayload = { nominalCapacity: 100, currentCapacity: 90, chargeCycles: 300 };
+
+  const request = (method, url, headers = {}, body) => fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body && JSON.stringify(body)
+  });
+
+  const issueKey = async tier => {
+    const response = await request('POST', '/api/admin/keys', { Authorization: 'Bearer admin-secret' }, { name: 'test', tier });
+    return (await response.json()).data;
+  };
+
+  before(async () => {
+    process.env.STORAGE_DRIVER = 'memory';
+    process.env.ADMIN_TOKEN = 'admin-secret';
+    process.env.RAPIDAPI_PROXY_SECRET = 'proxy-secret';
+    resetStores();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/battery', apiKeyAuth(), tierHeader, createTierRateLimit());
+    app.use('/api/battery', batteryRoutes);
+    app.use('/api/admin', adminRoutes);
+    app.use(errorHandler);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    delete process.env.ADMIN_TOKEN;
+    delete process.env.RAPIDAPI_PROXY_SECRET;
+  });
+
+  it('rejects missing and unknown keys', async () => {
+    assert.equal((await request('POST', '/api/battery/health', {}, validPayload)).status, 401);
+    assert.equal((await request('POST', '/api/battery/health', { 'X-API-Key': 'bda_nope' }, validPayload)).status, 401);
+  });
+
+  it('requires the admin token for key management', async () => {
+    assert.equal((await request('GET', '/api/admin/keys')).status, 401);
+    assert.equal((await request('GET', '/api/admin/keys', { Authorization: 'Bearer wrong' })).status, 401);
+    assert.equal((await request('POST', '/api/admin/keys', { Authorization: 'Bearer admin-secret' }, { name: 'x', tier: 'gold' })).status, 400);
+  });
+
+  it('accepts issued keys and reports the tier quota', async () => {
+    const { key } = await issueKey('pro');
+
+    const viaHeader = await request('POST', '/api/battery/health', { 'X-API-Key': key }, validPayload);
+    assert.equal(viaHeader.status, 200);
+    assert.equal(viaHeader.headers.get('x-api-tier'), 'pro');
+    assert.equal(viaHeader.headers.get('ratelimit-limit'), String(PLANS.pro.dailyQuota));
+    assert.equal(viaHeader.headers.get('ratelimit-remaining'), String(PLANS.pro.dailyQuota - 1));
+
+    const viaBearer = await request('POST', '/api/battery/health', { Authorization: `Bearer ${key}` }, validPayload);
+    assert.equal(viaBearer.headers.get('ratelimit-remaining'), String(PLANS.pro.dailyQuota - 2));
+  });
+
+  it('returns 429 once the quota is spent and 401 after revocation', async () => {
+    const { id, key } = await issueKey('free');
+
+    let response;
+    for (let i = 0; i <= PLANS.free.dailyQuota; i++) {
+      response = await request('GET', '/api/battery/status', { 'X-API-Key': key });
+    }
+    assert.equal(response.status, 429);
+    assert.equal((await response.json()).error, 'Rate limit exceeded');
+
+    await request('DELETE', `/api/admin/keys/${id}`, { Authorization: 'Bearer admin-secret' });
+    assert.equal((await request('GET', '/api/battery/status', { 'X-API-Key': key })).status, 401);
+  });
+
+  it('verifies the RapidAPI proxy secret and maps the subscription tier', async () => {
+    const forged = await request('GET', '/api/battery/status', { 'X-RapidAPI-Proxy-Secret': 'guess' });
+    assert.equal(forged.status, 403);
+
+    const relayed = await request('GET', '/api/battery/status', {
+      'X-RapidAPI-Proxy-Secret': 'proxy-secret',
+      'X-RapidAPI-User': 'someone',
+      'X-RapidAPI-Subscription': 'ULTRA'
+    });
+    assert.equal(relayed.status, 200);
+    assert.equal(relayed.headers.get('x-api-tier'), 'pro');
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BatteryService } from '../src/services/battery.service.js';
+import { v1 } from '../src/versions/v1.js';
+import { v2 } from '../src/versions/v2.js';
+
+const base = { nominalCapacity: 100, currentCapacity: 65, chargeCycles: 900, calendarAgeMonths: 48 };
+
+describe('End-of-life threshold and status bands', () => {
+  it('keeps the 90/80/70/60 bands for the default 70% threshold', () => {
+    assert.deepEqual(BatteryService.resolveStatusBands(70), { excellent: 90, good: 80, fair: 70, poor: 60 });
+  });
+
+  it('anchors default bands, RUL and recommendations to a custom threshold', () => {
+    const legacy = BatteryService.analyzeBatteryHealth(base).results;
+    const secondLife = BatteryService.analyzeBatteryHealth({ ...base, eolPct: 60 }).results;
+
+    assert.equal(legacy.status, 'Poor');
+    assert.equal(legacy.estimatedRemainingUsefulLifeMonths, 0);
+    assert.ok(legacy.recommendations.some(r => r.message.includes('70% end-of-life')));
+
+    assert.equal(secondLife.status, 'Fair');
+    assert.equal(secondLife.endOfLifeThresholdPct, 60);
+    assert.ok(secondLife.estimatedRemainingUsefulLifeMonths > 0);
+    assert.ok(secondLife.recommendations.every(r => !r.message.includes('end-of-life threshold. Plan for replacement.')));
+  });
+
+  it('honours custom status bands', () => {
+    const statusBands = { excellent: 95, good: 85, fair: 64, poor: 50 };
+    const result = BatteryService.analyzeBatteryHealth({ ...base, eolPct: 60, statusBands }).results;
+    assert.equal(result.status, 'Fair');
+    assert.deepEqual(result.statusBands, statusBands);
+  });
+
+  it('rejects custom bands that read a pack past end-of-life as Fair', () => {
+    const statusBands = { excellent: 95, good: 85, fair: 64, poor: 50 };
+    for (const schema of [v1.schemas.analysis, v2.schemas.analysis, v2.schemas.health]) {
+      const parsed = schema.safeParse({ ...base, statusBands });
+      assert.equal(parsed.success, false);
+      assert.deepEqual(parsed.error.errors[0].path, ['statusBands', 'fair']);
+    }
+    assert.throws(() => BatteryService.analyzeBatteryHealth({ ...base, statusBands }), /must be at least eolPct/);
+  });
+});
+
+describe('Temperature histogram and duty-cycle distribution', () => {
+  const usage = { nominalCapacity: 100, chargeCycles: 550, calendarAgeMonths: 24 };
+
+  it('matches the single-value model for a one-bin profile', () => {
+    const single = BatteryService.analyzeBatteryHealth({ ...usage, avgTemperature: 30, dodPct: 60 }).results;
+    const binned = BatteryService.analyzeBatteryHealth({
+      ...usage,
+      temperatureProfile: [{ temperature: 30, fraction: 1 }],
+      dutyCycleProfile: [{ dodPct: 60, fraction: 1 }]
+    }).results;
+    assert.ok(Math.abs(single.healthPercentage - binned.healthPercentage) < 1e-9);
+  });
+
+  it('weights hot spells above the average temperature', () => {
+    const { fadeContributions } = BatteryService.analyzeBatteryHealth({
+      ...usage,
+      temperatureProfile: [{ temperature: 20, fraction: 0.8 }, { temperature: 45, fraction: 0.2 }]
+    }).results;
+    assert.ok(fadeContributions.effectiveTemperature > 25);
+    assert.ok(fadeContributions.calendar.find(bin => bin.temperature === 45).sharePct > 20);
+    assert.equal(fadeContributions.calendar.reduce((sum, bin) => sum + bin.sharePct, 0).toFixed(0), '100');
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BatteryService } from '../src/services/battery.service.js';
+import { batteryLogSchema } from '../src/schemas/battery.schema.js';
+import { extractReversals, rainflow } from '../src/utils/bmsLog.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Hourly log of `days` days: 6 h discharge 90% -> 30% at 10 A (3 h at 25°C,
+ * 3 h at 35°C), 2 h charge at 30 A and 30°C, 16 h rest at 20°C
+ */
+function dailyLog(days, { withCurrent = true } = {}) {
+  const samples = [];
+  let time = Date.parse('2026-01-01T00:00:00Z');
+  const push = (soc, current, temperature) => {
+    samples.push({ timestamp: new Date(time).toISOString(), soc, ...(withCurrent && { current }), temperature });
+    time += HOUR_MS;
+  };
+
+  for (let day = 0; day < days; day++) {
+    for (let h = 0; h < 6; h++) push(90 - 10 * h, -10, h < 3 ? 25 : 35);
+    for (let h = 0; h < 2; h++) push(30 + 30 * h, 30, 30);
+    for (let h = 0; h < 16; h++) push(90, 0, 20);
+  }
+  push(90, 0, 20);
+  return samples;
+}
+
+const ingest = payload => BatteryService.ingestBmsLog(batteryLogSchema.parse(payload));
+
+describe('Rainflow counting', () => {
+  it('matches the ASTM E1049 example', () => {
+    assert.deepEqual(rainflow([-2, 1, -3, 5, -1, 3, -4, 4, -2]), [
+      { range: 3, count: 0.5 },
+      { range: 4, count: 0.5 },
+      { range: 4, count: 1 },
+      { range: 8, count: 0.5 },
+      { range: 9, count: 0.5 },
+      { range: 8, count: 0.5 },
+      { range: 6, count: 0.5 }
+    ]);
+  });
+
+  it('drops swings smaller than the hysteresis', () => {
+    assert.deepEqual(extractReversals([50, 51, 50.5, 80, 79, 80, 20], 2), [50, 80, 20]);
+  });
+});
+
+describe('BMS log ingestion', () => {
+  it('derives cycles, DoD, C-rate and temperature and analyzes with them', () => {
+    const { derived, analysis } = ingest({ nominalCapacity: 100, log: { samples: dailyLog(30) } });
+
+    assert.equal(derived.inputs.chargeCycles, 30);
+    assert.deepEqual(derived.inputs.dutyCycleProfile, [{ dodPct: 60, fraction: 1 }]);
+    assert.equal(derived.cycles.equivalentFullCycles, 18);
+
+    // 6 h at 0.1C and 2 h at 0.3C while active
+    assert.equal(derived.cRate.source, 'current');
+    assert.equal(derived.inputs.cRate, 0.15);
+    assert.equal(derived.cRate.max, 0.3);
+
+    assert.equal(derived.inputs.avgTemperature, 23.33);
+    assert.deepEqual(derived.inputs.temperatureProfile.map(bin => bin.temperature), [20, 25, 30, 35]);
+    assert.equal(derived.inputs.calendarAgeMonths, 0.99);
+    assert.equal(derived.calendarAgeSource, 'log span');
+
+    assert.equal(analysis.input.chargeCycles, 30);
+    assert.ok(analysis.results.fadeContributions);
+  });
+
+  it('bins each cycle depth to the nearest 10%', () => {
+    // Daily swings of 11% and 56%: 0.5 of each day's cycles in each bin
+    const samples = [];
+    const start = Date.parse('2026-01-01T00:00:00Z');
+    const socs = Array.from({ length: 10 }, () => [90, 79, 90, 34]).flat().concat(90);
+    socs.forEach((soc, i) => samples.push({ timestamp: new Date(start + i * 6 * HOUR_MS).toISOString(), soc }));
+
+    const { derived } = ingest({ nominalCapacity: 100, log: { samples } });
+    assert.deepEqual(derived.inputs.dutyCycleProfile, [{ dodPct: 10, fraction: 0.5 }, { dodPct: 60, fraction: 0.5 }]);
+    assert.equal(derived.inputs.chargeCycles, 20);
+    assert.equal(derived.cycles.equivalentFullCycles, 6.7);
+  });
+
+  it('falls back to the SoC slope without current and keeps a given calendar age', () => {
+    const { derived, analysis } = ingest({
+      nominalCapacity: 100,
+      calendarAgeMonths: 36,
+      log: { samples: dailyLog(5, { withCurrent: false }) }
+    });
+
+    assert.equal(derived.cRate.source, 'soc');
+    assert.equal(derived.inputs.cRate, 0.15);
+    assert.equal(derived.inputs.calendarAgeMonths, undefined);
+    assert.equal(analysis.input.calendarAgeMonths, 36);
+    // Five daily cycles over five days, scaled to 36 months of the same use
+    assert.equal(derived.cycles.countedCycles, 5);
+    assert.equal(derived.cycles.chargeCyclesSource, 'log scaled to calendar age');
+    assert.equal(derived.inputs.chargeCycles, 1095.75);
+  });
+
+  it('ignores intervals between samples that share a timestamp', () => {
+    const samples = dailyLog(2, { withCurrent: false });
+    samples.splice(3, 0, { ...samples[3], soc: samples[3].soc + 1 });
+    const { derived } = ingest({ nominalCapacity: 100, log: { samples } });
+
+    assert.equal(derived.cRate.source, 'soc');
+    assert.ok(Number.isFinite(derived.cRate.mean));
+    assert.ok(derived.inputs.cRate > 0.1);
+  });
+
+  it('does not accept the inputs it derives', () => {
+    const parsed = batteryLogSchema.parse({ nominalCapacity: 100, chargeCycles: 900, log: { samples: dailyLog(1) } });
+    assert.equal(parsed.chargeCycles, undefined);
+    assert.equal(batteryLogSchema.safeParse({ nominalCapacity: 100, log: { samples: [{ timestamp: 0, soc: 120 }] } }).success, false);
+  });
+});
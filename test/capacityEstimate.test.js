@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BatteryService } from '../src/services/battery.service.js';
+import { batteryCapacityEstimateSchema } from '../src/schemas/battery.schema.js';
+import { calculateCalibrationFactor } from '../src/utils/degradationCalculator.js';
+
+const pack = { nominalCapacity: 100, chargeCycles: 600, calendarAgeMonths: 30 };
+
+// Partial charges of a pack with about 88 Ah usable, one of them mislogged
+const sessions = [
+  { date: '2026-09-01', startSoc: 20, endSoc: 80, chargedAh: 52.8 },
+  { date: '2026-09-03', startSoc: 35, endSoc: 90, chargedAh: 48.7 },
+  { date: '2026-09-05', startSoc: 10, endSoc: 70, chargedAh: 52.5 },
+  { date: '2026-09-08', startSoc: 30, endSoc: 95, chargedAh: 57.4 },
+  { date: '2026-09-10', startSoc: 40, endSoc: 80, chargedAh: 46.0 },
+  { date: '2026-09-12', startSoc: 60, endSoc: 70, chargedAh: 8.6 }
+];
+
+const estimate = payload => BatteryService.estimateCapacityFromSessions(batteryCapacityEstimateSchema.parse({ ...pack, ...payload }));
+
+describe('Capacity estimate from partial charge sessions', () => {
+  it('rejects narrow windows and outliers and brackets the estimate', () => {
+    const { estimate: result } = estimate({ sessions });
+
+    assert.equal(result.sessionsUsed, 4);
+    assert.deepEqual(
+      result.sessions.filter(session => session.status === 'rejected').map(session => [session.index, session.reason]),
+      [[4, 'outlier'], [5, 'window']]
+    );
+    assert.ok(Math.abs(result.capacity - 88) < 0.5);
+    assert.equal(result.sohPct, +(result.capacity).toFixed(2));
+
+    const { lower, upper, level } = result.confidenceInterval;
+    assert.equal(level, 0.95);
+    assert.ok(lower < result.capacity && result.capacity < upper);
+    assert.ok(upper - lower < 2);
+  });
+
+  it('keeps a session that differs slightly from tied ones', () => {
+    const tied = [
+      ...Array.from({ length: 4 }, () => ({ startSoc: 20, endSoc: 70, chargedAh: 44 })),
+      { startSoc: 20, endSoc: 70, chargedAh: 44.25 },
+      { startSoc: 20, endSoc: 70, chargedAh: 52 }
+    ];
+    const { estimate: result } = estimate({ sessions: tied });
+
+    assert.deepEqual(result.sessions.map(session => session.status), ['used', 'used', 'used', 'used', 'used', 'rejected']);
+    assert.ok(result.sessions.every(session => Number.isFinite(session.score)));
+    assert.equal(result.capacity, 88.1);
+  });
+
+  it('analyzes with the estimate as the measured capacity', () => {
+    const { estimate: result, analysis } = estimate({ sessions });
+
+    assert.equal(analysis.input.currentCapacity, result.capacity);
+    assert.ok(Math.abs(analysis.results.stateOfHealthSOH - result.sohPct) < 0.01);
+    assert.equal(
+      analysis.results.calibration.calibrationFactor,
+      +calculateCalibrationFactor({ ...batteryCapacityEstimateSchema.parse({ ...pack, sessions }), currentCapacity: result.capacity }).toFixed(4)
+    );
+  });
+
+  it('converts energy sessions with the nominal voltage', () => {
+    const energy = sessions.slice(0, 4).map(({ chargedAh, ...session }) => ({ ...session, chargedKWh: chargedAh * 0.4 }));
+    const { estimate: result } = estimate({ nominalVoltage: 400, sessions: energy });
+    assert.ok(Math.abs(result.capacity - 88) < 0.5);
+
+    assert.equal(batteryCapacityEstimateSchema.safeParse({ ...pack, sessions: energy }).success, false);
+  });
+
+  it('gives no interval for a single session and fails without a wide enough one', () => {
+    const { estimate: single } = estimate({ sessions: sessions.slice(0, 1) });
+    assert.equal(single.capacity, 88);
+    assert.equal(single.confidenceInterval, null);
+
+    assert.throws(() => estimate({ sessions: sessions.slice(5) }), /No session covers a SoC window of at least 20%/);
+    assert.equal(batteryCapacityEstimateSchema.safeParse({ ...pack, sessions: [{ startSoc: 80, endSoc: 20, chargedAh: 50 }] }).success, false);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fitCapacityHistory } from '../src/utils/capacityFit.js';
+import { computeDegradation } from '../src/utils/degradationCalculator.js';
+import { BatteryService } from '../src/services/battery.service.js';
+
+// Synthetic history generated from the model with a 1.5x cycle coefficient
+function syntheticHistory(months = 12) {
+  const history = [];
+  for (let m = 0; m <= months; m++) {
+    const cycles = m * 25;
+    const { healthPct } = computeDegradation({ chargeCycles: cycles, calendarAgeMonths: m }, { cycle: 1.5, calendar: 1 });
+    history.push({ date: new Date(Date.UTC(2024, m, 1)).toISOString(), cycles, capacity: healthPct });
+  }
+  return history;
+}
+
+describe('Capacity history fit', () => {
+  it('recovers the cycle coefficient from noiseless data', () => {
+    const fit = fitCapacityHistory({ nominalCapacity: 100, capacityHistory: syntheticHistory() });
+    assert.ok(Math.abs(fit.fittedParameters.cycleFactor - 1.5) < 0.01);
+    assert.ok(fit.goodnessOfFit.rmsePct < 0.01);
+    assert.equal(fit.residuals.length, 13);
+  });
+
+  it('replaces the single-point calibration in the analysis', () => {
+    const result = BatteryService.analyzeBatteryHealth({ nominalCapacity: 100, capacityHistory: syntheticHistory() });
+    assert.equal(result.results.calibration.method, 'least-squares');
+    assert.equal(result.meta.model.calibration.method, 'least-squares');
+    assert.equal(result.input.chargeCycles, 300);
+  });
+
+  it('requires at least two measurements', () => {
+    assert.throws(() => fitCapacityHistory({ nominalCapacity: 100, capacityHistory: [] }), /at least 2/);
+  });
+});
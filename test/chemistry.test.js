@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeDegradation } from '../src/utils/degradationCalculator.js';
+import { getChemistryProfile } from '../src/config/chemistryProfiles.js';
+import { BatteryService } from '../src/services/battery.service.js';
+
+const base = { nominalCapacity: 100, chargeCycles: 800, avgTemperature: 25, dodPct: 80, calendarAgeMonths: 36 };
+
+describe('Chemistry profiles', () => {
+  it('keeps the original coefficients for the generic profile', () => {
+    const withoutChemistry = computeDegradation(base);
+    const generic = computeDegradation({ ...base, chemistry: 'generic' });
+    assert.deepEqual(generic, withoutChemistry);
+    assert.equal(getChemistryProfile().coefficients.k_c, 0.015);
+  });
+
+  it('ages LFP more slowly than NCA under the same usage', () => {
+    const lfp = computeDegradation({ ...base, chemistry: 'LFP' });
+    const nca = computeDegradation({ ...base, chemistry: 'NCA' });
+    assert.ok(lfp.healthPct > nca.healthPct);
+  });
+
+  it('rejects unknown chemistries', () => {
+    assert.throws(() => getChemistryProfile('NiMH'), /Unknown chemistry/);
+  });
+
+  it('echoes the selected profile in meta.model', () => {
+    const result = BatteryService.analyzeBatteryHealth({ ...base, chemistry: 'LFP' });
+    assert.equal(result.meta.model.chemistry, 'LFP');
+    assert.deepEqual(result.meta.model.coefficients, getChemistryProfile('LFP').coefficients);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ComparisonService } from '../src/services/comparison.service.js';
+import { getModel, listModels, registerModel } from '../src/models/index.js';
+import { getChemistryProfile } from '../src/config/chemistryProfiles.js';
+import { batteryCompareSchema } from '../src/schemas/battery.schema.js';
+
+const base = { nominalCapacity: 100, chargeCycles: 600, calendarAgeMonths: 24, dodPct: 80, avgTemperature: 25, eolPct: 70 };
+
+// Noiseless history generated by one model, scaled by `scale`
+function historyFrom(name, scale) {
+  const model = getModel(name);
+  const params = model.parameters(getChemistryProfile().coefficients);
+
+  return [0, 1, 2, 3, 4].map(i => {
+    const cycles = i * 150;
+    const years = i * 0.5;
+    const fade = model.fade({ ...base, chargeCycles: cycles, calendarAgeYears: years }, params);
+    return { date: `${2023 + Math.floor(i / 2)}-${i % 2 ? '07' : '01'}-01`, cycles, capacity: 100 * (1 - scale * fade) };
+  });
+}
+
+describe('Model comparison', () => {
+  it('registers the built-in models', () => {
+    assert.deepEqual(listModels().slice(0, 4), ['empirical', 'linear-cycle', 'wohler', 'sei-growth']);
+  });
+
+  it('identifies the model that generated the measurements', () => {
+    for (const name of ['linear-cycle', 'wohler', 'sei-growth']) {
+      const result = ComparisonService.compareModels({ ...base, capacityHistory: historyFrom(name, 0.8) });
+      const winner = result.models.find(model => model.name === name);
+
+      assert.equal(result.bestFit.model, name);
+      assert.ok(result.bestFit.rmsePct < 0.01);
+      assert.ok(Math.abs(winner.scaleFactor - 0.8) < 1e-3);
+      assert.equal(result.ranking.length, result.models.length);
+    }
+  });
+
+  it('returns health, RUL and a trend per model without measurements', () => {
+    const result = ComparisonService.compareModels({ ...base, models: ['empirical', 'wohler'] });
+
+    assert.deepEqual(result.models.map(model => model.name), ['empirical', 'wohler']);
+    assert.equal(result.bestFit, null);
+    for (const model of result.models) {
+      assert.equal(model.scaleFactor, 1);
+      assert.equal(model.fit, null);
+      assert.equal(model.trend.at(-1).cycle, 600);
+      assert.equal(model.trend.at(-1).healthPct, model.healthPercentage);
+    }
+  });
+
+  it('accepts models registered at runtime', () => {
+    registerModel({
+      name: 'flat',
+      label: 'No fade',
+      description: 'Test model',
+      parameters: () => ({}),
+      fade: () => 0
+    });
+
+    assert.equal(batteryCompareSchema.safeParse({ ...base, models: ['flat'] }).success, true);
+    const [flat] = ComparisonService.compareModels({ ...base, models: ['flat'] }).models;
+    assert.equal(flat.healthPercentage, 100);
+    assert.equal(flat.estimatedRemainingUsefulLifeMonths, null);
+  });
+
+  it('rejects unknown model names', () => {
+    const parsed = batteryCompareSchema.safeParse({ ...base, models: ['nope'] });
+    assert.equal(parsed.success, false);
+    assert.match(parsed.error.errors[0].message, /Unknown model "nope"/);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import batteryRoutes from '../src/routes/battery.routes.js';
+import { errorHandler } from '../src/middleware/errorHandlers.js';
+import { coerceNumbers, parseCsv, parseNdjson } from '../src/utils/csv.js';
+
+describe('CSV parsing', () => {
+  it('handles quotes and CRLF and keeps fields as strings', () => {
+    const rows = parseCsv('id,note,cycles\r\n"pack ""A""","a, b",550\r\n007,,12.5\r\n');
+    assert.deepEqual(rows, [
+      { id: 'pack "A"', note: 'a, b', cycles: '550' },
+      { id: '007', cycles: '12.5' }
+    ]);
+  });
+
+  it('converts only the listed numeric fields', () => {
+    assert.deepEqual(
+      coerceNumbers({ id: '007', assetId: '0042', chargeCycles: '550', avgTemperature: 'warm' }, ['chargeCycles', 'avgTemperature']),
+      { id: '007', assetId: '0042', chargeCycles: 550, avgTemperature: 'warm' }
+    );
+  });
+
+  it('reports the line of invalid NDJSON', () => {
+    assert.throws(() => parseNdjson('{"a":1}\n{oops}\n'), /line 2/);
+  });
+});
+
+describe('Tabular request and response bodies', () => {
+  let server;
+  let baseUrl;
+
+  before(() => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/battery', batteryRoutes);
+    app.use(errorHandler);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/battery`;
+  });
+
+  after(() => server.close());
+
+  it('maps CSV columns to schema fields and returns the trend as CSV', async () => {
+    const csv = 'Rated Ah,charge_cycles,Measured Ah\n100,550,84\n';
+    const response = await fetch(`${baseUrl}/trend?columns=Rated%20Ah:nominalCapacity,Measured%20Ah:currentCapacity`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv', Accept: 'text/csv' },
+      body: csv
+    });
+    const lines = (await response.text()).trim().split('\n');
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/csv/);
+    assert.equal(lines[0], 'cycle,healthPct,capacity');
+    assert.equal(lines.at(-1).split(',')[0], '550');
+  });
+
+  it('accepts NDJSON for batch analysis and rejects multi-row single analysis', async () => {
+    const ndjson = [
+      JSON.stringify({ id: 'a', nominalCapacity: 100, currentCapacity: 90 }),
+      JSON.stringify({ id: 'b', nominal_capacity: 100, current_capacity: 70 })
+    ].join('\n');
+
+    const batch = await fetch(`${baseUrl}/batch?worstN=1`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-ndjson' },
+      body: ndjson
+    });
+    const { data } = await batch.json();
+    assert.equal(data.summary.analyzed, 2);
+    assert.equal(data.aggregates.worst[0].id, 'b');
+
+    const csvBatch = await fetch(`${baseUrl}/batch?worstN=1`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv' },
+      body: 'id,nominalCapacity,currentCapacity\n007,100,70\n008,100,90\n'
+    });
+    assert.equal((await csvBatch.json()).data.aggregates.worst[0].id, '007');
+
+    const single = await fetch(`${baseUrl}/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-ndjson' },
+      body: ndjson
+    });
+    assert.equal(single.status, 400);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BatteryService } from '../src/services/battery.service.js';
+import { batteryEconomicsSchema } from '../src/schemas/battery.schema.js';
+import { toKWh } from '../src/utils/units.js';
+
+const pack = { nominalCapacity: 100, unit: 'kWh', currentCapacity: 92, chargeCycles: 500, calendarAgeMonths: 24, startDate: '2026-10-01' };
+const economics = { packPrice: 30000, electricityPrice: 0.15, cyclesPerDay: 1 };
+
+describe('Degradation economics', () => {
+  it('converts capacity units to kWh', () => {
+    assert.equal(toKWh(75, 'kWh'), 75);
+    assert.equal(toKWh(5000, 'Wh'), 5);
+    assert.equal(toKWh(100, 'Ah', 400), 40);
+    assert.throws(() => toKWh(100, 'Ah'), /nominalVoltage/);
+  });
+
+  it('reports the same economics for equivalent Ah, Wh and kWh inputs', () => {
+    const kWh = BatteryService.analyzeEconomics({ ...pack, economics });
+    const wh = BatteryService.analyzeEconomics({ ...pack, unit: 'Wh', nominalCapacity: 100000, currentCapacity: 92000, economics });
+    const ah = BatteryService.analyzeEconomics({ ...pack, unit: 'Ah', nominalCapacity: 250, currentCapacity: 230, nominalVoltage: 400, economics });
+
+    assert.equal(kWh.energy.usableEnergyPerCycleKWh, 73.6); // 100 kWh × 92% × 80% DoD
+    for (const result of [wh, ah]) {
+      assert.equal(result.energy.nominalCapacityKWh, 100);
+      assert.equal(result.lifetime.lcosPerKWh, kWh.lifetime.lcosPerKWh);
+      assert.equal(result.marginalCost.perCycle, kWh.marginalCost.perCycle);
+    }
+    assert.equal(ah.energy.nominalVoltage, 400);
+  });
+
+  it('prices fade against the usable range and computes LCOS over the life', () => {
+    const result = BatteryService.analyzeEconomics({ ...pack, economics });
+
+    assert.equal(result.marginalCost.costPerFadePct, 1000); // 30,000 over 100% → 70%
+    assert.equal(result.degradationCostToDate, 8000);
+    assert.ok(result.marginalCost.perCycle > 0);
+    assert.equal(result.lifetime.endOfLifeReached, true);
+
+    // 500 cycles at 80% DoD and a mean SOH of 96%
+    assert.equal(result.lifetime.energyDeliveredToDateKWh, 500 * 100 * 0.8 * 0.96);
+
+    // The pack price is spread over the energy of the whole life, to date and projected
+    const chargingPerKWh = 0.15 / 0.92;
+    const lifeEnergy = result.lifetime.energyDeliveredToDateKWh + result.lifetime.energyDeliveredKWh;
+    assert.ok(Math.abs(result.lifetime.lcosPerKWh - (chargingPerKWh + 30000 / lifeEnergy)) < 0.001);
+  });
+
+  it('keeps the lifetime LCOS of a pack as it ages', () => {
+    const modelled = { nominalCapacity: 100, unit: 'kWh', startDate: '2026-10-01', economics };
+    const fresh = BatteryService.analyzeEconomics({ ...modelled, chargeCycles: 0, calendarAgeMonths: 0 });
+    for (const [chargeCycles, calendarAgeMonths] of [[91, 3], [182, 6], [365, 12]]) {
+      const aged = BatteryService.analyzeEconomics({ ...modelled, chargeCycles, calendarAgeMonths });
+      assert.ok(Math.abs(aged.lifetime.lcosPerKWh / fresh.lifetime.lcosPerKWh - 1) < 0.05);
+    }
+  });
+
+  it('replaces before end-of-life when lost energy is expensive', () => {
+    const cheap = BatteryService.analyzeEconomics({ ...pack, avgTemperature: 35, economics });
+    const costly = BatteryService.analyzeEconomics({ ...pack, avgTemperature: 35, economics: { ...economics, shortfallPrice: 2 } });
+
+    assert.equal(cheap.optimalReplacement.month, cheap.lifetime.months);
+    assert.ok(costly.optimalReplacement.month < costly.lifetime.months);
+    assert.ok(costly.optimalReplacement.healthPct > 70);
+  });
+
+  it('requires nominalVoltage for Ah capacities', () => {
+    const parsed = batteryEconomicsSchema.safeParse({ ...pack, unit: 'Ah', economics });
+    assert.equal(parsed.success, false);
+    assert.deepEqual(parsed.error.errors[0].path, ['nominalVoltage']);
+  });
+});
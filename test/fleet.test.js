@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FleetService } from '../src/services/fleet.service.js';
+
+describe('Fleet batch analysis', () => {
+  const batteries = [
+    { id: 'pack-a', nominalCapacity: 100, currentCapacity: 95, chargeCycles: 200, calendarAgeMonths: 12 },
+    { id: 'pack-b', nominalCapacity: 100, currentCapacity: 72, chargeCycles: 1500, calendarAgeMonths: 60 },
+    { id: 'pack-c', nominalCapacity: 100, currentCapacity: 65, chargeCycles: 2000, calendarAgeMonths: 72 },
+    { id: 'broken', nominalCapacity: -5 }
+  ];
+
+  it('reports per-item validation errors without failing the batch', async () => {
+    const { summary, results } = await FleetService.analyzeBatch({ batteries });
+    assert.deepEqual(summary, { total: 4, analyzed: 3, failed: 1 });
+    assert.equal(results[3].success, false);
+    assert.equal(results[3].details[0].field, 'nominalCapacity');
+  });
+
+  it('aggregates status counts, worst packs and end-of-life share', async () => {
+    const { aggregates } = await FleetService.analyzeBatch({ batteries, worstN: 2, eolWithinMonths: 12 });
+    assert.equal(aggregates.statusCounts.Excellent, 1);
+    assert.equal(aggregates.statusCounts.Fair, 1);
+    assert.equal(aggregates.statusCounts.Poor, 1);
+    assert.deepEqual(aggregates.worst.map(w => w.id), ['pack-c', 'pack-b']);
+    assert.equal(aggregates.stateOfHealth.count, 3);
+    assert.equal(aggregates.stateOfHealth.min, 65);
+    assert.ok(aggregates.endOfLife.count >= 1);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { addMonths, buildForecast } from '../src/utils/forecast.js';
+
+const base = {
+  nominalCapacity: 100,
+  currentCapacity: 84,
+  chargeCycles: 550,
+  calendarAgeMonths: 24,
+  cyclesPerMonth: 30,
+  startDate: '2026-01-01'
+};
+
+describe('Capacity forecast', () => {
+  it('starts from the measured capacity and declines monotonically', () => {
+    const forecast = buildForecast(base);
+    assert.equal(forecast.points[0].healthPct, 84);
+    for (let i = 1; i < forecast.points.length; i++) {
+      assert.ok(forecast.points[i].healthPct <= forecast.points[i - 1].healthPct);
+    }
+  });
+
+  it('reports the month the pack crosses end-of-life', () => {
+    const { endOfLife, points, eolPct } = buildForecast(base);
+    assert.equal(endOfLife.reached, true);
+    assert.equal(points.at(-1).month, endOfLife.month);
+    assert.ok(points.at(-1).healthPct <= eolPct);
+    assert.ok(points.at(-2).healthPct > eolPct);
+  });
+
+  it('reaches end-of-life sooner under harsher future usage', () => {
+    const mild = buildForecast(base);
+    const harsh = buildForecast({ ...base, futureDodPct: 100, futureCRate: 2 });
+    assert.ok(harsh.endOfLife.month < mild.endOfLife.month);
+  });
+
+  it('stops at the horizon when end-of-life is not reached', () => {
+    const forecast = buildForecast({ ...base, cyclesPerMonth: 1, horizonMonths: 12 });
+    assert.equal(forecast.endOfLife.reached, false);
+    assert.equal(forecast.points.length, 13);
+    assert.equal(forecast.points.at(-1).date, '2027-01-01');
+  });
+
+  it('dates month-end starts at the end of shorter months', () => {
+    const dates = buildForecast({ ...base, cyclesPerMonth: 1, horizonMonths: 3, startDate: '2026-01-31' }).points.map(p => p.date);
+    assert.deepEqual(dates, ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+    assert.equal(addMonths('2024-01-31', 1), '2024-02-29');
+  });
+});
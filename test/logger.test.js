@@ -0,0 +1,104 @@
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { logger, redact, requestId, getLogger } from '../src/config/logger.js';
+
+// Collect the log lines written to stdout/stderr while fn runs; anything
+// else (the test runner's own output) passes through
+async function captureLogs(fn) {
+  const lines = [];
+  const capture = write => function (chunk, ...rest) {
+    const text = String(chunk);
+    if (text.startsWith('{"level"')) {
+      lines.push(JSON.parse(text));
+      return true;
+    }
+    return write.call(this, chunk, ...rest);
+  };
+  const stdout = mock.method(process.stdout, 'write', capture(process.stdout.write));
+  const stderr = mock.method(process.stderr, 'write', capture(process.stderr.write));
+  try {
+    await fn();
+  } finally {
+    stdout.mock.restore();
+    stderr.mock.restore();
+  }
+  return lines;
+}
+
+describe('Structured logger', () => {
+  afterEach(() => {
+    delete process.env.LOG_LEVEL;
+  });
+
+  it('writes JSON lines and respects LOG_LEVEL', async () => {
+    process.env.LOG_LEVEL = 'warn';
+    const lines = await captureLogs(() => {
+      logger.info('hidden');
+      logger.warn('shown', { cycles: 300 });
+    });
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, 'warn');
+    assert.equal(lines[0].msg, 'shown');
+    assert.equal(lines[0].cycles, 300);
+  });
+
+  it('redacts credentials at any depth', () => {
+    const redacted = redact({
+      headers: { 'X-API-Key': 'bda_123', Authorization: 'Bearer abc', accept: 'text/csv' },
+      nested: [{ token: 't' }]
+    });
+
+    assert.equal(redacted.headers['X-API-Key'], '[REDACTED]');
+    assert.equal(redacted.headers.Authorization, '[REDACTED]');
+    assert.equal(redacted.headers.accept, 'text/csv');
+    assert.equal(redacted.nested[0].token, '[REDACTED]');
+  });
+});
+
+describe('Request IDs', () => {
+  let server;
+  let baseUrl;
+  const nodeEnv = process.env.NODE_ENV;
+
+  before(() => {
+    process.env.NODE_ENV = 'production';
+
+    const app = express();
+    app.use(requestId());
+    app.use(getLogger());
+    app.get('/ping', (req, res) => {
+      logger.info('handling ping');
+      res.json({ ok: true });
+    });
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    process.env.NODE_ENV = nodeEnv;
+  });
+
+  it('propagates an incoming X-Request-Id to the response and every log line', async () => {
+    let response;
+    const lines = await captureLogs(async () => {
+      response = await fetch(`${baseUrl}/ping`, { headers: { 'X-Request-Id': 'abc-123', 'X-API-Key': 'secret' } });
+      await response.json();
+    });
+
+    assert.equal(response.headers.get('x-request-id'), 'abc-123');
+    assert.deepEqual(lines.map(line => line.msg), ['handling ping', 'request completed']);
+    assert.ok(lines.every(line => line.requestId === 'abc-123'));
+    assert.equal(lines[1].status, 200);
+    assert.ok(!JSON.stringify(lines).includes('secret'));
+  });
+
+  it('generates an ID when none (or a malformed one) is sent', async () => {
+    const response = await fetch(`${baseUrl}/ping`, { headers: { 'X-Request-Id': 'bad id\twith spaces' } });
+    await response.json();
+
+    assert.match(response.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import batteryRoutes from '../src/routes/battery.routes.js';
+import { errorHandler } from '../src/middleware/errorHandlers.js';
+import { registry, metricsMiddleware } from '../src/utils/metrics.js';
+import { BatteryService } from '../src/services/battery.service.js';
+
+// Value of one series in the Prometheus text output
+function sample(text, name, labels) {
+  const line = text.split('\n').find(entry => entry.startsWith(`${name}{`) &&
+    Object.entries(labels).every(([key, value]) => entry.includes(`${key}="${value}"`)));
+  return line ? Number(line.split(' ').pop()) : 0;
+}
+
+describe('Prometheus metrics', () => {
+  let server;
+  let baseUrl;
+
+  const post = (url, body) => fetch(`${baseUrl}${url}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }).then(response => response.json());
+
+  before(() => {
+    const app = express();
+    app.use(express.json());
+    app.use(metricsMiddleware());
+    app.use('/api/battery', batteryRoutes);
+    app.use(errorHandler);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/battery`;
+  });
+
+  after(() => server.close());
+
+  it('counts requests per route template and status', async () => {
+    const before = sample(await registry.metrics(), 'http_requests_total', { route: '/api/battery/analyze', status: '200' });
+
+    await post('/analyze', { nominalCapacity: 100, currentCapacity: 88, chargeCycles: 400 });
+    const text = await registry.metrics();
+
+    assert.equal(sample(text, 'http_requests_total', { method: 'POST', route: '/api/battery/analyze', status: '200' }), before + 1);
+    assert.ok(sample(text, 'http_request_duration_seconds_count', { route: '/api/battery/analyze' }) >= 1);
+  });
+
+  it('counts validation failures per field with array indexes collapsed', async () => {
+    await post('/analyze', { nominalCapacity: -5, dodPct: 150 });
+    await post('/trend', {
+      nominalCapacity: 100,
+      capacityHistory: [
+        { date: '2024-01-01', cycles: 0, capacity: 100 },
+        { date: '2024-06-01', cycles: 150, capacity: -1 },
+        { date: '2025-01-01', cycles: -3, capacity: -2 }
+      ]
+    });
+    const text = await registry.metrics();
+
+    assert.equal(sample(text, 'validation_failures_total', { route: '/api/battery/analyze', field: 'dodPct' }), 1);
+    assert.equal(sample(text, 'validation_failures_total', { route: '/api/battery/analyze', field: 'nominalCapacity' }), 1);
+    assert.equal(sample(text, 'validation_failures_total', { route: '/api/battery/trend', field: 'capacityHistory.*.capacity' }), 1);
+    assert.equal(sample(text, 'validation_failures_total', { route: '/api/battery/trend', field: 'capacityHistory.*.cycles' }), 1);
+  });
+
+  it('records SOH, status and confidence of each assessment', async () => {
+    const text = await registry.metrics();
+    const { data } = await post('/health', { nominalCapacity: 100, currentCapacity: 90, chargeCycles: 300 });
+    const after = await registry.metrics();
+
+    assert.equal(
+      sample(after, 'battery_soh_percent_count', { chemistry: 'generic' }),
+      sample(text, 'battery_soh_percent_count', { chemistry: 'generic' }) + 1
+    );
+    assert.equal(
+      sample(after, 'battery_status_total', { status: data.status }),
+      sample(text, 'battery_status_total', { status: data.status }) + 1
+    );
+    assert.equal(
+      sample(after, 'battery_model_confidence_total', { level: data.confidence }),
+      sample(text, 'battery_model_confidence_total', { level: data.confidence }) + 1
+    );
+  });
+
+  it('counts the assessments clients ask for, not internal re-analyses', async () => {
+    const payload = { nominalCapacity: 100, currentCapacity: 88, chargeCycles: 400, chemistry: 'LFP' };
+    const count = async () => sample(await registry.metrics(), 'battery_soh_percent_count', { chemistry: 'LFP' });
+    const initial = await count();
+
+    BatteryService.analyzeBatteryHealth(payload);
+    assert.equal(await count(), initial);
+
+    await post('/analyze', payload);
+    assert.equal(await count(), initial + 1);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { v1Routes, v2Routes } from '../src/routes/battery.routes.js';
+import assetRoutes from '../src/routes/asset.routes.js';
+import webhookRoutes from '../src/routes/webhook.routes.js';
+import adminRoutes from '../src/routes/admin.routes.js';
+import { API_ROUTES, resolveRoutes } from '../src/routes/routeTable.js';
+import { buildOpenApiDocument, getEndpointCatalog } from '../src/docs/openapi.js';
+
+// Method/path pairs registered directly on an Express router
+function routerEndpoints(router, prefix) {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method =>
+      `${method.toUpperCase()} ${prefix}${layer.route.path === '/' ? '' : layer.route.path}`
+    ));
+}
+
+describe('OpenAPI document', () => {
+  for (const [version, router] of [['v1', v1Routes], ['v2', v2Routes]]) {
+    it(`lists every route registered on the ${version} routers`, () => {
+      const documented = new Set(resolveRoutes(version).map(route => `${route.method} ${route.path}`));
+      const registered = [
+        ...routerEndpoints(router, `/api/${version}`),
+        ...routerEndpoints(assetRoutes, `/api/${version}/assets`),
+        ...routerEndpoints(webhookRoutes, `/api/${version}/webhooks`),
+        ...routerEndpoints(adminRoutes, '/api/admin')
+      ];
+
+      for (const endpoint of registered) {
+        assert.ok(documented.has(endpoint), `${endpoint} is missing from the route table`);
+      }
+      assert.equal(documented.size, registered.length);
+    });
+  }
+
+  it('generates request schemas from the Zod schemas', () => {
+    const document = buildOpenApiDocument();
+    const analyze = document.components.schemas.AnalyzeRequest;
+
+    assert.equal(document.openapi, '3.0.3');
+    assert.deepEqual(analyze.required, ['nominalCapacity']);
+    assert.equal(analyze.properties.dodPct.maximum, 100);
+    assert.ok(document.paths['/api/v2/assets/{id}'].patch);
+    assert.equal(document.paths['/api/v2/calculate'], undefined);
+    assert.equal(buildOpenApiDocument('v1').paths['/api/v1/calculate'].post.deprecated, true);
+    assert.deepEqual(document.paths['/api/admin/keys'].post.security, [{ adminToken: [] }]);
+  });
+
+  it('derives the endpoint catalog from the document', () => {
+    const catalog = getEndpointCatalog();
+    assert.equal(catalog.length, API_ROUTES.length);
+    assert.ok(catalog.some(e => e.method === 'POST' && e.path === '/api/v2/analyze'));
+    assert.ok(getEndpointCatalog('v1').some(e => e.path === '/api/v1/calculate' && e.deprecated));
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BatteryService } from '../src/services/battery.service.js';
+import { batteryOptimizeSchema } from '../src/schemas/battery.schema.js';
+
+const pack = {
+  nominalCapacity: 100,
+  unit: 'kWh',
+  currentCapacity: 90,
+  chargeCycles: 600,
+  calendarAgeMonths: 24,
+  avgTemperature: 32,
+  dodPct: 95,
+  cRate: 1.5,
+  cyclesPerMonth: 40
+};
+
+const optimize = payload => BatteryService.optimizeChargingStrategy(batteryOptimizeSchema.parse(payload));
+
+describe('Charging-strategy optimizer', () => {
+  it('finds a gentler operating point that delivers the same energy', () => {
+    const result = optimize(pack);
+
+    assert.equal(result.current.dodPct, 95);
+    assert.equal(result.current.monthsToEndOfLife, 120);
+    // Shallower cycles, proportionally more of them
+    assert.equal(result.recommended.dodPct, 20);
+    assert.equal(result.recommended.cyclesPerMonth, 190);
+    assert.equal(result.recommended.dailyEnergyKWh, result.current.dailyEnergyKWh);
+    assert.ok(result.rulGainMonths > 100);
+    assert.equal(result.search.evaluated, 17 * 19);
+    assert.equal(result.candidates.length, 5);
+  });
+
+  it('respects the daily energy and charge time constraints', () => {
+    const result = optimize({
+      ...pack,
+      optimize: { cRate: { min: 0.5, max: 1, step: 0.1 }, constraints: { minDailyEnergyKWh: 100, maxChargeTimeHours: 0.5 } }
+    });
+
+    for (const point of [result.recommended, ...result.candidates]) {
+      assert.ok(point.dailyEnergyKWh >= 100);
+      assert.ok(point.chargeTimeHours <= 0.5);
+    }
+    assert.ok(result.search.feasible < result.search.evaluated);
+  });
+
+  it('drives a fresh pack at the required energy and drops C-rates too slow to deliver it', () => {
+    const result = optimize({
+      nominalCapacity: 100,
+      unit: 'kWh',
+      chargeCycles: 0,
+      calendarAgeMonths: 0,
+      optimize: { constraints: { minDailyEnergyKWh: 400 } }
+    });
+
+    // 400 kWh a day takes 8 hours of charging at 0.5C, so 16 hours of cycling
+    assert.equal(result.usage.dailyEnergyKWh, 400);
+    assert.ok(result.search.feasible > 0 && result.search.feasible < result.search.evaluated);
+    for (const point of [result.recommended, ...result.candidates]) {
+      assert.equal(point.dailyEnergyKWh, 400);
+      assert.ok(point.cRate > 0.3);
+      assert.ok(point.cyclingHoursPerDay <= 24);
+    }
+    assert.equal(result.recommended.cyclesPerMonth, +((400 / result.recommended.dodPct) * (365.25 / 12)).toFixed(2));
+  });
+
+  it('keeps the current temperature unless a range is given', () => {
+    const fixed = optimize(pack);
+    assert.ok(fixed.candidates.every(point => point.temperature === 32));
+
+    const searched = optimize({ ...pack, optimize: { dodPct: { min: 80, max: 80, step: 5 }, cRate: { min: 1, max: 1, step: 1 }, temperature: { min: 15, max: 35, step: 5 } } });
+    assert.equal(searched.search.evaluated, 5);
+  });
+
+  it('rejects constraints no operating point satisfies', () => {
+    assert.throws(
+      () => optimize({ ...pack, optimize: { constraints: { minDailyEnergyKWh: 5000 } } }),
+      /No operating point/
+    );
+  });
+
+  it('limits the grid size', () => {
+    const parsed = batteryOptimizeSchema.safeParse({
+      ...pack,
+      optimize: { dodPct: { min: 10, max: 100, step: 0.1 }, cRate: { min: 0.1, max: 5, step: 0.1 } }
+    });
+    assert.equal(parsed.success, false);
+    assert.match(parsed.error.errors[0].message, /10000 operating points/);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BatteryService } from '../src/services/battery.service.js';
+import { batteryAnalysisSchema } from '../src/schemas/battery.schema.js';
+
+// 4s2p pack of 50 Ah cells with one weak cell at series 3, parallel 2
+const cells = Array.from({ length: 8 }, (_, i) => {
+  const series = Math.floor(i / 2) + 1;
+  const parallel = (i % 2) + 1;
+  const weak = series === 3 && parallel === 2;
+  return { series, parallel, capacity: weak ? 42 : 49 + (i % 3) * 0.5, voltage: weak ? 3.25 : 3.3 + (i % 2) * 0.002 };
+});
+
+const pack = { nominalCapacity: 100, chargeCycles: 500, calendarAgeMonths: 24 };
+
+const analyze = body => BatteryService.analyzeBatteryHealth(batteryAnalysisSchema.parse({ ...pack, ...body }));
+
+describe('Pack topology analysis', () => {
+  it('derives the pack SOH from the limiting series group', () => {
+    const { results } = analyze({ pack: { seriesCount: 4, parallelCount: 2, cells } });
+
+    assert.equal(results.pack.limitingGroup.series, 3);
+    assert.equal(results.pack.capacity, 91.5);
+    assert.equal(results.stateOfHealthSOH, 91.5);
+    assert.equal(results.pack.soh, results.stateOfHealthSOH);
+    assert.equal(results.pack.remainingUsefulLifeMonths, results.estimatedRemainingUsefulLifeMonths);
+    assert.ok(results.pack.averageCellSoh > results.pack.soh);
+    assert.equal(results.pack.groups.length, 4);
+    assert.equal(results.pack.cells.length, 8);
+  });
+
+  it('flags outlier cells and the imbalance growth', () => {
+    const { results } = analyze({ pack: { seriesCount: 4, parallelCount: 2, cells, bolCapacitySpreadPct: 1 } });
+
+    assert.deepEqual(results.pack.outliers, [{ id: 'S3P2', series: 3, parallel: 2, flags: ['capacity_low', 'voltage_low'] }]);
+    assert.equal(results.pack.imbalance.capacitySpreadPct, 16);
+    assert.equal(results.pack.imbalance.growthPct, 15);
+    assert.equal(results.pack.imbalance.growthPer100Cycles, 3);
+    assert.equal(results.pack.imbalance.voltageSpreadMv, 52);
+    assert.equal(results.pack.imbalance.exceedsLimit, true);
+    assert.ok(results.recommendations.some(rec => rec.category === 'Cell Balancing'));
+
+    const weak = results.pack.cells.find(cell => cell.id === 'S3P2');
+    assert.equal(weak.soh, 84);
+    assert.equal(weak.outlier, true);
+  });
+
+  it('does not flag a single quantization step among tied readings', () => {
+    // 8s pack reading 3.300 V except one cell at 3.301 V: the MAD is zero
+    const tied = Array.from({ length: 8 }, (_, i) => ({ series: i + 1, capacity: 45, voltage: i === 3 ? 3.301 : 3.3 }));
+    const { results } = analyze({ nominalCapacity: 50, pack: { seriesCount: 8, cells: tied } });
+
+    assert.deepEqual(results.pack.outliers, []);
+    assert.ok(!results.recommendations.some(rec => rec.category === 'Cell Balancing' && rec.priority === 'High'));
+
+    const drifted = tied.map((cell, i) => (i === 3 ? { ...cell, voltage: 3.35 } : cell));
+    assert.deepEqual(analyze({ nominalCapacity: 50, pack: { seriesCount: 8, cells: drifted } }).results.pack.outliers[0].flags, ['voltage_high']);
+  });
+
+  it('scales the limiting group by the series count for energy units', () => {
+    const energyCells = cells.map(cell => ({ ...cell, capacity: cell.capacity / 50 * 0.165 }));
+    const { results } = analyze({ nominalCapacity: 1.32, unit: 'kWh', pack: { seriesCount: 4, parallelCount: 2, cells: energyCells } });
+
+    assert.equal(results.pack.topology.cellNominalCapacity, 0.165);
+    assert.equal(results.pack.soh, 91.5);
+  });
+
+  it('rejects incomplete topologies and a conflicting currentCapacity', () => {
+    assert.equal(batteryAnalysisSchema.safeParse({ ...pack, pack: { seriesCount: 4, parallelCount: 2, cells: cells.slice(1) } }).success, false);
+    assert.equal(batteryAnalysisSchema.safeParse({ ...pack, pack: { seriesCount: 2, parallelCount: 2, cells: cells.slice(0, 4).map(() => cells[0]) } }).success, false);
+    assert.throws(() => analyze({ currentCapacity: 90, pack: { seriesCount: 4, parallelCount: 2, cells } }), /derived from the cell measurements/);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BatteryService } from '../src/services/battery.service.js';
+import {
+  batteryAnalysisSchema,
+  batteryForecastSchema,
+  batteryWarrantySchema,
+  batteryOptimizeSchema,
+  batteryCompareSchema,
+  batterySecondLifeSchema
+} from '../src/schemas/battery.schema.js';
+import { computeResistanceGrowth } from '../src/utils/degradationCalculator.js';
+import { v1 } from '../src/versions/v1.js';
+import { v2 } from '../src/versions/v2.js';
+
+const pack = { nominalCapacity: 100, currentCapacity: 90, chargeCycles: 800, calendarAgeMonths: 24, bolResistanceMohm: 30 };
+
+const analyze = body => BatteryService.analyzeBatteryHealth(batteryAnalysisSchema.parse({ ...pack, ...body }));
+
+describe('Resistance growth model', () => {
+  it('grows with cycling and C-rate like the capacity fade', () => {
+    const base = { chargeCycles: 500, calendarAgeYears: 2 };
+
+    assert.equal(computeResistanceGrowth({ chargeCycles: 0 }).total, 0);
+    assert.ok(computeResistanceGrowth({ ...base, chargeCycles: 1000 }).total > computeResistanceGrowth(base).total);
+    assert.ok(computeResistanceGrowth({ ...base, cRate: 2 }).total > computeResistanceGrowth({ ...base, cRate: 1 }).total);
+    assert.ok(computeResistanceGrowth({ ...base, chemistry: 'LTO' }).total < computeResistanceGrowth({ ...base, chemistry: 'NCA' }).total);
+  });
+});
+
+describe('Power fade in /analyze', () => {
+  it('reports power fade from a measured resistance and the earlier end-of-life', () => {
+    const { results } = analyze({ internalResistanceMohm: 45, cRate: 2 });
+
+    assert.equal(results.powerFade.source, 'measured');
+    assert.equal(results.powerFade.resistanceGrowthPct, 50);
+    assert.equal(results.powerFade.powerFadePct, 33.33);
+    assert.equal(results.powerFade.growthAt, undefined);
+
+    // 50% growth over 24 months leaves 50% to the default 200% limit
+    assert.equal(results.powerFade.estimatedRemainingUsefulLifeMonths, 24);
+    assert.deepEqual(results.combinedEndOfLife, {
+      limitedBy: 'resistance',
+      estimatedRemainingUsefulLifeMonths: 24,
+      capacityMonths: results.estimatedRemainingUsefulLifeMonths,
+      resistanceMonths: 24
+    });
+    assert.ok(results.recommendations.some(rec => rec.category === 'Power Capability'));
+
+    // The calibrated trend ends at the measured resistance
+    const last = results.trend.at(-1);
+    assert.equal(last.resistanceMohm, 45);
+    assert.ok(results.trend[0].resistanceGrowthPct < last.resistanceGrowthPct);
+  });
+
+  it('models the resistance without a measurement and honours eolResistancePct', () => {
+    const modelled = analyze({}).results.powerFade;
+    assert.equal(modelled.source, 'modelled');
+    assert.equal(modelled.calibrationFactor, 1);
+
+    const { results } = analyze({ internalResistanceMohm: 45, eolResistancePct: 300 });
+    assert.equal(results.powerFade.estimatedRemainingUsefulLifeMonths, 72);
+    assert.equal(results.combinedEndOfLife.limitedBy, 'capacity');
+  });
+
+  it('leaves the response unchanged without resistance inputs', () => {
+    const { results } = analyze({ bolResistanceMohm: undefined });
+    assert.equal(results.powerFade, undefined);
+    assert.equal(results.combinedEndOfLife, undefined);
+    assert.equal(results.trend[0].powerFadePct, undefined);
+
+    const parsed = v2.schemas.analysis.safeParse({ ...pack, bolResistanceMohm: undefined, internalResistanceMohm: 40 });
+    assert.equal(parsed.success, false);
+    assert.deepEqual(parsed.error.errors[0].path, ['bolResistanceMohm']);
+    assert.throws(
+      () => analyze({ bolResistanceMohm: undefined, internalResistanceMohm: 40 }),
+      /bolResistanceMohm is required/
+    );
+  });
+
+  it('is not part of the v1 contract', () => {
+    const shaped = v1.serializers.analysis(analyze({ internalResistanceMohm: 45 }));
+    assert.equal(shaped.results.powerFade, undefined);
+    assert.equal(shaped.results.trend[0].resistanceMohm, undefined);
+  });
+
+  it('is only accepted by endpoints that use it', () => {
+    const capacityOnly = [
+      batteryForecastSchema.parse({ ...pack, internalResistanceMohm: 45, cyclesPerMonth: 20 }),
+      batteryWarrantySchema.parse({ ...pack, internalResistanceMohm: 45, warranty: { capacityFloorPct: 70, years: 8 } }),
+      batteryOptimizeSchema.parse({ ...pack, internalResistanceMohm: 45 }),
+      batteryCompareSchema.parse({ ...pack, internalResistanceMohm: 45 })
+    ];
+    for (const parsed of capacityOnly) {
+      assert.equal(parsed.internalResistanceMohm, undefined);
+      assert.equal(parsed.bolResistanceMohm, undefined);
+    }
+
+    const secondLife = batterySecondLifeSchema.safeParse({ ...pack, bolResistanceMohm: undefined, internalResistanceMohm: 40 });
+    assert.match(secondLife.error.errors[0].message, /bolResistanceMohm is required with internalResistanceMohm/);
+  });
+});
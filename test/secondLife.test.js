@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BatteryService } from '../src/services/battery.service.js';
+import { batterySecondLifeSchema } from '../src/schemas/battery.schema.js';
+
+const retired = { nominalCapacity: 100, chargeCycles: 1200, calendarAgeMonths: 96, startDate: '2026-10-01' };
+
+const assess = body => BatteryService.assessSecondLife(batterySecondLifeSchema.parse({ ...retired, ...body }));
+
+describe('Second-life assessment', () => {
+  it('grades on SOH and projects each suitable application', () => {
+    const result = assess({ currentCapacity: 78 });
+
+    assert.equal(result.grade, 'B');
+    assert.equal(result.limitingFactor, 'soh');
+    assert.equal(result.recommendedApplication, 'home-storage');
+    assert.deepEqual(result.applications.map(app => app.suitable), [true, true, true]);
+
+    const [home, grid, recycling] = result.applications;
+    assert.ok(home.projectedDuration.months > 0);
+    assert.match(home.projectedDuration.endDate, /^\d{4}-\d{2}-01$/);
+    // Shallower cycling down to a lower retirement SOH lasts longer
+    assert.ok(grid.projectedDuration.months > home.projectedDuration.months);
+    assert.equal(recycling.projectedDuration, null);
+  });
+
+  it('lets resistance growth and cell spread limit the grade', () => {
+    const resistive = assess({ currentCapacity: 78, internalResistanceMohm: 90, bolResistanceMohm: 50 });
+    assert.equal(resistive.grade, 'C');
+    assert.equal(resistive.limitingFactor, 'resistanceGrowth');
+    assert.equal(resistive.criteria.resistanceGrowth.value, 1.8);
+    assert.equal(resistive.recommendedApplication, 'grid-buffer');
+    assert.equal(resistive.applications[0].projectedDuration, null);
+
+    const imbalanced = assess({ currentCapacity: 85, cellVoltageSpreadMv: 150 });
+    assert.equal(imbalanced.grade, 'D');
+    assert.equal(imbalanced.limitingFactor, 'cellVoltageSpreadMv');
+    assert.equal(imbalanced.recommendedApplication, 'recycling');
+  });
+
+  it('applies a custom stationary duty cycle', () => {
+    const standard = assess({ currentCapacity: 78 });
+    const gentle = assess({ currentCapacity: 78, stationaryDuty: { cyclesPerDay: 0.5, dodPct: 50 } });
+
+    assert.deepEqual(gentle.applications[0].dutyCycle, { cyclesPerDay: 0.5, dodPct: 50, cRate: 0.5, temperature: 25 });
+    assert.ok(gentle.applications[0].projectedDuration.months > standard.applications[0].projectedDuration.months);
+  });
+
+  it('requires the beginning-of-life resistance with a measured resistance', () => {
+    const parsed = batterySecondLifeSchema.safeParse({ ...retired, internalResistanceMohm: 90 });
+    assert.equal(parsed.success, false);
+    assert.deepEqual(parsed.error.errors[0].path, ['bolResistanceMohm']);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SensitivityService } from '../src/services/sensitivity.service.js';
+import { BatteryService } from '../src/services/battery.service.js';
+import { batterySensitivitySchema } from '../src/schemas/battery.schema.js';
+
+const pack = { nominalCapacity: 100, chargeCycles: 300, calendarAgeMonths: 24 };
+
+const analyze = body => SensitivityService.analyzeSensitivity(batterySensitivitySchema.parse(body));
+
+describe('Sensitivity analysis', () => {
+  it('sweeps one input and matches /analyze at every point', () => {
+    const result = analyze({ ...pack, sweep: [{ parameter: 'dodPct', min: 50, max: 100, steps: 3 }] });
+
+    assert.deepEqual(result.sweep.parameters, [{ name: 'dodPct', values: [50, 75, 100] }]);
+    for (const point of result.sweep.points) {
+      const { results } = BatteryService.analyzeBatteryHealth({ ...pack, dodPct: point.dodPct });
+      assert.equal(point.soh, +results.stateOfHealthSOH.toFixed(2));
+      assert.equal(point.remainingUsefulLifeMonths, results.estimatedRemainingUsefulLifeMonths);
+    }
+    assert.ok(result.sweep.points[0].soh > result.sweep.points[2].soh);
+  });
+
+  it('returns row-major matrices for two inputs', () => {
+    const result = analyze({
+      ...pack,
+      sweep: [{ parameter: 'dodPct', values: [50, 100] }, { parameter: 'chargeCycles', values: [300, 600, 900] }]
+    });
+
+    assert.equal(result.sweep.points.length, 6);
+    assert.equal(result.sweep.soh.length, 2);
+    assert.equal(result.sweep.soh[0].length, 3);
+    assert.equal(result.sweep.soh[1][2], result.sweep.points[5].soh);
+    assert.ok(result.sweep.soh[0][0] > result.sweep.soh[1][2]);
+  });
+
+  it('ranks every numeric input in the payload by its swing', () => {
+    const result = analyze({ ...pack, sweep: [{ parameter: 'dodPct', values: [80] }] });
+    const { bars } = result.tornado;
+
+    assert.deepEqual(bars.map(bar => bar.rank), bars.map((_, i) => i + 1));
+    assert.ok(bars.every((bar, i) => i === 0 || bars[i - 1].swing >= bar.swing));
+    assert.ok(bars.some(bar => bar.parameter === 'chargeCycles' && bar.swing > 0));
+    assert.ok(!bars.some(bar => bar.parameter === 'currentCapacity'));
+    assert.ok(!analyze({ ...pack, bolResistanceMohm: 30, sweep: [{ parameter: 'dodPct', values: [80] }] })
+      .tornado.bars.some(bar => bar.parameter === 'bolResistanceMohm'));
+
+    const dod = bars.find(bar => bar.parameter === 'dodPct');
+    assert.equal(dod.low.value, 72);
+    assert.equal(dod.high.value, 88);
+  });
+
+  it('moves temperature by a share of its range rather than of its value', () => {
+    for (const avgTemperature of [2, 25]) {
+      const { bars } = analyze({ ...pack, avgTemperature, sweep: [{ parameter: 'dodPct', values: [80] }] }).tornado;
+      const temperature = bars.find(bar => bar.parameter === 'avgTemperature');
+
+      // 10% of [-40, 80] °C
+      assert.equal(temperature.step, 12);
+      assert.equal(temperature.low.value, avgTemperature - 12);
+      assert.equal(temperature.high.value, avgTemperature + 12);
+    }
+  });
+
+  it('rejects unknown parameters and values outside the schema bounds', () => {
+    assert.equal(batterySensitivitySchema.safeParse({ ...pack, sweep: [{ parameter: 'chemistry', values: [1] }] }).success, false);
+
+    const outside = batterySensitivitySchema.safeParse({ ...pack, sweep: [{ parameter: 'dodPct', min: 5, max: 100 }] });
+    assert.equal(outside.success, false);
+    assert.match(outside.error.errors[0].message, /dodPct must stay within \[10, 100\]/);
+
+    const resistance = batterySensitivitySchema.safeParse({ ...pack, sweep: [{ parameter: 'internalResistanceMohm', values: [40] }] });
+    assert.equal(resistance.success, false);
+
+    const repeated = batterySensitivitySchema.safeParse({ ...pack, sweep: [{ parameter: 'dodPct', values: [50] }, { parameter: 'dodPct', values: [60] }] });
+    assert.equal(repeated.success, false);
+  });
+});
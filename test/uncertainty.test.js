@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRandom, sampleMultiplier, percentiles } from '../src/utils/uncertainty.js';
+import { BatteryService } from '../src/services/battery.service.js';
+import { batteryAnalysisSchema } from '../src/schemas/battery.schema.js';
+
+describe('Monte Carlo uncertainty', () => {
+  it('produces reproducible draws from a seed', () => {
+    const a = createRandom(7);
+    const b = createRandom(7);
+    const definition = { distribution: 'lognormal', spread: 0.2 };
+    assert.equal(sampleMultiplier(definition, a), sampleMultiplier(definition, b));
+  });
+
+  it('interpolates percentiles', () => {
+    assert.deepEqual(percentiles([0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100]), { p10: 10, p50: 50, p90: 90 });
+  });
+
+  it('adds ordered percentile envelopes to every trend point', () => {
+    const input = batteryAnalysisSchema.parse({
+      nominalCapacity: 100,
+      currentCapacity: 84,
+      chargeCycles: 550,
+      calendarAgeMonths: 24,
+      uncertainty: { samples: 100, seed: 1 }
+    });
+    const { results } = BatteryService.analyzeBatteryHealth(input);
+    const { p10, p50, p90 } = results.uncertainty.remainingUsefulLifeMonths;
+
+    assert.ok(p10 <= p50 && p50 <= p90);
+    assert.match(results.confidence.accuracy, /P10-P90/);
+    for (const point of results.trend) {
+      assert.ok(point.healthPctP10 <= point.healthPctP50 && point.healthPctP50 <= point.healthPctP90);
+    }
+    assert.deepEqual(BatteryService.analyzeBatteryHealth(input).results.uncertainty, results.uncertainty);
+  });
+
+  it('spreads the RUL through the sampled model with and without a measurement', () => {
+    for (const currentCapacity of [undefined, 84]) {
+      const { results } = BatteryService.analyzeBatteryHealth(batteryAnalysisSchema.parse({
+        nominalCapacity: 100,
+        currentCapacity,
+        chargeCycles: 300,
+        calendarAgeMonths: 24,
+        uncertainty: { samples: 100, seed: 1, measurementError: { distribution: 'normal', spread: 0 } }
+      }));
+      const { p10, p90 } = results.uncertainty.remainingUsefulLifeMonths;
+
+      assert.ok(p90 > p10);
+    }
+  });
+});
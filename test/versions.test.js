@@ -0,0 +1,88 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { v1Routes, v2Routes } from '../src/routes/battery.routes.js';
+import { errorHandler } from '../src/middleware/errorHandlers.js';
+import { API_VERSIONS } from '../src/versions/index.js';
+import { BatteryService } from '../src/services/battery.service.js';
+
+const payload = { nominalCapacity: 100, currentCapacity: 88, chargeCycles: 400, calendarAgeMonths: 24 };
+
+describe('API versions', () => {
+  let server;
+  let baseUrl;
+
+  const post = (url, body) => fetch(`${baseUrl}${url}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  before(() => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1', v1Routes);
+    app.use('/api/v2', v2Routes);
+    app.use('/api/battery', v1Routes);
+    app.use(errorHandler);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('keeps the v1 meta contract on /api/v1 and the /api/battery alias', async () => {
+    for (const base of ['/api/v1', '/api/battery']) {
+      const { data } = await (await post(`${base}/analyze`, payload)).json();
+
+      assert.equal(data.meta.modelVersion, 'v1.0-calibrated');
+      assert.equal(data.meta.assumptions.tempAccelerationAbove30C, 1.5);
+      assert.equal(data.meta.assumptions.calibrationMethod, 'single-point');
+      assert.equal(data.meta.model, undefined);
+    }
+  });
+
+  it('describes the coefficients actually used in v2 meta', async () => {
+    const { data } = await (await post('/api/v2/analyze', payload)).json();
+    const { model } = data.meta;
+
+    assert.equal(data.meta.apiVersion, 'v2');
+    assert.equal(data.meta.modelVersion, '2.0.0');
+    assert.equal(data.meta.assumptions, undefined);
+    assert.equal(model.chemistry, 'generic');
+    assert.equal(model.calibration.method, 'single-point');
+    assert.ok(Math.abs(model.calibratedCoefficients.k_c - model.coefficients.k_c * model.calibration.cycleFactor) < 1e-6);
+  });
+
+  it('reports the API and model versions in v2 meta of the later endpoints', async () => {
+    const { data } = await (await post('/api/v2/warranty', { ...payload, warranty: { capacityFloorPct: 70, years: 8 } })).json();
+    assert.equal(data.meta.apiVersion, 'v2');
+    assert.equal(data.meta.modelVersion, '2.0.0');
+    assert.equal(data.meta.model.chemistry, 'generic');
+
+    const { data: legacy } = await (await post('/api/v1/warranty', { ...payload, warranty: { capacityFloorPct: 70, years: 8 } })).json();
+    assert.equal(legacy.meta.apiVersion, undefined);
+    assert.equal(legacy.status, 'compliant');
+  });
+
+  it('marks /calculate deprecated on v1 and drops it from v2', async () => {
+    const legacy = await post('/api/v1/calculate', payload);
+    assert.equal(legacy.status, 200);
+    assert.match(legacy.headers.get('deprecation'), /^@\d+$/);
+    assert.equal(legacy.headers.get('link'), '</api/v2/analyze>; rel="successor-version"');
+
+    const v2 = await post('/api/v2/calculate', payload);
+    assert.equal(v2.status, 404);
+  });
+
+  it('freezes the v1 response shape against new result fields', () => {
+    const analysis = BatteryService.analyzeBatteryHealth(payload);
+    analysis.results.newMetric = 1;
+    analysis.results.trend[0].newPointField = 1;
+
+    const v1 = API_VERSIONS.v1.serializers.analysis(analysis);
+    assert.equal(v1.results.newMetric, undefined);
+    assert.equal(v1.results.trend[0].newPointField, undefined);
+    assert.equal(API_VERSIONS.v2.serializers.analysis(analysis).results.newMetric, 1);
+  });
+});
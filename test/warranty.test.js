@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BatteryService } from '../src/services/battery.service.js';
+import { batteryWarrantySchema } from '../src/schemas/battery.schema.js';
+
+const pack = { nominalCapacity: 75, unit: 'kWh', currentCapacity: 66, chargeCycles: 400, calendarAgeMonths: 30, startDate: '2026-10-01' };
+
+describe('Warranty evaluation', () => {
+  it('ends coverage at the first limit and reports per-axis margins', () => {
+    const result = BatteryService.evaluateWarranty({
+      ...pack,
+      odometerKm: 60000,
+      warranty: { capacityFloorPct: 70, years: 8, distanceKm: 160000 }
+    });
+
+    assert.equal(result.status, 'compliant');
+    assert.equal(result.coverage.endsBy, 'distance');
+    assert.equal(result.coverage.monthsRemaining, 50); // 100,000 km at 2,000 km/month
+    assert.equal(result.margins.capacity.marginPct, 18);
+    assert.equal(result.margins.years.remaining, 5.5);
+    assert.equal(result.margins.distance.usedPct, 37.5);
+    assert.equal(result.projectedBreach, null);
+    assert.ok(result.margins.capacity.projectedHealthAtCoverageEndPct >= 70);
+  });
+
+  it('projects the breach date when the floor is reached inside coverage', () => {
+    const result = BatteryService.evaluateWarranty({
+      ...pack,
+      currentCapacity: 63,
+      cyclesPerMonth: 60,
+      warranty: { capacityFloorPct: 80, cycles: 3000, throughput: 300000 }
+    });
+
+    assert.equal(result.status, 'compliant');
+    assert.ok(result.projectedBreach.month > 0);
+    assert.ok(result.projectedBreach.month < result.coverage.monthsRemaining);
+    assert.equal(result.margins.throughput.used, 400 * 75 * 0.8);
+    assert.equal(result.margins.throughput.unit, 'kWh');
+  });
+
+  it('counts Ah throughput in kWh at the cycled depth', () => {
+    const ah = { ...pack, unit: 'Ah', nominalCapacity: 200, currentCapacity: 180, dodPct: 50, warranty: { capacityFloorPct: 70, throughput: 100000 } };
+    assert.equal(batteryWarrantySchema.safeParse(ah).success, false);
+
+    const result = BatteryService.evaluateWarranty(batteryWarrantySchema.parse({ ...ah, nominalVoltage: 400 }));
+    assert.equal(result.margins.throughput.used, 400 * 200 * 0.5 * 400 / 1000);
+    assert.equal(result.margins.throughput.unit, 'kWh');
+  });
+
+  it('flags packs below the floor and packs out of coverage', () => {
+    const breached = BatteryService.evaluateWarranty({ ...pack, currentCapacity: 50, warranty: { capacityFloorPct: 70, years: 8 } });
+    assert.equal(breached.status, 'breached');
+    assert.equal(breached.compliant, false);
+
+    const expired = BatteryService.evaluateWarranty({ ...pack, currentCapacity: 50, warranty: { capacityFloorPct: 70, cycles: 300 } });
+    assert.equal(expired.status, 'expired');
+    assert.equal(expired.withinCoverage, false);
+    assert.equal(expired.coverage.monthsRemaining, 0);
+  });
+
+  it('requires at least one warranty limit', () => {
+    const parsed = batteryWarrantySchema.safeParse({ ...pack, warranty: { capacityFloorPct: 70 } });
+    assert.equal(parsed.success, false);
+    assert.match(parsed.error.errors[0].message, /at least one limit/);
+  });
+});
@@ -0,0 +1,244 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import express from 'express';
+import batteryRoutes from '../src/routes/battery.routes.js';
+import { errorHandler } from '../src/middleware/errorHandlers.js';
+import { resetStores } from '../src/storage/index.js';
+import { WebhookService } from '../src/services/webhook.service.js';
+import { AssetService } from '../src/services/asset.service.js';
+import { signPayload, verifySignature } from '../src/utils/webhooks.js';
+
+describe('Webhook signatures', () => {
+  it('verifies signed bodies and rejects tampered or stale ones', () => {
+    const body = JSON.stringify({ event: 'ping' });
+    const now = Date.now();
+    const header = signPayload('test-secret-value', Math.floor(now / 1000), body);
+
+    assert.equal(verifySignature('test-secret-value', header, body, { now }), true);
+    assert.equal(verifySignature('other-secret-value', header, body, { now }), false);
+    assert.equal(verifySignature('test-secret-value', header, `${body} `, { now }), false);
+    assert.equal(verifySignature('test-secret-value', header, body, { now: now + 600000 }), false);
+  });
+});
+
+describe('Webhook conditions', () => {
+  const previous = { soh: 82, status: 'Good', remainingUsefulLifeMonths: 20 };
+
+  it('fires threshold conditions once when crossed', () => {
+    const conditions = [{ type: 'soh_below', threshold: 80 }, { type: 'rul_below', months: 6 }];
+
+    assert.deepEqual(
+      WebhookService.matchConditions(conditions, previous, { ...previous, soh: 79 }).map(match => match.event),
+      ['battery.soh_below']
+    );
+    assert.equal(WebhookService.matchConditions(conditions, { ...previous, soh: 79 }, { ...previous, soh: 78 }).length, 0);
+    assert.equal(WebhookService.matchConditions(conditions, null, { ...previous, remainingUsefulLifeMonths: 4 }).length, 1);
+  });
+
+  it('matches status changes against from and to', () => {
+    const goodToFair = [{ type: 'status_change', from: 'Good', to: 'Fair' }];
+
+    assert.equal(WebhookService.matchConditions(goodToFair, previous, { ...previous, status: 'Fair' }).length, 1);
+    assert.equal(WebhookService.matchConditions(goodToFair, previous, { ...previous, status: 'Poor' }).length, 0);
+    assert.equal(WebhookService.matchConditions([{ type: 'status_change' }], null, previous).length, 0);
+  });
+});
+
+describe('Webhook delivery', () => {
+  let server;
+  let receiver;
+  let baseUrl;
+  let receiverUrl;
+  let received;
+  let responses;
+
+  const request = async (method, url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: response.status === 204 ? null : await response.json() };
+  };
+
+  before(async () => {
+    process.env.STORAGE_DRIVER = 'memory';
+    process.env.WEBHOOK_RETRY_BASE_MS = '10';
+    process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+    // The test receiver listens on loopback
+    process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+    // Failed deliveries log warnings; keep them out of the test output
+    process.env.LOG_LEVEL = 'silent';
+    resetStores();
+
+    // Local receiver answering with the queued status codes (200 once empty)
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responses.shift() ?? 200;
+        res.end();
+      });
+    }).listen(0);
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/battery', batteryRoutes);
+    app.use(errorHandler);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/battery`;
+  });
+
+  beforeEach(() => {
+    received = [];
+    responses = [];
+  });
+
+  after(() => {
+    delete process.env.WEBHOOK_RETRY_BASE_MS;
+    delete process.env.WEBHOOK_MAX_ATTEMPTS;
+    delete process.env.WEBHOOK_ALLOW_PRIVATE;
+    delete process.env.LOG_LEVEL;
+    server.close();
+    receiver.close();
+  });
+
+  it('delivers signed events when new measurements cross a condition', async () => {
+    const asset = (await request('POST', '/assets', {
+      name: 'Pack 12',
+      nominalCapacity: 100,
+      commissionedAt: '2023-01-01',
+      measurements: [{ date: '2024-01-01', cycles: 300, capacity: 95 }]
+    })).body.data;
+
+    const created = await request('POST', '/webhooks', {
+      url: receiverUrl,
+      assetIds: [asset.id],
+      conditions: [{ type: 'soh_below', threshold: 90 }, { type: 'status_change' }]
+    });
+    assert.equal(created.status, 201);
+    const { id, secret } = created.body.data;
+    assert.match(secret, /^whsec_/);
+
+    // First analysis below the threshold fires soh_below only (no previous status)
+    await request('POST', `/assets/${asset.id}/measurements`, { measurements: [{ date: '2024-06-01', cycles: 500, capacity: 88 }] });
+    await WebhookService.drain();
+
+    assert.equal(received.length, 1);
+    const [delivery] = received;
+    const payload = JSON.parse(delivery.body);
+    assert.equal(payload.event, 'battery.soh_below');
+    assert.equal(delivery.headers['x-webhook-event'], 'battery.soh_below');
+    assert.equal(payload.data.asset.id, asset.id);
+    assert.equal(payload.data.current.soh, 88);
+    assert.equal(verifySignature(secret, delivery.headers['x-webhook-signature'], delivery.body), true);
+
+    // A further drop changes the status but does not re-cross the threshold
+    received = [];
+    await request('POST', `/assets/${asset.id}/measurements`, { measurements: [{ date: '2025-01-01', cycles: 800, capacity: 72 }] });
+    await WebhookService.drain();
+    assert.deepEqual(received.map(r => JSON.parse(r.body).event), ['battery.status_change']);
+
+    const log = await request('GET', `/webhooks/${id}/deliveries`);
+    assert.equal(log.body.count, 2);
+    assert.ok(log.body.data.every(entry => entry.status === 'delivered'));
+
+    const listed = await request('GET', '/webhooks');
+    assert.equal(listed.body.data[0].secret, undefined);
+  });
+
+  it('retries server errors with backoff and gives up on client errors', async () => {
+    const { id } = (await request('POST', '/webhooks', { url: receiverUrl, conditions: [{ type: 'soh_below', threshold: 50 }] })).body.data;
+
+    responses = [500, 503];
+    const retried = await request('POST', `/webhooks/${id}/ping`);
+    assert.equal(retried.body.data.status, 'delivered');
+    assert.deepEqual(retried.body.data.attempts.map(attempt => attempt.statusCode), [500, 503, 200]);
+    assert.equal(received.length, 3);
+
+    responses = [410];
+    const rejected = await request('POST', `/webhooks/${id}/ping`);
+    assert.equal(rejected.body.data.status, 'failed');
+    assert.equal(rejected.body.data.attempts.length, 1);
+
+    assert.equal((await request('DELETE', `/webhooks/${id}`)).status, 204);
+    assert.equal((await request('GET', `/webhooks/${id}/deliveries`)).status, 404);
+  });
+
+  it('rejects non-http URLs and unknown condition types', async () => {
+    const badUrl = await request('POST', '/webhooks', { url: 'ftp://example.com/hook', conditions: [{ type: 'soh_below', threshold: 80 }] });
+    assert.equal(badUrl.status, 400);
+
+    const badCondition = await request('POST', '/webhooks', { url: receiverUrl, conditions: [{ type: 'voltage_above', threshold: 4 }] });
+    assert.equal(badCondition.status, 400);
+  });
+
+  it('refuses local and private destinations unless allowed', async () => {
+    const { id } = (await request('POST', '/webhooks', { url: receiverUrl, conditions: [{ type: 'soh_below', threshold: 50 }] })).body.data;
+    const byName = await WebhookService.createSubscription({
+      url: receiverUrl.replace('127.0.0.1', 'localhost'),
+      conditions: [{ type: 'soh_below', threshold: 50 }]
+    });
+
+    process.env.WEBHOOK_ALLOW_PRIVATE = 'false';
+    try {
+      for (const url of [receiverUrl, 'http://169.254.169.254/latest/meta-data', 'http://[::1]/hook', 'http://localhost/hook']) {
+        assert.equal((await request('POST', '/webhooks', { url, conditions: [{ type: 'soh_below', threshold: 80 }] })).status, 400);
+      }
+
+      // Checked again at delivery, including names that resolve to loopback
+      for (const subscriptionId of [id, byName.id]) {
+        const { data } = (await request('POST', `/webhooks/${subscriptionId}/ping`)).body;
+        assert.equal(data.status, 'failed');
+        assert.deepEqual(data.attempts.map(attempt => attempt.error), ['Destination address is not allowed']);
+      }
+      assert.equal(received.length, 0);
+    } finally {
+      process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+    }
+  });
+
+  it('records network failures without their details', async () => {
+    const closed = http.createServer().listen(0);
+    const url = `http://127.0.0.1:${closed.address().port}/hook`;
+    await new Promise(resolve => closed.close(resolve));
+
+    const { id } = (await request('POST', '/webhooks', { url, conditions: [{ type: 'soh_below', threshold: 50 }] })).body.data;
+    const { data } = (await request('POST', `/webhooks/${id}/ping`)).body;
+    assert.equal(data.status, 'failed');
+    assert.ok(data.attempts.every(attempt => attempt.error === 'Connection failed'));
+  });
+
+  it('scopes subscriptions to the API client that created them', async () => {
+    const { id } = await WebhookService.createSubscription({ url: receiverUrl, conditions: [{ type: 'soh_below', threshold: 50 }] }, 'apiKey:a');
+
+    assert.deepEqual((await WebhookService.listSubscriptions('apiKey:a')).map(subscription => subscription.id), [id]);
+    assert.equal((await WebhookService.listSubscriptions('apiKey:b')).length, 0);
+    await assert.rejects(WebhookService.getSubscription(id, 'apiKey:b'), { statusCode: 404 });
+    await assert.rejects(WebhookService.ping(id, 'apiKey:b'), { statusCode: 404 });
+    await assert.rejects(WebhookService.deleteSubscription(id, 'apiKey:b'), { statusCode: 404 });
+    await WebhookService.deleteSubscription(id, 'apiKey:a');
+  });
+
+  it("only notifies the subscriptions of the asset's owner", async () => {
+    const { id } = await WebhookService.createSubscription({ url: receiverUrl, conditions: [{ type: 'soh_below', threshold: 99 }] }, 'apiKey:a');
+    const register = owner => AssetService.createAsset({ name: 'Pack', nominalCapacity: 100, commissionedAt: '2023-01-01' }, owner);
+    const measurements = [{ date: '2024-01-01', cycles: 300, capacity: 95 }];
+
+    const other = await register('apiKey:b');
+    await AssetService.addMeasurements(other.id, measurements);
+    await WebhookService.drain();
+    assert.equal(received.length, 0);
+
+    const own = await register('apiKey:a');
+    assert.equal(own.owner, undefined);
+    await AssetService.addMeasurements(own.id, measurements);
+    await WebhookService.drain();
+    assert.deepEqual(received.map(r => JSON.parse(r.body).data.asset.id), [own.id]);
+
+    await WebhookService.deleteSubscription(id, 'apiKey:a');
+  });
+});